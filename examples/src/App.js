@@ -1,41 +1,23 @@
-import { HotKeys, GlobalHotKeys, ObserveKeys, getApplicationKeyMap } from 'react-hotkeys';
+import { HotKeys, GlobalHotKeys, KeyboardShortcutsHelp } from 'react-hotkeys';
 import React, { Fragment } from 'react';
 
 import Node from './Node';
 import HOCWrappedNode from './HOCWrappedNode';
 
 const keyMap = {
-  DELETE: { sequence: 'backspace', action: 'keyup'},
-  EXPAND: 'alt+up',
-  CONTRACT: 'alt+down',
-  MOVE_UP: 'up',
-  MOVE_DOWN: 'down',
-  MOVE_LEFT: 'left',
-  MOVE_RIGHT: 'right'
+  DELETE: { name: 'Delete node', group: 'Editing', sequence: 'backspace', action: 'keyup'},
+  EXPAND: { name: 'Expand node', group: 'Editing', sequence: 'alt+up' },
+  CONTRACT: { name: 'Contract node', group: 'Editing', sequence: 'alt+down' },
+  MOVE_UP: { name: 'Move up', group: 'Navigation', sequence: 'up' },
+  MOVE_DOWN: { name: 'Move down', group: 'Navigation', sequence: 'down' },
+  MOVE_LEFT: { name: 'Move left', group: 'Navigation', sequence: 'left' },
+  MOVE_RIGHT: { name: 'Move right', group: 'Navigation', sequence: 'right' }
 };
 
 const globalKeyMap = {
-  KONAMI: 'up up down down left right left right b a enter',
-  LOG_DOWN: {sequence: 'command', action: 'keydown'},
-  LOG_UP: {sequence: 'command', action: 'keyup'},
-  SHOW_DIALOG: { sequence: 'shift+?', action: 'keyup' },
-};
-
-const styles = {
-  DIALOG: {
-    width: 600,
-    position: 'fixed',
-    top: '50%',
-    left: '50%',
-    transform: 'translate(-50%, -50%)',
-    padding: '0 24',
-    backgroundColor: 'white',
-    zIndex: 100,
-    color: 'rgba(0,0,0,0.87)'
-  },
-  KEYMAP_TABLE_CELL: {
-    padding: 8
-  }
+  KONAMI: { name: 'Konami code', sequence: 'up up down down left right left right b a enter' },
+  LOG_DOWN: { name: 'Log command key down', sequence: 'command', action: 'keydown' },
+  LOG_UP: { name: 'Log command key tap', sequence: 'command', action: 'keyup', taps: 1 },
 };
 
 class App extends React.Component {
@@ -54,8 +36,6 @@ class App extends React.Component {
 
     this.state = {
       konamiTime: false,
-      showDialog: false,
-      filter: '',
     };
   }
 
@@ -63,66 +43,13 @@ class App extends React.Component {
     this.setState({konamiTime: true});
   }
 
-  renderDialog() {
-    if (this.state.showDialog) {
-      const keyMap = getApplicationKeyMap();
-      const { filter } = this.state;
-      const _filter = filter.toUpperCase();
-
-      return (
-        <HotKeys
-          keyMap={{CLOSE_DIALOG: 'Escape' }}
-          handlers={{ CLOSE_DIALOG: () => this.setState({ showDialog: false })} }
-          >
-
-          <div style={styles.DIALOG}>
-            <h2>
-              Keyboard shortcuts
-            </h2>
-
-            <ObserveKeys only={'Escape'}>
-              <input
-                autoFocus
-                onChange={({target: {value}}) => this.setState({ filter: value })}
-                value={filter}
-                placeholder='Filter'
-              />
-            </ObserveKeys>
-
-            <table>
-              <tbody>
-              { Object.keys(keyMap).reduce((memo, actionName) => {
-                if (filter.length === 0 || actionName.indexOf(_filter) !== -1) {
-                  memo.push(
-                    <tr key={actionName}>
-                      <td style={styles.KEYMAP_TABLE_CELL}>
-                        { actionName.replace('_', ' ') }
-                      </td>
-                      <td style={styles.KEYMAP_TABLE_CELL}>
-                        { keyMap[actionName].map((keySequence) => <span key={keySequence}>{keySequence}</span>) }
-                      </td>
-                    </tr>
-                  )
-                }
-
-                return memo;
-              }, []) }
-              </tbody>
-            </table>
-          </div>
-        </HotKeys>
-      );
-    }
-  }
-
   render() {
     const {konamiTime} = this.state;
 
     const globalHandlers = {
       KONAMI: this.onKonami,
       LOG_DOWN: this.constructor.logCommandKeyDown,
-      LOG_UP: this.constructor.logCommandKeyUp,
-      SHOW_DIALOG: () => this.setState({ showDialog: !this.state.showDialog })
+      LOG_UP: this.constructor.logCommandKeyUp
     };
 
     const className = konamiTime ? 'viewport konamiTime' : 'viewport';
@@ -135,7 +62,7 @@ class App extends React.Component {
           global
         />
 
-        { this.renderDialog() }
+        <KeyboardShortcutsHelp className="dialog" />
 
         <HotKeys keyMap={keyMap}>
           <div className="app">
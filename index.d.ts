@@ -6,15 +6,141 @@ export type ActionName = string;
 
 export type KeyEventName = 'keyup' | 'keydown' | 'keypress';
 
-export interface KeyMapOptions {
+export type KeyMatchType = 'key' | 'code';
+
+export interface KeySequenceOptions {
   sequence: MouseTrapKeySequence;
-  action: KeyEventName;
+  action?: KeyEventName;
+  match?: KeyMatchType;
+  sequenceTimeout?: number | false;
+  repeat?: boolean | number;
+  exact?: boolean;
+  hold?: number;
+  taps?: number;
+  tapTimeout?: number | false;
+  preventDefault?: boolean;
+  stopPropagation?: boolean;
+}
+
+export interface ActionMetadata {
+  /**
+   * Human-readable name of the action
+   */
+  name?: string;
+
+  /**
+   * Description of what the action does
+   */
+  description?: string;
+
+  /**
+   * Name of the group the action belongs to
+   */
+  group?: string;
+
+  [metadata: string]: any;
+}
+
+export interface KeyMapOptions extends ActionMetadata {
+  sequence?: MouseTrapKeySequence;
+  sequences?: Array<MouseTrapKeySequence | KeySequenceOptions>;
+  action?: KeyEventName;
+  match?: KeyMatchType;
+  sequenceTimeout?: number | false;
+  repeat?: boolean | number;
+  exact?: boolean;
+  hold?: number;
+  taps?: number;
+  tapTimeout?: number | false;
+  preventDefault?: boolean;
+  stopPropagation?: boolean;
 }
 
 export type KeySequence = MouseTrapKeySequence | KeyMapOptions | Array<MouseTrapKeySequence> | Array<KeyMapOptions>;
 
 export type KeyMap = { [key in ActionName]: KeySequence };
 
+export interface KeyCombinationRecord {
+  /**
+   * The keys being pressed, and the key events that have occurred for each of them
+   */
+  keys: { [key: string]: Array<Array<boolean>> };
+
+  /**
+   * Serializations of the combination of keys being pressed
+   */
+  ids: Array<string>;
+
+  /**
+   * Aliases of the keys being pressed
+   */
+  keyAliases: { [key: string]: string };
+}
+
+export interface KeyEventDetails {
+  /**
+   * Name of the action the key event matched
+   */
+  actionName: ActionName;
+
+  /**
+   * The key sequence that matched, as it appears in the key map
+   */
+  sequence: string;
+
+  /**
+   * Id of the component that defines the key map
+   */
+  componentId: number;
+
+  /**
+   * Type of the key event
+   */
+  eventType: 'keydown' | 'keypress' | 'keyup';
+
+  /**
+   * Copy of the record of the keys being pressed when the key event occurred
+   */
+  keyCombination: KeyCombinationRecord;
+
+  /**
+   * Whether the key event was fired because the keys are being held down
+   */
+  repeat: boolean;
+
+  /**
+   * The key that matched the key class or range (e.g. digit or F1-F12) in the final
+   * combination of the key sequence, if it has one
+   */
+  key?: string;
+}
+
+export interface KeyEventHandlerResult {
+  /**
+   * false if the handler did not handle the key event, so the next matching handler
+   * further up the component tree should be called
+   */
+  handled?: boolean;
+
+  /**
+   * Whether to prevent the key event's default behaviour
+   */
+  preventDefault?: boolean;
+
+  /**
+   * Whether to stop the key event from propagating
+   */
+  stopPropagation?: boolean;
+}
+
+/**
+ * Function called when an action is triggered. It may return false (or a result with
+ * handled set to false) to decline the key event. Handlers of actions triggered by
+ * holding keys down may return a function, to be called when the keys are released.
+ */
+export type KeyEventHandler = (keyEvent?: KeyboardEvent, details?: KeyEventDetails) =>
+  void | boolean | KeyEventHandlerResult | ((keyEvent?: KeyboardEvent) => void);
+
 /**
  * Component that listens to key events when one of its children are in focus and
  * selectively triggers actions (that may be handled by handler functions) when a
@@ -22,7 +148,7 @@ export type KeyMap = { [key in ActionName]: KeySequence };
  */
 export interface HotKeysEnabled extends React.Component<HotKeysProps, {}> { }
 
-export interface GlobalHotKeysProps extends React.HTMLAttributes<HotKeys> {
+export interface KeyMapAndHandlersProps extends React.HTMLAttributes<HotKeys> {
   /**
    * A map from action names to Mousetrap or Browser key sequences
    */
@@ -31,7 +157,13 @@ export interface GlobalHotKeysProps extends React.HTMLAttributes<HotKeys> {
   /**
    * A map from action names to event handler functions
    */
-  handlers?: { [key: string]: (keyEvent?: KeyboardEvent) => void };
+  handlers?: { [key: string]: KeyEventHandler };
+
+  /**
+   * Function to call with the key event and the current key combination, when a key
+   * event does not match any action
+   */
+  onUnhandledKey?: (keyEvent: KeyboardEvent, keyCombination: KeyCombinationRecord) => void;
 
   /**
    * Whether the keyMap or handlers are permitted to change after the
@@ -41,7 +173,15 @@ export interface GlobalHotKeysProps extends React.HTMLAttributes<HotKeys> {
   allowChanges?: boolean;
 }
 
-export interface HotKeysEnabledProps extends GlobalHotKeysProps {
+export interface GlobalHotKeysProps extends KeyMapAndHandlersProps {
+  /**
+   * The element, document or window to listen for key events on. Defaults to
+   * the global document.
+   */
+  target?: EventTarget;
+}
+
+export interface HotKeysEnabledProps extends KeyMapAndHandlersProps {
   /**
    * Function to call when this component gains focus in the browser
    */
@@ -70,6 +210,153 @@ export class HotKeys extends React.Component<HotKeysProps, {}> { }
 
 export class GlobalHotKeys extends React.Component<GlobalHotKeysProps, {}> { }
 
+/**
+ * Component that marks the root of a tree of HotKeys and GlobalHotKeys components.
+ * Components rendered inside it do not inherit the parent ids of any HotKeys or
+ * GlobalHotKeys components rendered outside of it.
+ */
+export class HotKeysProvider extends React.Component<HotKeysProviderProps, {}> { }
+
+export interface HotKeysProviderProps {
+  /**
+   * KeyEventManager that HotKeys and GlobalHotKeys components rendered inside the
+   * provider should register with, instead of the default one
+   */
+  manager?: KeyEventManager;
+}
+
+/**
+ * A key combination, or sequence of combinations, that has been recorded
+ */
+export interface RecordedKeySequence {
+  /**
+   * The recorded combinations, separated by spaces, in the format used by key maps
+   */
+  sequence: string;
+
+  combinations: Array<string>;
+}
+
+export interface KeyCombinationRecordingOptions {
+  /**
+   * Whether to record a sequence of combinations, until the recording is
+   * confirmed, rather than a single combination
+   */
+  sequence?: boolean;
+
+  /**
+   * Function to call each time a combination is recorded
+   */
+  onChange?: (recorded: RecordedKeySequence) => void;
+}
+
+export interface KeyCombinationRecording {
+  /**
+   * Stops recording, without calling the callback
+   */
+  cancel(): void;
+
+  /**
+   * Stops recording, calling the callback with the combinations recorded so far
+   */
+  confirm(): void;
+}
+
+export interface KeyRecorderRenderProps extends RecordedKeySequence {
+  recording: boolean;
+
+  /**
+   * Starts (or restarts) recording
+   */
+  record(): void;
+
+  confirm(): void;
+
+  cancel(): void;
+}
+
+export interface KeyRecorderProps {
+  onRecord?: (recorded: RecordedKeySequence) => void;
+
+  onChange?: (recorded: RecordedKeySequence) => void;
+
+  onCancel?: () => void;
+
+  /**
+   * Whether to record a sequence of combinations, until the recording is
+   * confirmed, rather than a single combination
+   */
+  sequence?: boolean;
+
+  /**
+   * Rendered while nothing has been recorded
+   */
+  placeholder?: React.ReactNode;
+
+  component?: React.ComponentClass | string;
+
+  children?: ((props: KeyRecorderRenderProps) => React.ReactNode) | React.ReactNode;
+
+  [key: string]: any;
+}
+
+/**
+ * Component that records the key combination the user presses once it mounts
+ */
+export class KeyRecorder extends React.Component<KeyRecorderProps, {}> { }
+
+export interface KeyboardShortcutsHelpProps {
+  /**
+   * Name of the action that opens the dialog. Defaults to SHOW_KEYBOARD_SHORTCUTS.
+   */
+  action?: ActionName;
+
+  /**
+   * Key sequence(s) that trigger the action. Defaults to ?
+   */
+  sequence?: KeySequence;
+
+  /**
+   * Platform to display the keys for. Detected from the browser by default.
+   */
+  platform?: 'mac' | 'default';
+
+  title?: React.ReactNode;
+
+  searchLabel?: string;
+
+  closeLabel?: string;
+
+  /**
+   * Title of the list of actions that do not belong to a group
+   */
+  ungroupedTitle?: React.ReactNode;
+
+  noResultsText?: React.ReactNode;
+
+  /**
+   * Labels of the actions that are enabled in the focus tree (focused) or by
+   * GlobalHotKeys components (global)
+   */
+  scopeLabels?: { focused?: React.ReactNode, global?: React.ReactNode };
+
+  onOpen?: () => void;
+
+  onClose?: () => void;
+
+  [key: string]: any;
+}
+
+/**
+ * Component that binds an action to open an accessible dialog listing the
+ * application's hot keys
+ */
+export class KeyboardShortcutsHelp extends React.Component<KeyboardShortcutsHelpProps, {}> {
+  open(): void;
+
+  close(): void;
+}
+
 /**
  * Wraps a React component in a HotKeysEnabled component, which passes down the
  * callbacks and options necessary for React Hotkeys to work as a single prop value,
@@ -79,6 +366,54 @@ export class GlobalHotKeys extends React.Component<GlobalHotKeysProps, {}> { }
  */
 export declare function withHotKeys(Component: React.ComponentClass, hotKeysOptions: HotKeysEnabledProps): HotKeysEnabled;
 
+export interface HotKeysHookOptions {
+  /**
+   * The default key event to use for any action that does not explicitly
+   * define one
+   */
+  defaultKeyEvent?: KeyEventName;
+
+  /**
+   * The function used to determine whether a key event should be ignored
+   */
+  ignoreEventsCondition?: (keyEvent: KeyboardEvent) => boolean;
+}
+
+export interface GlobalHotKeysHookOptions extends HotKeysHookOptions {
+  /**
+   * The element, document or window to listen for key events on. Defaults to
+   * the global document.
+   */
+  target?: EventTarget;
+}
+
+export interface HotKeysHookProps {
+  onFocus: (event: React.FocusEvent) => void;
+  onBlur: (event: React.FocusEvent) => void;
+  onKeyDown: (event: React.KeyboardEvent) => void;
+  onKeyPress: (event: React.KeyboardEvent) => void;
+  onKeyUp: (event: React.KeyboardEvent) => void;
+  tabIndex: string | number;
+
+  /**
+   * Ref to the element the props are applied to, e.g. to focus it
+   */
+  ref: React.RefObject<HTMLElement>;
+}
+
+/**
+ * Hook that provides the same behaviour as the HotKeys component for function
+ * components. Returns the props that must be applied to a DOM-mountable element
+ * in order for its key events to be matched against the key map.
+ */
+export declare function useHotKeys(keyMap?: KeyMap, handlers?: { [key: string]: KeyEventHandler }, options?: HotKeysHookOptions): HotKeysHookProps;
+
+/**
+ * Hook that provides the same behaviour as the GlobalHotKeys component for
+ * function components
+ */
+export declare function useGlobalHotKeys(keyMap?: KeyMap, handlers?: { [key: string]: KeyEventHandler }, options?: GlobalHotKeysHookOptions): void;
+
 export declare function deprecatedWithHotKeys(keyMap: { [key: string]: KeySequence }): HotKeys;
 
 export type ListOfKeys = string | Array<string>;
@@ -127,11 +462,273 @@ export class ObserveKeys extends React.Component<HotKeysOverrideProps, {}> { }
  */
 export declare function withHotKeysIgnore(Component: React.ComponentClass, hotKeysIgnoreOptions: HotKeysOverrideProps): IgnoreKeys;
 
-export type ApplicationKeyMap = { [key in ActionName]: Array<MouseTrapKeySequence> };
+export interface SequenceDescription {
+  sequence: MouseTrapKeySequence;
+  action?: KeyEventName;
+}
+
+export interface ActionDescription extends ActionMetadata {
+  /**
+   * The key sequences the action is bound to (including any overrides)
+   */
+  sequences: Array<SequenceDescription>;
+
+  /**
+   * Set to 'override' when the action's key sequences have been overridden
+   */
+  source?: 'override';
+
+  /**
+   * The key sequences declared in the key map, when they have been overridden
+   */
+  defaultSequences?: Array<SequenceDescription>;
+}
+
+export type ApplicationKeyMap = { [key in ActionName]: ActionDescription };
+
+export interface KeyEventManagerOptions {
+  /**
+   * KeyEventManager to use, if not the default one
+   */
+  manager?: KeyEventManager;
+}
 
 /**
  * Generates and returns the application's key map, including not only those
  * that are live in the current focus, but all the key maps from all the
  * HotKeys and GlobalHotKeys components that are currently mounted
  */
-export declare function getApplicationKeyMap(): ApplicationKeyMap;
+export declare function getApplicationKeyMap(options?: KeyEventManagerOptions): ApplicationKeyMap;
+
+export interface ConflictingAction {
+  actionName: ActionName;
+  componentId: number;
+  sequence: MouseTrapKeySequence;
+}
+
+export interface KeyMapConflict {
+  /**
+   * Whether the actions are defined in the same key map (duplicate), or in the key
+   * maps of a component and one of its descendants (shadowing)
+   */
+  type: 'duplicate' | 'shadowing';
+
+  /**
+   * The normalized key sequence the actions are bound to
+   */
+  sequence: string;
+
+  keyEvent: KeyEventName;
+
+  /**
+   * The actions in conflict. For shadowing conflicts, the first action belongs to
+   * the descendant, and is the one that is triggered.
+   */
+  actions: Array<ConflictingAction>;
+
+  /**
+   * Whether the conflict is between GlobalHotKeys components
+   */
+  global: boolean;
+}
+
+/**
+ * Returns the key sequences that are bound to more than one action, in the same
+ * key map or in the key maps of nested components that are currently mounted
+ */
+export declare function findKeyMapConflicts(options?: KeyEventManagerOptions): Array<KeyMapConflict>;
+
+/**
+ * Manages the key maps and handlers of a tree of HotKeys and GlobalHotKeys
+ * components
+ */
+export interface KeyEventManager {
+  /**
+   * Generates and returns the key map of all the HotKeys and GlobalHotKeys
+   * components currently mounted using this manager
+   */
+  getApplicationKeyMap(): ApplicationKeyMap;
+
+  /**
+   * Returns the names of the actions defined by the HotKeys components in the
+   * focus tree, and by the mounted GlobalHotKeys components
+   */
+  getEnabledActionNames(): { focused: Array<ActionName>, global: Array<ActionName> };
+
+  /**
+   * Returns the key sequences that are bound to more than one action, in the
+   * key maps of the components currently mounted using this manager
+   */
+  findKeyMapConflicts(): Array<KeyMapConflict>;
+
+  /**
+   * Replaces the key sequences actions are bound to, in the key maps of the
+   * components mounted using this manager
+   */
+  setKeyMapOverrides(keyMapOverrides: KeyMap): void;
+
+  /**
+   * Returns the key map overrides currently in effect
+   */
+  getKeyMapOverrides(): KeyMap;
+
+  /**
+   * Registers a function to call with the new overrides whenever they are set,
+   * and returns a function that removes it
+   */
+  subscribeToKeyMapOverrides(listener: (keyMapOverrides: KeyMap) => void): () => void;
+
+  /**
+   * Records the next key combination pressed, instead of matching it against the
+   * key maps of the mounted components
+   */
+  recordKeyCombination(callback: (recorded: RecordedKeySequence) => void, options?: KeyCombinationRecordingOptions): KeyCombinationRecording;
+
+  /**
+   * Whether a key combination is currently being recorded
+   */
+  isRecordingKeyCombination(): boolean;
+}
+
+/**
+ * Replaces the key sequences actions are bound to, on top of those declared in
+ * the key maps of HotKeys and GlobalHotKeys components. Replaces any overrides
+ * previously set.
+ */
+export declare function setKeyMapOverrides(keyMapOverrides: KeyMap, options?: KeyEventManagerOptions): void;
+
+/**
+ * Returns the key map overrides currently in effect
+ */
+export declare function getKeyMapOverrides(options?: KeyEventManagerOptions): KeyMap;
+
+export interface RecordKeyCombinationOptions extends KeyCombinationRecordingOptions {
+  /**
+   * KeyEventManager to record with, if not the default one
+   */
+  manager?: KeyEventManager;
+}
+
+/**
+ * Records the next key combination the user presses, anywhere in the document.
+ * No handlers are called while the recording is in progress.
+ */
+export declare function recordKeyCombination(callback: (recorded: RecordedKeySequence) => void, options?: RecordKeyCombinationOptions): KeyCombinationRecording;
+
+/**
+ * Key map overrides, as they are saved by storage adapters
+ */
+export interface KeyMapOverridesRecord {
+  /**
+   * Version of the application's key maps the overrides were saved for
+   */
+  version: number;
+
+  keyMapOverrides: KeyMap;
+}
+
+/**
+ * Interface storage adapters must implement to persist key map overrides
+ */
+export interface KeyMapOverridesAdapter {
+  /**
+   * Returns the saved record, or null if nothing has been saved
+   */
+  load(): KeyMapOverridesRecord | null | Promise<KeyMapOverridesRecord | null>;
+
+  /**
+   * Saves a record, optionally returning a Promise that resolves once it's saved
+   */
+  save(record: KeyMapOverridesRecord): void | Promise<void>;
+
+  /**
+   * Registers a function to call when the record is changed elsewhere (e.g. in
+   * another tab), and returns a function that removes it
+   */
+  subscribe?(listener: (record: KeyMapOverridesRecord | null) => void): () => void;
+}
+
+export interface PersistKeyMapOverridesOptions {
+  /**
+   * Version of the application's key maps. Overrides saved for other versions
+   * are dropped, unless migrate is provided. Defaults to 1.
+   */
+  version?: number;
+
+  /**
+   * Names of the actions that may be overridden. Saved overrides for other
+   * actions are dropped.
+   */
+  actions?: Array<ActionName>;
+
+  /**
+   * Function that converts overrides saved for a different version
+   */
+  migrate?: (keyMapOverrides: KeyMap, version: number) => KeyMap | null;
+
+  /**
+   * KeyEventManager to apply the overrides to, if not the default one
+   */
+  manager?: KeyEventManager;
+}
+
+/**
+ * Loads and applies saved key map overrides, then saves them whenever they
+ * change. Returns a function that stops persisting them.
+ */
+export declare function persistKeyMapOverrides(adapter: KeyMapOverridesAdapter, options?: PersistKeyMapOverridesOptions): () => void;
+
+/**
+ * Storage adapter that saves key map overrides to localStorage
+ */
+export declare class LocalStorageAdapter implements KeyMapOverridesAdapter {
+  constructor(key?: string, storage?: Storage);
+
+  load(): KeyMapOverridesRecord | null;
+
+  save(record: KeyMapOverridesRecord): void;
+
+  subscribe(listener: (record: KeyMapOverridesRecord | null) => void): () => void;
+}
+
+/**
+ * Storage adapter that keeps key map overrides in memory
+ */
+export declare class MemoryAdapter implements KeyMapOverridesAdapter {
+  constructor(record?: KeyMapOverridesRecord | null);
+
+  load(): KeyMapOverridesRecord | null;
+
+  save(record: KeyMapOverridesRecord): void;
+
+  subscribe(listener: (record: KeyMapOverridesRecord | null) => void): () => void;
+}
+
+/**
+ * Creates a new KeyEventManager, independent from the default one, that may be
+ * passed to a HotKeysProvider
+ * @param configuration Options that override the global configuration for the
+ *        new KeyEventManager only
+ */
+export declare function createKeyEventManager(configuration?: object): KeyEventManager;
+
+/**
+ * Describes the symbols each key on a keyboard layout yields, when pressed with
+ * the shift and alt (or AltGr) keys
+ */
+export interface KeyboardLayout {
+  shifted?: { [keyName: string]: Array<string> };
+  alted?: { [keyName: string]: Array<string> };
+  altShifted?: { [keyName: string]: Array<string> };
+}
+
+/**
+ * The keyboard layouts that ship with React HotKeys, that may be selected by name
+ * using the keyboardLayout configuration option
+ */
+export declare const KeyboardLayouts: {
+  us: KeyboardLayout;
+  de: KeyboardLayout;
+  fr: KeyboardLayout;
+  nordic: KeyboardLayout;
+};
@@ -1,7 +1,7 @@
 import PropTypes from 'prop-types';
-import { Component } from 'react';
-import Configuration from './lib/Configuration';
+import React, { Component } from 'react';
 import KeyEventManager from './lib/KeyEventManager';
+import HotKeysContext from './lib/HotKeysContext';
 
 class GlobalHotKeys extends Component {
   static propTypes = {
@@ -22,30 +22,62 @@ class GlobalHotKeys extends Component {
      */
     handlers: PropTypes.object,
 
+    /**
+     * Function to call with the key event and the current key combination, when a
+     * key event does not match any action
+     * @type {Function}
+     */
+    onUnhandledKey: PropTypes.func,
+
     /**
      * Whether the keyMap or handlers are permitted to change after the
      * component mounts. If false, changes to the keyMap and handlers
      * props will be ignored
      */
-    allowChanges: PropTypes.bool
+    allowChanges: PropTypes.bool,
+
+    /**
+     * The element, document or window to listen for key events on. Defaults to
+     * the global document. Useful for listening to key events in iframes and
+     * windows opened with window.open, or only those within a particular element.
+     * @type {EventTarget}
+     */
+    target: PropTypes.object
   };
 
-  getChildContext() {
-    return {
-      globalHotKeysParentId: this._id
-    };
+  static contextType = HotKeysContext;
+
+  /**
+   * @see HotKeysEnabled._getChildContext
+   * @private
+   */
+  _getChildContext() {
+    if (this._parentContext !== this.context || !this._childContext) {
+      this._parentContext = this.context;
+
+      this._childContext = {
+        ...this.context,
+        globalHotKeysParentId: this._id
+      };
+    }
+
+    return this._childContext;
   }
 
   render() {
-    return this.props.children || null;
+    return (
+      <HotKeysContext.Provider value={ this._getChildContext() }>
+        { this.props.children }
+      </HotKeysContext.Provider>
+    );
   }
 
   componentDidUpdate() {
-    const keyEventManager = KeyEventManager.getInstance();
+    const keyEventManager = this._keyEventManager;
 
     keyEventManager.reregisterGlobalKeyMap(this._id, this.props.keyMap);
 
-    if (this.props.allowChanges || !Configuration.option('ignoreKeymapAndHandlerChangesByDefault')) {
+    if (this.props.allowChanges || !this._getConfiguration().option('ignoreKeymapAndHandlerChangesByDefault')) {
       const {keyMap, handlers} = this.props;
       /**
        * Component defines global hotkeys, so any changes to props may have changes
@@ -61,18 +93,27 @@ class GlobalHotKeys extends Component {
     }
   }
 
-  constructor(props) {
-    super(props);
+  constructor(props, context) {
+    super(props, context);
+
+    /**
+     * @see HotKeysEnabled._keyEventManager
+     */
+    this._keyEventManager = KeyEventManager.getInstanceFromContext(context);
 
-    this._id = KeyEventManager.getInstance().registerGlobalKeyMap(props.keyMap);
+    /**
+     * @see HotKeysEnabled._id
+     */
+    this._id = this._keyEventManager.getNewGlobalComponentId();
   }
 
   componentDidMount() {
     const {keyMap, handlers} = this.props;
     const {globalHotKeysParentId} = this.context;
 
-    const keyEventManager = KeyEventManager.getInstance();
+    const keyEventManager = this._keyEventManager;
 
+    keyEventManager.registerGlobalKeyMap(keyMap, this._id);
     keyEventManager.registerGlobalComponentMount(this._id, globalHotKeysParentId);
 
     keyEventManager.enableGlobalHotKeys(
@@ -85,29 +126,29 @@ class GlobalHotKeys extends Component {
   }
 
   componentWillUnmount(){
-    const keyEventManager = KeyEventManager.getInstance();
+    const keyEventManager = this._keyEventManager;
 
     keyEventManager.deregisterGlobalKeyMap(this._id);
     keyEventManager.disableGlobalHotKeys(this._id);
   }
 
+  _getConfiguration() {
+    return this._keyEventManager.configuration;
+  }
+
   _getComponentOptions() {
     return {
-      defaultKeyEvent: Configuration.option('defaultKeyEvent')
+      defaultKeyEvent: this._getConfiguration().option('defaultKeyEvent'),
+      target: this.props.target,
+      onUnhandledKey: this.props.onUnhandledKey
     };
   }
 
   _getEventOptions() {
     return {
-      ignoreEventsCondition: Configuration.option('ignoreEventsCondition')
+      ignoreEventsCondition: this._getConfiguration().option('ignoreEventsCondition')
     };
   }
 }
 
-GlobalHotKeys.contextTypes = {
-  globalHotKeysParentId: PropTypes.number,
-};
-
-GlobalHotKeys.childContextTypes = GlobalHotKeys.contextTypes;
-
 export default GlobalHotKeys;
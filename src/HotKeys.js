@@ -1,17 +1,20 @@
 import PropTypes from 'prop-types';
 import React, { Component } from 'react';
-import Configuration from './lib/Configuration';
+import KeyEventManager from './lib/KeyEventManager';
+import HotKeysContext from './lib/HotKeysContext';
 import withHotKeys from './withHotKeys';
 
 /**
  * @see HotKeysEnabled
  */
 class HotKeysWrapper extends Component {
+  static contextType = HotKeysContext;
 
   render() {
     const {hotKeys, innerRef, component, ...remainingProps} = this.props;
 
-    const DefaultComponent = component || Configuration.option('defaultComponent');
+    const {configuration} = KeyEventManager.getInstanceFromContext(this.context);
+    const DefaultComponent = component || configuration.option('defaultComponent');
 
     return (
       <DefaultComponent { ... { ...hotKeys, ref: innerRef, ...remainingProps } } />
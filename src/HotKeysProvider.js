@@ -0,0 +1,55 @@
+import PropTypes from 'prop-types';
+import React, { Component } from 'react';
+import HotKeysContext from './lib/HotKeysContext';
+
+/**
+ * Component that marks the root of a tree of HotKeys and GlobalHotKeys components.
+ * Components rendered inside it do not inherit the parent ids of any HotKeys or
+ * GlobalHotKeys components rendered outside of it. When it is not passed a manager,
+ * they use the manager of the closest HotKeysProvider ancestor that was given one.
+ *
+ * It is not necessary to use a HotKeysProvider - when one is not present, the
+ * default context is used.
+ */
+class HotKeysProvider extends Component {
+  static contextType = HotKeysContext;
+
+  static propTypes = {
+    /**
+     * KeyEventManager, created with createKeyEventManager, that the HotKeys and
+     * GlobalHotKeys components rendered inside the provider should register with,
+     * instead of the default one. Allows multiple React roots (or micro-frontends)
+     * on the same page to keep their key maps and handlers separate.
+     * @type {KeyEventManager}
+     */
+    manager: PropTypes.object
+  };
+
+  /**
+   * Returns the context value to pass to descendants. The value is only rebuilt
+   * when the manager changes, to avoid needlessly re-rendering consumers.
+   * When the provider is not passed a manager, the one of its closest ancestor
+   * provider (if any) is used.
+   * @returns {HotKeysContextValue} Context value for descendants
+   * @private
+   */
+  _getContextValue() {
+    const manager = this.props.manager || this.context.keyEventManager;
+
+    if (!this._contextValue || this._contextValue.keyEventManager !== manager) {
+      this._contextValue = manager ? { keyEventManager: manager } : {};
+    }
+
+    return this._contextValue;
+  }
+
+  render() {
+    return (
+      <HotKeysContext.Provider value={ this._getContextValue() }>
+        { this.props.children }
+      </HotKeysContext.Provider>
+    );
+  }
+}
+
+export default HotKeysProvider;
@@ -1,5 +1,6 @@
 import React, { Component } from 'react';
-import Configuration from './lib/Configuration';
+import KeyEventManager from './lib/KeyEventManager';
+import HotKeysContext from './lib/HotKeysContext';
 import withHotKeysIgnoreOverride from './withHotKeysIgnoreOverride';
 
 /**
@@ -11,10 +12,13 @@ import withHotKeysIgnoreOverride from './withHotKeysIgnoreOverride';
  * @see HotKeysIgnoreOverride
  */
 class IgnoreKeys extends Component {
+  static contextType = HotKeysContext;
+
   render() {
     const {hotKeys, ...remainingProps} = this.props;
 
-    const DefaultComponent = remainingProps.component || Configuration.option('defaultComponent');
+    const {configuration} = KeyEventManager.getInstanceFromContext(this.context);
+    const DefaultComponent = remainingProps.component || configuration.option('defaultComponent');
 
     return (
       <DefaultComponent { ... { ...hotKeys, ...remainingProps } } />
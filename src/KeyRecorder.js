@@ -0,0 +1,176 @@
+import PropTypes from 'prop-types';
+import React, { Component } from 'react';
+import KeyEventManager from './lib/KeyEventManager';
+import HotKeysContext from './lib/HotKeysContext';
+
+/**
+ * Component that records the key combination the user presses once it mounts, for
+ * building fields that let users choose the hot keys of actions. No handlers are
+ * called while it is recording.
+ *
+ * Renders the recorded sequence (or the placeholder), or the result of calling its
+ * children with the state of the recording and functions to control it.
+ *
+ * @see KeyEventManager.recordKeyCombination
+ */
+class KeyRecorder extends Component {
+  static propTypes = {
+    /**
+     * Function called with the RecordedKeySequence once the recording is confirmed
+     */
+    onRecord: PropTypes.func,
+
+    /**
+     * Function called each time a combination is recorded
+     */
+    onChange: PropTypes.func,
+
+    /**
+     * Function called when the recording is cancelled
+     */
+    onCancel: PropTypes.func,
+
+    /**
+     * Whether to record a sequence of combinations, until the recording is
+     * confirmed, rather than a single combination
+     */
+    sequence: PropTypes.bool,
+
+    /**
+     * Text to render while nothing has been recorded
+     */
+    placeholder: PropTypes.node,
+
+    /**
+     * The component used to render the recorded sequence, if not the default
+     * component
+     */
+    component: PropTypes.oneOfType([ PropTypes.string, PropTypes.func ]),
+
+    /**
+     * Function called with the state of the recording and the record, confirm
+     * and cancel functions, that returns what to render
+     */
+    children: PropTypes.oneOfType([ PropTypes.func, PropTypes.node ])
+  };
+
+  static defaultProps = {
+    sequence: false,
+    placeholder: ''
+  };
+
+  static contextType = HotKeysContext;
+
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      recording: false,
+      sequence: '',
+      combinations: []
+    };
+
+    this.record = this.record.bind(this);
+    this.confirm = this.confirm.bind(this);
+    this.cancel = this.cancel.bind(this);
+  }
+
+  componentDidMount() {
+    this.record();
+  }
+
+  componentWillUnmount() {
+    if (this._recording) {
+      this._recording.cancel();
+      this._recording = null;
+    }
+  }
+
+  /**
+   * Starts (or restarts) recording
+   */
+  record() {
+    const keyEventManager = KeyEventManager.getInstanceFromContext(this.context);
+
+    if (this._recording) {
+      this._recording.cancel();
+    }
+
+    this.setState({ recording: true, sequence: '', combinations: [] });
+
+    this._recording = keyEventManager.recordKeyCombination((recorded) => {
+      this._recording = null;
+      this.setState({ recording: false, ...recorded });
+
+      if (this.props.onRecord) {
+        this.props.onRecord(recorded);
+      }
+    }, {
+      sequence: this.props.sequence,
+      onChange: (recorded) => {
+        this.setState(recorded);
+
+        if (this.props.onChange) {
+          this.props.onChange(recorded);
+        }
+      }
+    });
+  }
+
+  /**
+   * Stops recording, calling onRecord with the combinations recorded so far
+   */
+  confirm() {
+    if (this._recording) {
+      const recording = this._recording;
+
+      this._recording = null;
+      recording.confirm();
+
+      this.setState({ recording: false });
+    }
+  }
+
+  /**
+   * Stops recording, without calling onRecord
+   */
+  cancel() {
+    if (this._recording) {
+      this._recording.cancel();
+      this._recording = null;
+
+      this.setState({ recording: false, sequence: '', combinations: [] });
+
+      if (this.props.onCancel) {
+        this.props.onCancel();
+      }
+    }
+  }
+
+  render() {
+    const {
+      onRecord, onChange, onCancel, sequence, placeholder, component, children,
+      ...remainingProps
+    } = this.props;
+
+    if (typeof children === 'function') {
+      return children({
+        ...this.state,
+        record: this.record,
+        confirm: this.confirm,
+        cancel: this.cancel
+      });
+    }
+
+    const { configuration } = KeyEventManager.getInstanceFromContext(this.context);
+    const DefaultComponent = component || configuration.option('defaultComponent');
+
+    return (
+      <DefaultComponent { ...remainingProps }>
+        { this.state.sequence || placeholder }
+      </DefaultComponent>
+    );
+  }
+}
+
+export default KeyRecorder;
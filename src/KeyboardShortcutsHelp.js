@@ -0,0 +1,392 @@
+import PropTypes from 'prop-types';
+import React, { Component } from 'react';
+import KeyEventManager from './lib/KeyEventManager';
+import HotKeysContext from './lib/HotKeysContext';
+import GlobalHotKeys from './GlobalHotKeys';
+import describeKeySequenceGlyphs from './helpers/displaying-key-maps/describeKeySequenceGlyphs';
+import getPlatform from './helpers/parsing-key-maps/getPlatform';
+import contains from './utils/collection/contains';
+
+/**
+ * Counter used to give each dialog unique ids to label its elements with
+ * @type {Number}
+ */
+let dialogCount = 0;
+
+/**
+ * Component that binds an action to open a dialog listing the application's hot
+ * keys, as returned by getApplicationKeyMap(). Actions are listed under their group,
+ * may be filtered by searching, and are marked as being available in the focus tree
+ * or globally.
+ *
+ * The dialog is labelled by its title, takes focus when it opens (returning it to
+ * where it was when it closes), keeps focus while it is open and is closed using
+ * the Escape key.
+ */
+class KeyboardShortcutsHelp extends Component {
+  static propTypes = {
+    /**
+     * Name of the action that opens the dialog
+     * @type {ActionName}
+     */
+    action: PropTypes.string,
+
+    /**
+     * Key sequence(s) that trigger the action, in any of the formats accepted by
+     * key maps
+     * @type {KeySequence}
+     */
+    sequence: PropTypes.oneOfType([ PropTypes.string, PropTypes.array, PropTypes.object ]),
+
+    /**
+     * Platform to display the keys for, if not the configured one
+     */
+    platform: PropTypes.oneOf([ 'mac', 'default' ]),
+
+    title: PropTypes.node,
+
+    /**
+     * Label (and placeholder) of the search field
+     */
+    searchLabel: PropTypes.string,
+
+    /**
+     * Label of the button that closes the dialog
+     */
+    closeLabel: PropTypes.string,
+
+    /**
+     * Title of the list of actions that do not belong to a group
+     */
+    ungroupedTitle: PropTypes.node,
+
+    /**
+     * Rendered when no actions match the search text
+     */
+    noResultsText: PropTypes.node,
+
+    /**
+     * Labels of the actions that are enabled in the focus tree (focused) or by
+     * GlobalHotKeys components (global)
+     */
+    scopeLabels: PropTypes.shape({
+      focused: PropTypes.node,
+      global: PropTypes.node
+    }),
+
+    /**
+     * Function called when the dialog opens
+     */
+    onOpen: PropTypes.func,
+
+    /**
+     * Function called when the dialog closes
+     */
+    onClose: PropTypes.func
+  };
+
+  static defaultProps = {
+    action: 'SHOW_KEYBOARD_SHORTCUTS',
+    sequence: { name: 'Show keyboard shortcuts', sequence: '?' },
+    title: 'Keyboard shortcuts',
+    searchLabel: 'Search keyboard shortcuts',
+    closeLabel: 'Close',
+    ungroupedTitle: 'Other',
+    noResultsText: 'No keyboard shortcuts found',
+    scopeLabels: { focused: 'Available here', global: 'Global' }
+  };
+
+  static contextType = HotKeysContext;
+
+  constructor(props) {
+    super(props);
+
+    this._id = `keyboard-shortcuts-help-${dialogCount++}`;
+
+    this.state = {
+      open: false,
+      search: '',
+      keyMap: {},
+      enabledActionNames: { focused: [], global: [] }
+    };
+
+    this.open = this.open.bind(this);
+    this.close = this.close.bind(this);
+    this._handleAction = this._handleAction.bind(this);
+    this._handleKeyDown = this._handleKeyDown.bind(this);
+    this._handleSearchChange = this._handleSearchChange.bind(this);
+
+    this._dialogRef = React.createRef();
+    this._searchRef = React.createRef();
+  }
+
+  /**
+   * Opens the dialog. The application's key map, and the actions that are enabled,
+   * are read when the dialog opens, before focus moves into the dialog.
+   */
+  open() {
+    if (this.state.open) {
+      return;
+    }
+
+    const keyEventManager = KeyEventManager.getInstanceFromContext(this.context);
+
+    this._previouslyFocusedElement = document.activeElement;
+
+    this.setState({
+      open: true,
+      search: '',
+      keyMap: keyEventManager.getApplicationKeyMap(),
+      enabledActionNames: keyEventManager.getEnabledActionNames()
+    });
+
+    if (this.props.onOpen) {
+      this.props.onOpen();
+    }
+  }
+
+  /**
+   * Opens the dialog when its action is triggered, preventing the default behaviour
+   * of the key event so the key isn't typed into the search field once it's focused
+   * @returns {Object} Options for handling the key event
+   * @private
+   */
+  _handleAction() {
+    this.open();
+
+    return { preventDefault: true };
+  }
+
+  /**
+   * Closes the dialog
+   */
+  close() {
+    if (!this.state.open) {
+      return;
+    }
+
+    this.setState({ open: false });
+
+    if (this.props.onClose) {
+      this.props.onClose();
+    }
+  }
+
+  componentDidUpdate(prevProps, prevState) {
+    if (this.state.open && !prevState.open) {
+      this._searchRef.current.focus();
+    } else if (!this.state.open && prevState.open) {
+      const element = this._previouslyFocusedElement;
+
+      if (element && element.focus && document.body.contains(element)) {
+        element.focus();
+      }
+
+      this._previouslyFocusedElement = null;
+    }
+  }
+
+  render() {
+    const { action, sequence } = this.props;
+
+    return (
+      <GlobalHotKeys keyMap={{ [action]: sequence }} handlers={{ [action]: this._handleAction }}>
+        { this.state.open && this._renderDialog() }
+      </GlobalHotKeys>
+    );
+  }
+
+  _renderDialog() {
+    const {
+      action, sequence, platform, title, searchLabel, closeLabel, ungroupedTitle,
+      noResultsText, scopeLabels, onOpen, onClose, ...remainingProps
+    } = this.props;
+
+    const groups = this._getGroups();
+
+    return (
+      <div
+        { ...remainingProps }
+        role='dialog'
+        aria-modal='true'
+        aria-labelledby={ `${this._id}-title` }
+        ref={ this._dialogRef }
+        onKeyDown={ this._handleKeyDown }
+      >
+        <h2 id={ `${this._id}-title` }>{ title }</h2>
+
+        <input
+          type='search'
+          ref={ this._searchRef }
+          value={ this.state.search }
+          onChange={ this._handleSearchChange }
+          aria-label={ searchLabel }
+          placeholder={ searchLabel }
+        />
+
+        <button type='button' onClick={ this.close }>{ closeLabel }</button>
+
+        { groups.length === 0 && <p role='status'>{ noResultsText }</p> }
+
+        { groups.map(({ title: groupTitle, actions }, index) => {
+          const groupTitleId = `${this._id}-group-${index}`;
+
+          return (
+            <section key={ index } aria-labelledby={ groupTitleId }>
+              <h3 id={ groupTitleId }>{ groupTitle || ungroupedTitle }</h3>
+
+              <table>
+                <tbody>
+                  { actions.map((actionDescription) => this._renderAction(actionDescription)) }
+                </tbody>
+              </table>
+            </section>
+          );
+        }) }
+      </div>
+    );
+  }
+
+  _renderAction({ actionName, name, description, sequences, scope }) {
+    return (
+      <tr key={ actionName } data-scope={ scope || 'inactive' }>
+        <th scope='row'>
+          { name }
+          { description && <p>{ description }</p> }
+        </th>
+
+        <td>
+          { sequences.map(({ sequence }, index) => (
+            <span key={ index }>
+              { index > 0 && ', ' }
+              { this._renderKeySequence(sequence) }
+            </span>
+          )) }
+        </td>
+
+        <td>{ scope && this.props.scopeLabels[scope] }</td>
+      </tr>
+    );
+  }
+
+  _renderKeySequence(sequence) {
+    const platform = this.props.platform || getPlatform();
+    const keySeparator = platform === 'mac' ? '' : '+';
+
+    return describeKeySequenceGlyphs(sequence, platform).map((keyLabels, combinationIndex) => (
+      <React.Fragment key={ combinationIndex }>
+        { combinationIndex > 0 && ' ' }
+
+        <kbd>
+          { keyLabels.map((keyLabel, keyIndex) => (
+            <React.Fragment key={ keyIndex }>
+              { keyIndex > 0 && keySeparator }
+              <kbd>{ keyLabel }</kbd>
+            </React.Fragment>
+          )) }
+        </kbd>
+      </React.Fragment>
+    ));
+  }
+
+  /**
+   * @typedef {Object} KeyboardShortcutsGroup
+   * @property {String} title - Title of the group, or undefined for the actions that
+   *           do not belong to one
+   * @property {Object[]} actions - Descriptions of the actions in the group
+   */
+
+  /**
+   * Returns the actions that match the search text, in their groups. Actions that
+   * do not belong to a group are listed last, and actions that are not bound to any
+   * key sequences are left out.
+   * @returns {KeyboardShortcutsGroup[]} Groups of actions
+   * @private
+   */
+  _getGroups() {
+    const { keyMap, enabledActionNames, search } = this.state;
+    const searchText = search.trim().toLowerCase();
+
+    const groups = Object.keys(keyMap).reduce((memo, actionName) => {
+      const { name = actionName, description, group } = keyMap[actionName];
+      const sequences = keyMap[actionName].sequences.filter(({ sequence }) => sequence);
+
+      if (sequences.length === 0) {
+        return memo;
+      }
+
+      const searchableText = [
+        name, description, group, ...sequences.map(({ sequence }) => sequence)
+      ].join(' ').toLowerCase();
+
+      if (searchText && searchableText.indexOf(searchText) === -1) {
+        return memo;
+      }
+
+      let actionGroup = memo.find(({ title }) => title === group);
+
+      if (!actionGroup) {
+        actionGroup = { title: group, actions: [] };
+        memo.push(actionGroup);
+      }
+
+      actionGroup.actions.push({
+        actionName,
+        name,
+        description,
+        sequences,
+        scope: getScope(actionName, enabledActionNames)
+      });
+
+      return memo;
+    }, []);
+
+    return [
+      ...groups.filter(({ title }) => title),
+      ...groups.filter(({ title }) => !title)
+    ];
+  }
+
+  _handleSearchChange({ target: { value } }) {
+    this.setState({ search: value });
+  }
+
+  /**
+   * Closes the dialog when Escape is pressed, and keeps focus inside the dialog
+   * when Tab is pressed on its first or last focusable element
+   * @private
+   */
+  _handleKeyDown(event) {
+    if (event.key === 'Escape') {
+      event.stopPropagation();
+
+      this.close();
+    } else if (event.key === 'Tab') {
+      const focusableElements =
+        this._dialogRef.current.querySelectorAll('input, button, [tabindex]:not([tabindex="-1"])');
+
+      const first = focusableElements[0];
+      const last = focusableElements[focusableElements.length - 1];
+
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+  }
+}
+
+function getScope(actionName, { focused, global }) {
+  if (contains(focused, actionName)) {
+    return 'focused';
+  } else if (contains(global, actionName)) {
+    return 'global';
+  }
+
+  return null;
+}
+
+export default KeyboardShortcutsHelp;
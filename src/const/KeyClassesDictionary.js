@@ -0,0 +1,11 @@
+/**
+ * Dictionary of the names of the classes of keys that may be used in key sequences
+ * in place of a key name, and the patterns that the names of the keys in each class
+ * match
+ */
+const KeyClassesDictionary = {
+  digit: /^[0-9]$/,
+  letter: /^[a-z]$/i
+};
+
+export default KeyClassesDictionary;
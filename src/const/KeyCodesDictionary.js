@@ -0,0 +1,36 @@
+/**
+ * A mapping between the names of keys on a US QWERTY keyboard and the
+ * KeyboardEvent.code values that identify their physical position. Used to allow
+ * key maps that match on event.code to continue using familiar key names (e.g.
+ * 'ctrl+z' instead of 'ctrl+KeyZ').
+ *
+ * Letters and digits are generated below, and keys with names that are already the
+ * same as their codes (e.g. Enter, ArrowUp, F1) are omitted.
+ */
+const KeyCodesDictionary = {
+  '`': 'Backquote',
+  '-': 'Minus',
+  '=': 'Equal',
+  '[': 'BracketLeft',
+  ']': 'BracketRight',
+  '\\': 'Backslash',
+  ';': 'Semicolon',
+  "'": 'Quote',
+  ',': 'Comma',
+  '.': 'Period',
+  '/': 'Slash',
+  ' ': 'Space'
+};
+
+'abcdefghijklmnopqrstuvwxyz'.split('').forEach((letter) => {
+  const code = `Key${letter.toUpperCase()}`;
+
+  KeyCodesDictionary[letter] = code;
+  KeyCodesDictionary[letter.toUpperCase()] = code;
+});
+
+'0123456789'.split('').forEach((digit) => {
+  KeyCodesDictionary[digit] = `Digit${digit}`;
+});
+
+export default KeyCodesDictionary;
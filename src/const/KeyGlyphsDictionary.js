@@ -0,0 +1,44 @@
+/**
+ * Symbols and abbreviations used to display keys to users, for each platform. Keys
+ * that are not listed are displayed using their name.
+ */
+const KeyGlyphsDictionary = {
+  mac: {
+    Meta: '⌘',
+    Control: '⌃',
+    Alt: '⌥',
+    Shift: '⇧',
+    Enter: '↩',
+    Backspace: '⌫',
+    Delete: '⌦',
+    Escape: '⎋',
+    Tab: '⇥',
+    CapsLock: '⇪',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    PageUp: '⇞',
+    PageDown: '⇟',
+    Home: '↖',
+    End: '↘',
+    ' ': 'Space'
+  },
+
+  default: {
+    Meta: 'Win',
+    Control: 'Ctrl',
+    Escape: 'Esc',
+    Delete: 'Del',
+    Insert: 'Ins',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    PageUp: 'PgUp',
+    PageDown: 'PgDn',
+    ' ': 'Space'
+  }
+};
+
+export default KeyGlyphsDictionary;
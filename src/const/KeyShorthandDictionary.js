@@ -3,6 +3,7 @@
  */
 const KeyShorthandDictionary = {
   'cmd': 'Meta',
+  'asterisk': '*',
 };
 
 export default KeyShorthandDictionary;
@@ -0,0 +1,18 @@
+import USKeyboardLayout from './keyboard-layouts/USKeyboardLayout';
+import GermanKeyboardLayout from './keyboard-layouts/GermanKeyboardLayout';
+import FrenchKeyboardLayout from './keyboard-layouts/FrenchKeyboardLayout';
+import NordicKeyboardLayout from './keyboard-layouts/NordicKeyboardLayout';
+
+/**
+ * Dictionary of the keyboard layouts that ship with React HotKeys, that may be
+ * selected by name using the keyboardLayout configuration option
+ * @type {Object.<String, KeyboardLayout>}
+ */
+const KeyboardLayouts = {
+  us: USKeyboardLayout,
+  de: GermanKeyboardLayout,
+  fr: FrenchKeyboardLayout,
+  nordic: NordicKeyboardLayout,
+};
+
+export default KeyboardLayouts;
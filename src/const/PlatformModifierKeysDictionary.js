@@ -0,0 +1,11 @@
+/**
+ * Names that may be used in key maps to refer to the modifier key conventionally used
+ * for shortcuts on the current platform, and the key they refer to on each platform
+ */
+const PlatformModifierKeysDictionary = {
+  'mod': { mac: 'Meta', default: 'Control' },
+  'cmdorctrl': { mac: 'Meta', default: 'Control' },
+  'commandorcontrol': { mac: 'Meta', default: 'Control' }
+};
+
+export default PlatformModifierKeysDictionary;
@@ -0,0 +1,47 @@
+/**
+ * The French (AZERTY) keyboard layout, with the symbols available using AltGr
+ * @type {KeyboardLayout}
+ */
+const FrenchKeyboardLayout = {
+  shifted: {
+    '&': [ '1' ],
+    'é': [ '2' ],
+    '"': [ '3' ],
+    "'": [ '4' ],
+    '(': [ '5' ],
+    '-': [ '6' ],
+    'è': [ '7' ],
+    '_': [ '8' ],
+    'ç': [ '9' ],
+    'à': [ '0' ],
+    ')': [ '°' ],
+    '=': [ 'plus' ],
+    '^': [ '¨' ],
+    '$': [ '£' ],
+    'ù': [ '%' ],
+    '*': [ 'µ' ],
+    '<': [ '>' ],
+    ',': [ '?' ],
+    ';': [ '.' ],
+    ':': [ '/' ],
+    '!': [ '§' ],
+  },
+  alted: {
+    'é': [ '~' ],
+    '"': [ '#' ],
+    "'": [ '{' ],
+    '(': [ '[' ],
+    '-': [ '|' ],
+    'è': [ '`' ],
+    '_': [ '\\' ],
+    'ç': [ '^' ],
+    'à': [ '@' ],
+    ')': [ ']' ],
+    '=': [ '}' ],
+    '$': [ '¤' ],
+    'e': [ '€' ],
+  },
+  altShifted: {},
+};
+
+export default FrenchKeyboardLayout;
@@ -0,0 +1,44 @@
+/**
+ * The German (QWERTZ) keyboard layout, with the symbols available using AltGr
+ * @type {KeyboardLayout}
+ */
+const GermanKeyboardLayout = {
+  shifted: {
+    '^': [ '°' ],
+    '1': [ '!' ],
+    '2': [ '"' ],
+    '3': [ '§' ],
+    '4': [ '$' ],
+    '5': [ '%' ],
+    '6': [ '&' ],
+    '7': [ '/' ],
+    '8': [ '(' ],
+    '9': [ ')' ],
+    '0': [ '=' ],
+    'ß': [ '?' ],
+    '´': [ '`' ],
+    'plus': [ '*' ],
+    '#': [ "'" ],
+    '<': [ '>' ],
+    ',': [ ';' ],
+    '.': [ ':' ],
+    '-': [ '_' ],
+  },
+  alted: {
+    '2': [ '²' ],
+    '3': [ '³' ],
+    '7': [ '{' ],
+    '8': [ '[' ],
+    '9': [ ']' ],
+    '0': [ '}' ],
+    'ß': [ '\\' ],
+    'plus': [ '~' ],
+    '<': [ '|' ],
+    'q': [ '@' ],
+    'e': [ '€' ],
+    'm': [ 'µ' ],
+  },
+  altShifted: {},
+};
+
+export default GermanKeyboardLayout;
@@ -0,0 +1,46 @@
+/**
+ * The Swedish and Finnish keyboard layout, with the symbols available using AltGr.
+ * The Norwegian and Danish layouts share the number row and most of the symbols.
+ * @type {KeyboardLayout}
+ */
+const NordicKeyboardLayout = {
+  shifted: {
+    '§': [ '½' ],
+    '1': [ '!' ],
+    '2': [ '"' ],
+    '3': [ '#' ],
+    '4': [ '¤' ],
+    '5': [ '%' ],
+    '6': [ '&' ],
+    '7': [ '/' ],
+    '8': [ '(' ],
+    '9': [ ')' ],
+    '0': [ '=' ],
+    'plus': [ '?' ],
+    '´': [ '`' ],
+    '¨': [ '^' ],
+    "'": [ '*' ],
+    '<': [ '>' ],
+    ',': [ ';' ],
+    '.': [ ':' ],
+    '-': [ '_' ],
+  },
+  alted: {
+    '2': [ '@' ],
+    '3': [ '£' ],
+    '4': [ '$' ],
+    '5': [ '€' ],
+    '7': [ '{' ],
+    '8': [ '[' ],
+    '9': [ ']' ],
+    '0': [ '}' ],
+    'plus': [ '\\' ],
+    '¨': [ '~' ],
+    '<': [ '|' ],
+    'e': [ '€' ],
+    'm': [ 'µ' ],
+  },
+  altShifted: {},
+};
+
+export default NordicKeyboardLayout;
@@ -0,0 +1,27 @@
+import ShiftedKeysDictionary from '../ShiftedKeysDictionary';
+import AltedKeysDictionary from '../AltedKeysDictionary';
+import AltShiftedKeysDictionary from '../AltShiftedKeysDictionary';
+
+/**
+ * @typedef {Object} KeyboardLayout Description of the symbols each key on a keyboard
+ *          layout yields, when pressed with modifier keys
+ * @property {Object.<NormalizedKeyName, ReactKeyName[]>} shifted Symbols for each key,
+ *          when pressed with the shift key
+ * @property {Object.<NormalizedKeyName, ReactKeyName[]>} alted Symbols for each key,
+ *          when pressed with the alt (or AltGr) key
+ * @property {Object.<NormalizedKeyName, ReactKeyName[]>} altShifted Symbols for each
+ *          key, when pressed with the alt and shift keys
+ */
+
+/**
+ * The US keyboard layout (as it is on a Mac), including the shifted symbols of the
+ * UK layout. This is the layout used by default.
+ * @type {KeyboardLayout}
+ */
+const USKeyboardLayout = {
+  shifted: ShiftedKeysDictionary,
+  alted: AltedKeysDictionary,
+  altShifted: AltShiftedKeysDictionary,
+};
+
+export default USKeyboardLayout;
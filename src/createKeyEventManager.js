@@ -0,0 +1,16 @@
+import KeyEventManager from './lib/KeyEventManager';
+
+/**
+ * Creates a new KeyEventManager, independent from the default one, that may be
+ * passed to a HotKeysProvider so that the HotKeys and GlobalHotKeys components
+ * rendered inside it do not interfere with those of other React roots.
+ * @param {Object} configuration Configuration options that override the global
+ *        configuration for the new KeyEventManager only
+ * @returns {KeyEventManager} New KeyEventManager
+ * @see Configuration.init
+ */
+function createKeyEventManager(configuration = {}) {
+  return new KeyEventManager(configuration);
+}
+
+export default createKeyEventManager;
@@ -0,0 +1,19 @@
+import KeyEventManager from './lib/KeyEventManager';
+
+/**
+ * Returns the key sequences that are bound to more than one action, either in the
+ * same key map, or in the key maps of a component and one of its descendants (where
+ * the descendant's action shadows its ancestor's), across all of the HotKeys and
+ * GlobalHotKeys components that are currently mounted
+ * @param {Object} options - Options for how the conflicts are found
+ * @param {KeyEventManager} options.manager - The KeyEventManager whose components'
+ *        key maps to search, if not the default one
+ * @returns {KeyMapConflict[]} List of key map conflicts
+ */
+function findKeyMapConflicts(options = {}) {
+  const { manager = KeyEventManager.getInstance() } = options;
+
+  return manager.findKeyMapConflicts();
+}
+
+export default findKeyMapConflicts;
@@ -1,17 +1,30 @@
 import KeyEventManager from './lib/KeyEventManager';
 
 /**
- * @typedef {Object.<ActionName, KeyEventDescription[]>} ApplicationKeyMap
+ * Description of an action in the application's key map: its key sequences, along
+ * with the metadata (name, description, group, etc) defined in the key map
+ * @typedef {ActionMetadata} ActionDescription
+ * @property {KeySequenceOptions[]} sequences - The key sequences of the action, and
+ *           the key events they are matched on (if specified)
+ */
+
+/**
+ * @typedef {Object.<ActionName, ActionDescription>} ApplicationKeyMap
  */
 
 /**
  * Generates and returns the application's key map, including not only those
  * that are live in the current focus, but all the key maps from all the
  * HotKeys and GlobalHotKeys components that are currently mounted
+ * @param {Object} options - Options for how the key map is generated
+ * @param {KeyEventManager} options.manager - The KeyEventManager whose components'
+ *        key maps to include, if not the default one
  * @returns {ApplicationKeyMap} The application's key map
  */
-function getApplicationKeyMap() {
-  return KeyEventManager.getInstance().getApplicationKeyMap();
+function getApplicationKeyMap(options = {}) {
+  const { manager = KeyEventManager.getInstance() } = options;
+
+  return manager.getApplicationKeyMap();
 }
 
 export default getApplicationKeyMap;
@@ -0,0 +1,17 @@
+import KeyEventManager from './lib/KeyEventManager';
+
+/**
+ * Returns the key map overrides currently in effect
+ * @param {Object} options - Options for how the overrides are returned
+ * @param {KeyEventManager} options.manager - The KeyEventManager to return the
+ *        overrides of, if not the default one
+ * @returns {KeyMap} Map of action names to the key sequences they are bound to,
+ *          instead of those declared in components' key maps
+ */
+function getKeyMapOverrides(options = {}) {
+  const { manager = KeyEventManager.getInstance() } = options;
+
+  return manager.getKeyMapOverrides();
+}
+
+export default getKeyMapOverrides;
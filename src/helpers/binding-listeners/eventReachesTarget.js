@@ -0,0 +1,33 @@
+/**
+ * Returns whether a keyboard event, as it propagates, reaches the specified event
+ * target (an element, document or window) that a GlobalHotKeys component listens on
+ * @param {KeyboardEvent} event The keyboard event
+ * @param {EventTarget} target The element, document or window being listened on
+ * @returns {Boolean} true if the event is dispatched to the target
+ */
+function eventReachesTarget(event, target) {
+  const node = event.target;
+
+  /**
+   * Simulated events (and those created in tests) may not have a target, in
+   * which case they are assumed to reach every target
+   */
+  if (!node || node === target) {
+    return true;
+  }
+
+  if (target.document) {
+    /**
+     * Target is a window
+     */
+    return node === target.document || node.ownerDocument === target.document;
+  }
+
+  if (target.nodeType === Node.DOCUMENT_NODE) {
+    return node.ownerDocument === target;
+  }
+
+  return typeof target.contains === 'function' && target.contains(node);
+}
+
+export default eventReachesTarget;
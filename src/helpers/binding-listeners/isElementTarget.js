@@ -0,0 +1,11 @@
+/**
+ * Returns whether the specified event target is an element (rather than a
+ * document or a window)
+ * @param {EventTarget} target The event target to check
+ * @returns {Boolean} true if the target is an element
+ */
+function isElementTarget(target) {
+  return target.nodeType === Node.ELEMENT_NODE;
+}
+
+export default isElementTarget;
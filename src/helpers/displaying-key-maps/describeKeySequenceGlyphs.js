@@ -0,0 +1,29 @@
+import KeyGlyphsDictionary from '../../const/KeyGlyphsDictionary';
+import standardizeKeyName from '../parsing-key-maps/standardizeKeyName';
+import stripSuperfluousWhitespace from '../../utils/string/stripSuperfluousWhitespace';
+
+/**
+ * Returns the labels to display for the keys of a key sequence, using the symbols
+ * and abbreviations users of a platform are familiar with
+ * @param {KeySequenceString} sequence - Key sequence, as it appears in a key map
+ * @param {'mac'|'default'} platform - Platform to display the keys for
+ * @returns {String[][]} List of the sequence's combinations, each a list of the
+ *          labels of its keys
+ */
+function describeKeySequenceGlyphs(sequence, platform = 'default') {
+  const glyphs = KeyGlyphsDictionary[platform] || KeyGlyphsDictionary.default;
+
+  return stripSuperfluousWhitespace(sequence).split(' ').map((combination) => {
+    return combination.replace(/^\+|(\s|[^+]\+)\+/, '$1plus').split('+').map((keyName) => {
+      const standardKeyName = keyName === 'plus' ? '+' : standardizeKeyName(keyName, platform);
+
+      if (glyphs[standardKeyName]) {
+        return glyphs[standardKeyName];
+      }
+
+      return standardKeyName.length === 1 ? standardKeyName.toUpperCase() : standardKeyName;
+    });
+  });
+}
+
+export default describeKeySequenceGlyphs;
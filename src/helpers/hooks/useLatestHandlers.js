@@ -0,0 +1,36 @@
+import {useRef, useMemo} from 'react';
+
+/**
+ * Returns a HandlersMap with the same action names as the one passed to it, but
+ * with each handler replaced by a function that calls the handler that was passed
+ * on the most recent render. This allows hooks to register their handlers with
+ * the KeyEventManager once, while still always calling the latest closures.
+ *
+ * The returned HandlersMap only changes identity when the set of action names
+ * changes.
+ * @param {HandlersMap} handlers Map of action names to handler functions
+ * @returns {HandlersMap} Map of action names to functions that call the most
+ *          recent handlers
+ */
+function useLatestHandlers(handlers) {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  const actionNames = Object.keys(handlers);
+
+  return useMemo(() => {
+    return actionNames.reduce((memo, actionName) => {
+      memo[actionName] = (...args) => {
+        const handler = handlersRef.current[actionName];
+
+        if (handler) {
+          return handler(...args);
+        }
+      };
+
+      return memo;
+    }, {});
+  }, [JSON.stringify(actionNames)]);
+}
+
+export default useLatestHandlers;
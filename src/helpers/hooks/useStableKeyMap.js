@@ -0,0 +1,18 @@
+import {useMemo} from 'react';
+
+/**
+ * Returns the key map passed to it, keeping the identity of the key map passed on
+ * an earlier render for as long as its contents do not change. This allows hooks
+ * to be passed key maps defined inline, without re-registering them on every
+ * render.
+ *
+ * Key maps are compared by their JSON representation, so values that can't be
+ * represented as JSON (e.g. functions in action metadata) are not compared.
+ * @param {KeyMap} keyMap Map of action names to key sequences
+ * @returns {KeyMap} The key map, or an earlier one with the same contents
+ */
+function useStableKeyMap(keyMap) {
+  return useMemo(() => keyMap, [JSON.stringify(keyMap)]);
+}
+
+export default useStableKeyMap;
@@ -0,0 +1,35 @@
+import expandKeyMapOptions from './expandKeyMapOptions';
+import getActionMetadata from './getActionMetadata';
+
+/**
+ * Returns the value of an action in a key map, with its key sequences replaced by
+ * those of an override. The action's metadata (name, description, group, etc) is kept,
+ * and the options of its key sequences (action, hold, taps, exact, preventDefault,
+ * etc) are applied to the overriding sequences, unless the override sets them itself.
+ * @param {KeySequence} keyMapValue - The value of the action in the key map
+ * @param {KeySequence} override - The key sequences to bind the action to instead. An
+ *        empty array (or null) leaves the action without any key sequences.
+ * @returns {KeyMapOptions} The value of the action, with the override applied
+ */
+function applyKeyMapOverride(keyMapValue, override) {
+  const sequenceOptions = getSequenceOptions(keyMapValue);
+
+  return {
+    ...getActionMetadata(keyMapValue),
+    sequences: expandKeyMapOptions(override).map((sequence) => ({ ...sequenceOptions, ...sequence }))
+  };
+}
+
+/**
+ * Returns the options of the key sequences of an action in a key map, without the
+ * sequences themselves. When the action has more than one key sequence, their options
+ * are merged.
+ * @private
+ */
+function getSequenceOptions(keyMapValue) {
+  return expandKeyMapOptions(keyMapValue).reduce((memo, { sequence, ...options }) => {
+    return { ...memo, ...options };
+  }, {});
+}
+
+export default applyKeyMapOverride;
@@ -0,0 +1,18 @@
+/**
+ * @typedef {'mac'|'default'} Platform The platform the application is running on, as
+ *          far as the names and symbols of modifier keys are concerned
+ */
+
+/**
+ * Returns the platform the browser is running on
+ * @returns {Platform} 'mac' on macOS and iOS, and 'default' everywhere else
+ */
+function detectPlatform() {
+  if (typeof navigator === 'undefined') {
+    return 'default';
+  }
+
+  return /Mac|iPhone|iPad|iPod/.test(navigator.platform || '') ? 'mac' : 'default';
+}
+
+export default detectPlatform;
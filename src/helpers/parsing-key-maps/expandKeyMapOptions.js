@@ -0,0 +1,77 @@
+import arrayFrom from '../../utils/array/arrayFrom';
+import isObject from '../../utils/object/isObject';
+import hasKey from '../../utils/object/hasKey';
+
+/**
+ * Options describing a single key sequence of an action
+ * @typedef {Object} KeySequenceOptions
+ * @property {MouseTrapKeySequence} sequence - The key sequence
+ * @property {KeyEventName} action - The key event the sequence should be matched on
+ * @property {'key'|'code'} match - Whether to match the sequence by key name or code
+ * @property {Number|Boolean} sequenceTimeout - Maximum number of milliseconds between
+ *           the combinations of the sequence
+ * @property {Number|Boolean} repeat - Whether key events fired while the keys are held
+ *           down trigger the action, or the minimum number of milliseconds between them
+ * @property {Boolean} exact - Whether the sequence only matches when no modifier keys
+ *           other than the ones it names are held down
+ * @property {Number} hold - Number of milliseconds the keys must be held down before
+ *           the action is triggered
+ * @property {Number} taps - Number of times the keys must be tapped to trigger the action
+ * @property {Number|Boolean} tapTimeout - Maximum number of milliseconds between taps
+ * @property {Boolean} preventDefault - Whether to prevent the default behaviour of key
+ *           events that trigger the action
+ * @property {Boolean} stopPropagation - Whether to stop key events that trigger the
+ *           action from propagating
+ */
+
+/**
+ * Names of the attributes of a key map entry that describe how its key sequences are
+ * matched, rather than the action itself
+ * @type {String[]}
+ */
+export const KeySequenceAttributes = [
+  'sequence', 'sequences', 'action', 'match', 'sequenceTimeout', 'repeat', 'exact', 'hold',
+  'taps', 'tapTimeout', 'preventDefault', 'stopPropagation'
+];
+
+/**
+ * Returns the list of key sequences described by the value of an action in a key map,
+ * which may be a key sequence string, an object with a sequence or list of sequences,
+ * or an array of either. Sequences listed in an object's sequences attribute inherit
+ * the options of that object.
+ * @param {KeySequence} keyMapValue - The value of an action in a key map
+ * @returns {KeySequenceOptions[]} List of the key sequences of the action
+ */
+function expandKeyMapOptions(keyMapValue) {
+  return arrayFrom(keyMapValue).reduce((memo, keyMapOption) => {
+    if (!isObject(keyMapOption)) {
+      memo.push({ sequence: keyMapOption });
+
+      return memo;
+    }
+
+    const sequenceOptions = KeySequenceAttributes.reduce((options, attribute) => {
+      if (attribute !== 'sequence' && attribute !== 'sequences' && hasKey(keyMapOption, attribute)) {
+        options[attribute] = keyMapOption[attribute];
+      }
+
+      return options;
+    }, {});
+
+    if (hasKey(keyMapOption, 'sequences')) {
+      arrayFrom(keyMapOption.sequences).forEach((sequence) => {
+        if (isObject(sequence)) {
+          memo.push({ ...sequenceOptions, ...sequence });
+        } else {
+          memo.push({ ...sequenceOptions, sequence });
+        }
+      });
+    } else {
+      memo.push({ ...sequenceOptions, sequence: keyMapOption.sequence });
+    }
+
+    return memo;
+  }, []);
+}
+
+export default expandKeyMapOptions;
@@ -0,0 +1,34 @@
+import arrayFrom from '../../utils/array/arrayFrom';
+import isObject from '../../utils/object/isObject';
+import { KeySequenceAttributes } from './expandKeyMapOptions';
+
+/**
+ * Information describing an action, for displaying to the user
+ * @typedef {Object} ActionMetadata
+ * @property {String} name - Human-readable name of the action
+ * @property {String} description - Description of what the action does
+ * @property {String} group - Name of the group the action belongs to
+ */
+
+/**
+ * Returns the metadata (name, description, group and any other attributes that
+ * do not describe its key sequences) of an action in a key map. When the action
+ * is described by more than one object, their attributes are merged.
+ * @param {KeySequence} keyMapValue - The value of an action in a key map
+ * @returns {ActionMetadata} The metadata of the action
+ */
+function getActionMetadata(keyMapValue) {
+  return arrayFrom(keyMapValue).reduce((memo, keyMapOption) => {
+    if (isObject(keyMapOption)) {
+      Object.keys(keyMapOption).forEach((attribute) => {
+        if (KeySequenceAttributes.indexOf(attribute) === -1) {
+          memo[attribute] = keyMapOption[attribute];
+        }
+      });
+    }
+
+    return memo;
+  }, {});
+}
+
+export default getActionMetadata;
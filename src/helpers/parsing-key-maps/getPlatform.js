@@ -0,0 +1,19 @@
+import Configuration from '../../lib/Configuration';
+import detectPlatform from './detectPlatform';
+
+/**
+ * Returns the platform set by the platform configuration option, calling it if it's
+ * a function, or detects the platform if the option is not set
+ * @returns {Platform} The platform the application is running on
+ */
+function getPlatform() {
+  const platform = Configuration.option('platform');
+
+  if (typeof platform === 'function') {
+    return platform();
+  }
+
+  return platform || detectPlatform();
+}
+
+export default getPlatform;
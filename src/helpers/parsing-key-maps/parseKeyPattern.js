@@ -0,0 +1,51 @@
+import KeyClassesDictionary from '../../const/KeyClassesDictionary';
+
+/**
+ * @typedef {String} KeyPattern Name of a class of keys (digit or letter), a range of
+ *          keys (e.g. F1-F12, 1-5 or a-f), or any (written * or any) for any key other
+ *          than a modifier key, that is used in a key sequence in place of a key name
+ */
+
+/**
+ * Returns the normalized KeyPattern that a key name in a key sequence describes.
+ *
+ * The wildcard is normalized to any, rather than *, so the * key itself can still
+ * appear in key dictionaries (it's written asterisk in key sequences).
+ * @param {KeyName} keyName Name of the key, as it appears in the key sequence
+ * @returns {KeyPattern|undefined} The normalized KeyPattern, or undefined if the key
+ *          name is not a KeyPattern
+ */
+function parseKeyPattern(keyName) {
+  const _keyName = keyName.toLowerCase();
+
+  if (_keyName === '*' || _keyName === 'any') {
+    return 'any';
+  }
+
+  if (KeyClassesDictionary[_keyName]) {
+    return _keyName;
+  }
+
+  const range = _keyName.match(/^(.+)-(.+)$/);
+
+  if (range) {
+    const [, first, last] = range;
+
+    const functionKeys = [first, last].map((name) => name.match(/^f(\d+)$/));
+
+    if (functionKeys[0] && functionKeys[1]) {
+      if (parseInt(functionKeys[0][1], 10) <= parseInt(functionKeys[1][1], 10)) {
+        return `F${functionKeys[0][1]}-F${functionKeys[1][1]}`;
+      }
+    } else if (isRangeBoundary(first) && isRangeBoundary(last) && first <= last &&
+      KeyClassesDictionary.digit.test(first) === KeyClassesDictionary.digit.test(last)) {
+      return _keyName;
+    }
+  }
+}
+
+function isRangeBoundary(keyName) {
+  return KeyClassesDictionary.digit.test(keyName) || KeyClassesDictionary.letter.test(keyName);
+}
+
+export default parseKeyPattern;
@@ -0,0 +1,19 @@
+import KeyCodesDictionary from '../../const/KeyCodesDictionary';
+
+/**
+ * @typedef {String} KeyCode The KeyboardEvent.code value that identifies the
+ *          physical key on the keyboard (e.g. KeyZ), regardless of the keyboard layout
+ */
+
+/**
+ * Returns the code of the physical key that produces the specified key name on a US
+ * QWERTY keyboard. Names that are already codes (or special keys, like Enter, that
+ * have codes of the same name) are returned unchanged.
+ * @param {ReactKeyName} keyName Name of the key
+ * @returns {KeyCode} The code of the physical key
+ */
+function resolveKeyCode(keyName) {
+  return KeyCodesDictionary[keyName] || keyName;
+}
+
+export default resolveKeyCode;
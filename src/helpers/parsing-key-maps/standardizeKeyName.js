@@ -1,5 +1,7 @@
 import MousetrapToReactKeyNamesDictionary from '../../const/MousetrapToReactKeyNamesDictionary';
 import KeyShorthandDictionary from '../../const/KeyShorthandDictionary';
+import PlatformModifierKeysDictionary from '../../const/PlatformModifierKeysDictionary';
+import getPlatform from './getPlatform';
 
 /**
  * @typedef {String} KeyName Name of the keyboard key
@@ -11,13 +13,21 @@ import KeyShorthandDictionary from '../../const/KeyShorthandDictionary';
 
 /**
  * Returns the name for the specified key used by React. Supports translating key aliases
- * used by mousetrap to their counterparts in React
+ * used by mousetrap to their counterparts in React, and 'mod' (or 'CmdOrCtrl') to the
+ * modifier key used for shortcuts on the platform
  * @param {KeyName} keyName Name of the key to resolve to the React equivalent
+ * @param {Platform} platform Platform to resolve 'mod' for, if not the configured one
  * @returns {ReactKeyName} Name used by React to refer to the key
  */
-function standardizeKeyName(keyName) {
+function standardizeKeyName(keyName, platform) {
   const _keyName = keyName.toLowerCase();
 
+  const platformModifierKeys = PlatformModifierKeysDictionary[_keyName];
+
+  if (platformModifierKeys) {
+    return platformModifierKeys[platform || getPlatform()] || platformModifierKeys.default;
+  }
+
   return MousetrapToReactKeyNamesDictionary[_keyName] || KeyShorthandDictionary[_keyName] || (keyName.match(/^f\d+$/) ? keyName.toUpperCase() : keyName);
 }
 
@@ -0,0 +1,51 @@
+import KeyCombinationSerializer from '../../lib/KeyCombinationSerializer';
+import KeyEventBitmapIndex from '../../const/KeyEventBitmapIndex';
+import expandKeyMapOptions from '../parsing-key-maps/expandKeyMapOptions';
+import hasKey from '../../utils/object/hasKey';
+import isString from '../../utils/string/isString';
+import isUndefined from '../../utils/isUndefined';
+
+/**
+ * Returns a copy of saved key map overrides, without those that refer to unknown
+ * actions or contain invalid key sequences
+ * @param {KeyMap} keyMapOverrides - The saved key map overrides
+ * @param {Object} options - Options for which overrides are valid
+ * @param {ActionName[]} options.actions - Names of the actions that may be
+ *        overridden. When omitted, overrides for any action are kept.
+ * @param {Function} options.onInvalid - Function called with the action name and a
+ *        description of why its override was dropped
+ * @returns {KeyMap} The valid key map overrides
+ */
+function sanitizeKeyMapOverrides(keyMapOverrides, options = {}) {
+  const { actions, onInvalid = () => {} } = options;
+
+  return Object.keys(keyMapOverrides).reduce((memo, actionName) => {
+    if (actions && actions.indexOf(actionName) === -1) {
+      onInvalid(actionName, 'it refers to an action that no longer exists');
+
+      return memo;
+    }
+
+    const keySequences = expandKeyMapOptions(keyMapOverrides[actionName]);
+
+    const invalidSequence = keySequences.find(({ sequence }) => {
+      return !isString(sequence) || !KeyCombinationSerializer.isValidKeySerialization(sequence);
+    });
+
+    const invalidKeyEvent = keySequences.find(({ action }) => {
+      return !isUndefined(action) && !hasKey(KeyEventBitmapIndex, action);
+    });
+
+    if (invalidSequence) {
+      onInvalid(actionName, `'${invalidSequence.sequence}' is not a valid key sequence`);
+    } else if (invalidKeyEvent) {
+      onInvalid(actionName, `'${invalidKeyEvent.action}' is not a valid key event`);
+    } else {
+      memo[actionName] = keyMapOverrides[actionName];
+    }
+
+    return memo;
+  }, {});
+}
+
+export default sanitizeKeyMapOverrides;
@@ -0,0 +1,25 @@
+import ModifierFlagsDictionary from '../../const/ModifierFlagsDictionary';
+import contains from '../../utils/collection/contains';
+
+/**
+ * Order modifier keys appear in, at the start of recorded key combinations
+ * @type {ReactKeyName[]}
+ */
+const ModifierKeyOrder = [ 'Control', 'Alt', 'Shift', 'Meta' ];
+
+/**
+ * Returns the canonical string of a key combination that has been recorded, with the
+ * modifier keys first (in a fixed order) and the remaining keys in the order they
+ * were pressed
+ * @param {ReactKeyName[]} keyNames - Names of the keys in the combination, in the
+ *        order they were pressed
+ * @returns {KeyCombinationString} The key combination, in the format used by key maps
+ */
+function describeRecordedKeyCombination(keyNames) {
+  const modifierKeys = ModifierKeyOrder.filter((keyName) => contains(keyNames, keyName));
+  const otherKeys = keyNames.filter((keyName) => !ModifierFlagsDictionary[keyName]);
+
+  return [ ...modifierKeys, ...otherKeys ].join('+');
+}
+
+export default describeRecordedKeyCombination;
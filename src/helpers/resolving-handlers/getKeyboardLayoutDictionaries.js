@@ -0,0 +1,83 @@
+import Configuration from '../../lib/Configuration';
+import KeyboardLayouts from '../../const/KeyboardLayouts';
+import invertArrayDictionary from '../../utils/invertArrayDictionary';
+import arrayFrom from '../../utils/array/arrayFrom';
+import isString from '../../utils/string/isString';
+import hasKey from '../../utils/object/hasKey';
+
+/**
+ * Dictionaries of the symbols yielded by each key when pressed with modifier keys
+ * (and the reverse) for the configured keyboard layouts
+ * @typedef {Object} KeyboardLayoutDictionaries
+ * @property {Object.<NormalizedKeyName, ReactKeyName[]>} shifted
+ * @property {Object.<ReactKeyName, NormalizedKeyName[]>} unshifted
+ * @property {Object.<NormalizedKeyName, ReactKeyName[]>} alted
+ * @property {Object.<ReactKeyName, NormalizedKeyName[]>} unalted
+ * @property {Object.<NormalizedKeyName, ReactKeyName[]>} altShifted
+ * @property {Object.<ReactKeyName, NormalizedKeyName[]>} unaltShifted
+ */
+
+let cachedKeyboardLayout = null;
+let cachedDictionaries = null;
+
+/**
+ * Returns the dictionaries used to resolve the aliases of keys pressed with modifier
+ * keys, for the keyboard layouts set by the keyboardLayout configuration option.
+ *
+ * The dictionaries are only rebuilt when the configuration option changes.
+ * @returns {KeyboardLayoutDictionaries} Dictionaries for the configured layouts
+ */
+function getKeyboardLayoutDictionaries() {
+  const keyboardLayout = Configuration.option('keyboardLayout');
+
+  if (keyboardLayout !== cachedKeyboardLayout || !cachedDictionaries) {
+    cachedKeyboardLayout = keyboardLayout;
+    cachedDictionaries = buildDictionaries(resolveKeyboardLayouts(keyboardLayout));
+  }
+
+  return cachedDictionaries;
+}
+
+function resolveKeyboardLayouts(keyboardLayout) {
+  return arrayFrom(keyboardLayout).map((layout) => {
+    if (isString(layout)) {
+      return KeyboardLayouts[layout] || {};
+    }
+
+    return layout;
+  });
+}
+
+function buildDictionaries(layouts) {
+  const shifted = mergeDictionaries(layouts, 'shifted');
+  const alted = mergeDictionaries(layouts, 'alted');
+  const altShifted = mergeDictionaries(layouts, 'altShifted');
+
+  return {
+    shifted,
+    unshifted: invertArrayDictionary(shifted),
+    alted,
+    unalted: invertArrayDictionary(alted),
+    altShifted,
+    unaltShifted: invertArrayDictionary(altShifted),
+  };
+}
+
+function mergeDictionaries(layouts, dictionaryName) {
+  return layouts.reduce((memo, layout) => {
+    const dictionary = layout[dictionaryName] || {};
+
+    Object.keys(dictionary).forEach((keyName) => {
+      const symbols = hasKey(memo, keyName) ? memo[keyName] : [];
+
+      memo[keyName] = [
+        ...symbols,
+        ...dictionary[keyName].filter((symbol) => symbols.indexOf(symbol) === -1)
+      ];
+    });
+
+    return memo;
+  }, {});
+}
+
+export default getKeyboardLayoutDictionaries;
@@ -0,0 +1,41 @@
+import KeyClassesDictionary from '../../const/KeyClassesDictionary';
+import ModifierFlagsDictionary from '../../const/ModifierFlagsDictionary';
+
+/**
+ * Returns whether a key belongs to the class or range of keys described by a KeyPattern
+ * @param {ReactKeyName} keyName Name of the key
+ * @param {KeyPattern} keyPattern Normalized KeyPattern to match the key against
+ * @returns {Boolean} true if the key matches the KeyPattern
+ */
+function keyMatchesPattern(keyName, keyPattern) {
+  if (keyPattern === 'any') {
+    return !ModifierFlagsDictionary[keyName];
+  }
+
+  const keyClass = KeyClassesDictionary[keyPattern];
+
+  if (keyClass) {
+    return keyClass.test(keyName);
+  }
+
+  const [first, last] = keyPattern.split('-');
+
+  const functionKey = keyName.match(/^F(\d+)$/);
+
+  if (functionKey) {
+    const number = parseInt(functionKey[1], 10);
+
+    return first[0] === 'F' &&
+      number >= parseInt(first.slice(1), 10) && number <= parseInt(last.slice(1), 10);
+  }
+
+  if (keyName.length !== 1 || first[0] === 'F') {
+    return false;
+  }
+
+  const _keyName = keyName.toLowerCase();
+
+  return _keyName >= first && _keyName <= last;
+}
+
+export default keyMatchesPattern;
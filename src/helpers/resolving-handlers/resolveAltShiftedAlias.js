@@ -1,4 +1,4 @@
-import AltShiftedKeysDictionary from '../../const/AltShiftedKeysDictionary';
+import getKeyboardLayoutDictionaries from './getKeyboardLayoutDictionaries';
 
 /**
  * Returns the corresponding symbol or character for a particular key, when it is
@@ -8,7 +8,7 @@ import AltShiftedKeysDictionary from '../../const/AltShiftedKeysDictionary';
  *          alt and shit keys
  */
 function resolveAltShiftedAlias(keyName) {
-  return AltShiftedKeysDictionary[keyName] || [ keyName ];
+  return getKeyboardLayoutDictionaries().altShifted[keyName] || [ keyName ];
 }
 
 export default resolveAltShiftedAlias;
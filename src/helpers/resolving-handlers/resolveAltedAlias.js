@@ -1,4 +1,4 @@
-import AltedKeysDictionary from '../../const/AltedKeysDictionary';
+import getKeyboardLayoutDictionaries from './getKeyboardLayoutDictionaries';
 
 /**
  * Returns the corresponding symbol or character for a particular key, when it is
@@ -8,7 +8,7 @@ import AltedKeysDictionary from '../../const/AltedKeysDictionary';
  *          alt key
  */
 function resolveAltedAlias(keyName) {
-  return AltedKeysDictionary[keyName] || [ keyName ];
+  return getKeyboardLayoutDictionaries().alted[keyName] || [ keyName ];
 }
 
 export default resolveAltedAlias;
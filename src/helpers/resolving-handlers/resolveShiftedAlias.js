@@ -1,4 +1,4 @@
-import ShiftedKeysDictionary from '../../const/ShiftedKeysDictionary';
+import getKeyboardLayoutDictionaries from './getKeyboardLayoutDictionaries';
 
 /**
  * Returns the corresponding symbol or character for a particular key, when it is
@@ -8,7 +8,7 @@ import ShiftedKeysDictionary from '../../const/ShiftedKeysDictionary';
  *          shift key
  */
 function resolveShiftedAlias(keyName) {
-  return ShiftedKeysDictionary[keyName] || [ keyName.length === 1 ? keyName.toUpperCase(): keyName ];
+  return getKeyboardLayoutDictionaries().shifted[keyName] || [ keyName.length === 1 ? keyName.toUpperCase(): keyName ];
 }
 
 export default resolveShiftedAlias;
@@ -1,4 +1,4 @@
-import UnaltShiftedKeysDictionary from '../../const/reverse-dictionaries/UnaltShiftedKeysDictionary';
+import getKeyboardLayoutDictionaries from './getKeyboardLayoutDictionaries';
 import resolveUnshiftedAlias from './resolveUnshiftedAlias';
 
 /**
@@ -9,7 +9,7 @@ import resolveUnshiftedAlias from './resolveUnshiftedAlias';
  *          yield the specified symbol
  */
 function resolveUnaltShiftedAlias(keyName) {
-  return UnaltShiftedKeysDictionary[keyName] || resolveUnshiftedAlias(keyName);
+  return getKeyboardLayoutDictionaries().unaltShifted[keyName] || resolveUnshiftedAlias(keyName);
 }
 
 export default resolveUnaltShiftedAlias;
@@ -1,4 +1,4 @@
-import UnaltedKeysDictionary from '../../const/reverse-dictionaries/UnaltedKeysDictionary';
+import getKeyboardLayoutDictionaries from './getKeyboardLayoutDictionaries';
 
 /**
  * Returns the name of the key that must be pressed with the alt key, to yield the
@@ -8,7 +8,7 @@ import UnaltedKeysDictionary from '../../const/reverse-dictionaries/UnaltedKeysD
  *          yield the specified symbol
  */
 function resolveUnaltedAlias(keyName) {
-  return UnaltedKeysDictionary[keyName] || [ keyName ];
+  return getKeyboardLayoutDictionaries().unalted[keyName] || [ keyName ];
 }
 
 export default resolveUnaltedAlias;
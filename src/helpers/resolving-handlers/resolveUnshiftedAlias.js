@@ -1,4 +1,4 @@
-import UnshiftedKeysDictionary from '../../const/reverse-dictionaries/UnshiftedKeysDictionary';
+import getKeyboardLayoutDictionaries from './getKeyboardLayoutDictionaries';
 
 /**
  * Returns the name of the key that must be pressed with the shift key, to yield the
@@ -8,7 +8,7 @@ import UnshiftedKeysDictionary from '../../const/reverse-dictionaries/UnshiftedK
  *          yield the specified symbol
  */
 function resolveUnshiftedAlias(keyName) {
-  return UnshiftedKeysDictionary[keyName] || [ keyName.length === 1 ? keyName.toLowerCase(): keyName ];
+  return getKeyboardLayoutDictionaries().unshifted[keyName] || [ keyName.length === 1 ? keyName.toLowerCase(): keyName ];
 }
 
 export default resolveUnshiftedAlias;
@@ -2,11 +2,30 @@ export {default as HotKeys} from './HotKeys';
 export {default as GlobalHotKeys} from './GlobalHotKeys';
 export {default as IgnoreKeys} from './IgnoreKeys';
 export {default as ObserveKeys} from './ObserveKeys';
+export {default as HotKeysProvider} from './HotKeysProvider';
+export {default as KeyRecorder} from './KeyRecorder';
+export {default as KeyboardShortcutsHelp} from './KeyboardShortcutsHelp';
 
 export {default as withHotKeys} from './withHotKeys';
 export {default as withIgnoreKeys} from './withIgnoreKeys';
 export {default as withObserveKeys} from './withObserveKeys';
+
+export {default as useHotKeys} from './useHotKeys';
+export {default as useGlobalHotKeys} from './useGlobalHotKeys';
+
 export {default as configure} from './configure';
+export {default as createKeyEventManager} from './createKeyEventManager';
 
 export {default as getApplicationKeyMap} from './getApplicationKeyMap';
+export {default as findKeyMapConflicts} from './findKeyMapConflicts';
+
+export {default as setKeyMapOverrides} from './setKeyMapOverrides';
+export {default as getKeyMapOverrides} from './getKeyMapOverrides';
+export {default as persistKeyMapOverrides} from './persistKeyMapOverrides';
+export {default as LocalStorageAdapter} from './lib/persistence/LocalStorageAdapter';
+export {default as MemoryAdapter} from './lib/persistence/MemoryAdapter';
+
+export {default as recordKeyCombination} from './recordKeyCombination';
+
+export {default as KeyboardLayouts} from './const/KeyboardLayouts';
 
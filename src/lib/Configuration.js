@@ -1,4 +1,8 @@
 import dictionaryFrom from '../utils/object/dictionaryFrom';
+import hasKey from '../utils/object/hasKey';
+import arrayFrom from '../utils/array/arrayFrom';
+import isString from '../utils/string/isString';
+import KeyboardLayouts from '../const/KeyboardLayouts';
 
 /**
  * Default configuration values
@@ -17,6 +21,76 @@ const _defaultConfiguration = {
    */
   defaultKeyEvent: 'keydown',
 
+  /**
+   * The maximum number of milliseconds that may pass between the key combinations of
+   * a sequence (e.g. 'g i'), before it's no longer considered to be the same sequence.
+   * Individual key map entries may override this option using the sequenceTimeout
+   * attribute. When false, any amount of time may pass between combinations.
+   * @type {Number|Boolean}
+   */
+  sequenceTimeout: 1000,
+
+  /**
+   * The maximum number of milliseconds between the taps of actions that are triggered
+   * by tapping keys more than once (using the taps attribute). Individual key map
+   * entries may override this option using the tapTimeout attribute.
+   * @type {Number|Boolean}
+   */
+  tapTimeout: 300,
+
+  /**
+   * Whether the key events the browser fires repeatedly while keys are held down
+   * trigger actions (true), are ignored (false), or trigger actions at most once every
+   * given number of milliseconds. Individual key map entries may override this option
+   * using the repeat attribute.
+   * @type {Number|Boolean}
+   */
+  repeat: true,
+
+  /**
+   * Whether key combinations only match when no modifier keys other than the ones they
+   * name are held down, so 'ctrl+a' doesn't match ctrl+shift+a. Individual key map
+   * entries may override this option using the exact attribute.
+   * @type {Boolean}
+   */
+  exact: false,
+
+  /**
+   * Whether key maps are matched against the names of the keys pressed (event.key),
+   * which depend on the keyboard layout, or the physical keys pressed (event.code).
+   *
+   * When matching by code, key maps may use either codes (e.g. 'ctrl+KeyZ') or the
+   * names of the keys in the same position on a US QWERTY keyboard (e.g. 'ctrl+z').
+   * Modifier keys are always matched by name. Individual key map entries may override
+   * this option using the match attribute.
+   * @type {'key'|'code'}
+   */
+  matchBy: 'key',
+
+  /**
+   * The keyboard layout (or list of layouts) used to resolve the symbols keys yield
+   * when pressed with the shift and alt keys, so key maps like 'shift+7' match the
+   * key events of the symbol that key yields (e.g. '/' on a German keyboard).
+   *
+   * Layouts may be specified using the name of one of the KeyboardLayouts that ship
+   * with React HotKeys, or using an object describing the layout. This option can only
+   * be set globally, using configure (createKeyEventManager rejects it).
+   * @type {String|KeyboardLayout|Array.<String|KeyboardLayout>}
+   */
+  keyboardLayout: 'us',
+
+  /**
+   * The platform the application is running on, which determines the modifier key
+   * that 'mod' (and 'CmdOrCtrl') refer to in key maps: Meta on 'mac', and Control
+   * everywhere else ('default'). When null, the platform is detected from the browser.
+   *
+   * May also be a function that returns the platform, to detect it some other way.
+   * This option can only be set globally, using configure (createKeyEventManager
+   * rejects it).
+   * @type {Platform|Function|null}
+   */
+  platform: null,
+
   /**
    * The default component type to wrap HotKey components' children in, to provide
    * the required focus and keyboard event listening for HotKeys to function
@@ -99,6 +173,27 @@ const _defaultConfiguration = {
    * any further through the Render tree).
    */
   stopEventPropagationAfterIgnoring: true,
+
+  /**
+   * Whether the event listeners used by GlobalHotKeys components should be bound
+   * to document in the capture phase, rather than the bubble phase. This allows
+   * global hot keys to be matched before any other event listeners (including
+   * those of HotKeys components) get the chance to stop the event's propagation.
+   *
+   * The value is read when the listeners are bound (when the first GlobalHotKeys
+   * component mounts).
+   * @type {Boolean}
+   */
+  captureGlobalKeyEvents: false,
+
+  /**
+   * Whether to log a warning for each key map conflict (as returned by
+   * findKeyMapConflicts) when a component mounts. Warnings are only logged in
+   * development builds, and finding the conflicts of a component adds to the time
+   * it takes to mount, so this is off by default.
+   * @type {Boolean}
+   */
+  warnOfKeyMapConflicts: false,
 };
 
 const _configuration = {
@@ -110,9 +205,17 @@ const _configuration = {
  */
 _configuration._ignoreTagsDict = dictionaryFrom(_configuration.ignoreTags, true);
 
+/**
+ * Names of the options that are read when key maps are parsed, rather than by a
+ * KeyEventManager, and so can only be set globally
+ * @private
+ */
+const _globalOnlyOptions = ['keyboardLayout', 'platform'];
+
 /**
  * Handles getting and setting global configuration values, that affect how
- * React Hotkeys behaves
+ * React Hotkeys behaves. Instances provide configuration scoped to a single
+ * KeyEventManager, that falls back to the global values.
  * @class
  */
 class Configuration {
@@ -121,22 +224,10 @@ class Configuration {
    * @see _configuration
    */
   static init(configuration) {
-    const { ignoreTags } = configuration;
+    const normalizedConfiguration = normalizeConfiguration(configuration);
 
-    if (ignoreTags) {
-      configuration._ignoreTagsDict = dictionaryFrom(configuration.ignoreTags);
-    }
-
-    if(process.env.NODE_ENV === 'production') {
-      if (['verbose', 'debug', 'info'].indexOf(configuration.logLevel) !== -1) {
-        console.warn(
-          `React HotKeys: You have requested log level '${configuration.logLevel}' but for performance reasons, logging below severity level 'warning' is disabled in production. Please use the development build for complete logs.`
-        )
-      }
-    }
-
-    Object.keys(configuration).forEach((key) => {
-      this.set(key, configuration[key])
+    Object.keys(normalizedConfiguration).forEach((key) => {
+      this.set(key, normalizedConfiguration[key])
     })
   }
 
@@ -161,6 +252,82 @@ class Configuration {
   static option(key) {
     return _configuration[key];
   }
+
+  /**
+   * Creates a new configuration, scoped to a single KeyEventManager. Options that
+   * are not specified fall back to the global configuration values. Options that can
+   * only be set globally are dropped with a warning.
+   * @param {Object} configuration - Configuration options to override
+   */
+  constructor(configuration = {}) {
+    const scopedConfiguration = { ...configuration };
+
+    _globalOnlyOptions.forEach((key) => {
+      if (hasKey(scopedConfiguration, key)) {
+        console.warn(
+          `React HotKeys: The '${key}' option can only be set globally, using configure(). It has been ignored.`
+        );
+
+        delete scopedConfiguration[key];
+      }
+    });
+
+    this._configuration = normalizeConfiguration(scopedConfiguration);
+  }
+
+  /**
+   * Gets a single configuration value by name, falling back to the global
+   * configuration if it has not been overridden
+   * @param {String} key - Name of the configuration value
+   * @returns {*} Configuration value
+   */
+  option(key) {
+    if (hasKey(this._configuration, key)) {
+      return this._configuration[key];
+    }
+
+    return Configuration.option(key);
+  }
+}
+
+/**
+ * Returns a copy of the specified configuration options, with any derived values
+ * added and a warning logged if they are not supported by the current build
+ * @param {Object} configuration - Configuration options
+ * @returns {Object} Normalized configuration options
+ * @private
+ */
+function normalizeConfiguration(configuration) {
+  const normalizedConfiguration = { ...configuration };
+  const { ignoreTags, keyboardLayout, platform } = configuration;
+
+  if (ignoreTags) {
+    normalizedConfiguration._ignoreTagsDict = dictionaryFrom(ignoreTags);
+  }
+
+  arrayFrom(keyboardLayout).forEach((layout) => {
+    if (isString(layout) && !hasKey(KeyboardLayouts, layout)) {
+      console.warn(
+        `React HotKeys: Unknown keyboard layout '${layout}'. Please use one of: ${Object.keys(KeyboardLayouts).join(', ')}, or an object describing the layout.`
+      );
+    }
+  });
+
+  if (isString(platform) && ['mac', 'default'].indexOf(platform) === -1) {
+    console.warn(
+      `React HotKeys: Unknown platform '${platform}'. Please use 'mac', 'default', or a function that returns one of them.`
+    );
+  }
+
+  if(process.env.NODE_ENV === 'production') {
+    if (['verbose', 'debug', 'info'].indexOf(configuration.logLevel) !== -1) {
+      console.warn(
+        `React HotKeys: You have requested log level '${configuration.logLevel}' but for performance reasons, logging below severity level 'warning' is disabled in production. Please use the development build for complete logs.`
+      )
+    }
+  }
+
+  return normalizedConfiguration;
 }
 
 export default Configuration;
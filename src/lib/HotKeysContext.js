@@ -0,0 +1,21 @@
+import React from 'react';
+
+/**
+ * @typedef {Object} HotKeysContextValue Values passed down the render tree to
+ *          HotKeys and GlobalHotKeys components
+ * @property {ComponentId} hotKeysParentId Id of the closest HotKeys component
+ *           ancestor, if there is one
+ * @property {ComponentId} globalHotKeysParentId Id of the closest GlobalHotKeys
+ *           component ancestor, if there is one
+ * @property {KeyEventManager} keyEventManager KeyEventManager provided by the
+ *           closest HotKeysProvider, if it was passed one
+ */
+
+/**
+ * Context used to build the tree of HotKeys and GlobalHotKeys components, so that
+ * each component is able to declare its parent when it mounts
+ * @type {React.Context<HotKeysContextValue>}
+ */
+const HotKeysContext = React.createContext({});
+
+export default HotKeysContext;
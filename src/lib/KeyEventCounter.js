@@ -1,31 +1,33 @@
-import isUndefined from '../utils/isUndefined';
-
 /**
- * Manages the incrementing of a globally unique event id
+ * Manages the incrementing of an event id that is unique to a KeyEventManager
  * @class
  */
 class KeyEventCounter {
   /**
-   * Globally unique event id
+   * Unique event id
    * @typedef {Number} EventId
    */
 
+  constructor() {
+    /**
+     * The current event id
+     * @type {EventId}
+     */
+    this.id = 0;
+  }
+
   /**
    * Get the current event id
    * @returns {EventId} The current event ID
    */
-  static getId() {
-    if (isUndefined(this.id)){
-      this.id = 0;
-    }
-
+  getId() {
     return this.id;
   }
 
   /**
    * Increment the current event id
    */
-  static incrementId(){
+  incrementId(){
     this.id = this.getId() + 1;
   }
 }
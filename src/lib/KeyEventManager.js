@@ -3,7 +3,9 @@ import FocusOnlyKeyEventStrategy from './strategies/FocusOnlyKeyEventStrategy';
 import GlobalKeyEventStrategy from './strategies/GlobalKeyEventStrategy';
 import isFromFocusOnlyComponent from '../helpers/resolving-handlers/isFromFocusOnlyComponent';
 import Configuration from './Configuration';
+import KeyEventCounter from './KeyEventCounter';
 import EventResponse from '../const/EventResponse';
+import without from '../utils/collection/without';
 
 /**
  * Provides a registry for keyboard sequences and events, and the handlers that should
@@ -27,22 +29,71 @@ class KeyEventManager {
     return this.instance;
   }
 
+  /**
+   * Discards the current KeyEventManager instance (and removes any event listeners
+   * it has bound to document), so the next call to getInstance creates a new one
+   */
   static clear() {
+    if (this.instance) {
+      this.instance._globalEventStrategy.unbindListeners();
+    }
+
     delete this.instance;
   }
 
+  /**
+   * Returns the KeyEventManager instance provided by the closest HotKeysProvider
+   * component, or the default instance if there is none
+   * @param {HotKeysContextValue} context The context value received by the component
+   * @returns {KeyEventManager} The key event manager instance
+   */
+  static getInstanceFromContext(context = {}) {
+    return context.keyEventManager || this.getInstance();
+  }
+
   /**
    * Creates a new KeyEventManager instance. It is expected that only a single instance
    * will be used with a render tree.
+   * @param {Object} configuration Configuration object, containing options that
+   *        override the global configuration for this instance only
+   * @param {Logger} configuration.logger Logger instance
    */
   constructor(configuration = {}) {
-    this.logger = configuration.logger || new Logger(Configuration.option('logLevel'));
+    const { logger, ...options } = configuration;
+
+    this.configuration = new Configuration(options);
+
+    this.logger = logger || new Logger(this.configuration.option('logLevel'));
+
+    /**
+     * Counter shared between both strategies, so key events are assigned the same
+     * id as they pass from the React app to the document
+     * @type {KeyEventCounter}
+     */
+    this.keyEventCounter = new KeyEventCounter();
 
-    this._focusOnlyEventStrategy =
-      new FocusOnlyKeyEventStrategy({ configuration, logger: this.logger }, this);
+    /**
+     * Key sequences that users have bound actions to, in place of those declared in
+     * the components' key maps
+     * @type {KeyMap}
+     */
+    this.keyMapOverrides = {};
 
-    this._globalEventStrategy =
-      new GlobalKeyEventStrategy({ configuration, logger: this.logger }, this);
+    /**
+     * Functions to call when the key map overrides change
+     * @type {Function[]}
+     */
+    this.keyMapOverridesListeners = [];
+
+    const strategyOptions = {
+      configuration: this.configuration,
+      keyEventCounter: this.keyEventCounter,
+      logger: this.logger
+    };
+
+    this._focusOnlyEventStrategy = new FocusOnlyKeyEventStrategy(strategyOptions, this);
+
+    this._globalEventStrategy = new GlobalKeyEventStrategy(strategyOptions, this);
   }
 
   /********************************************************************************
@@ -55,19 +106,129 @@ class KeyEventManager {
       this._focusOnlyEventStrategy.getApplicationKeyMap()
     );
   }
+
+  /**
+   * Returns the names of the actions that are currently enabled: those defined by the
+   * HotKeys components in the focus tree, and by the mounted GlobalHotKeys components
+   * @returns {{focused: ActionName[], global: ActionName[]}} Names of the enabled
+   *          actions of each kind of component
+   */
+  getEnabledActionNames() {
+    return {
+      focused: this._focusOnlyEventStrategy.getEnabledActionNames(),
+      global: this._globalEventStrategy.getEnabledActionNames()
+    };
+  }
+
+  /********************************************************************************
+   * Overriding key maps
+   ********************************************************************************/
+
+  /**
+   * Replaces the key sequences actions are bound to, for all components that define
+   * those actions in their key maps. The changes take effect immediately, including
+   * for components that are currently in focus or mounted.
+   * @param {KeyMap} keyMapOverrides - Map of action names to the key sequences they
+   *        should be bound to instead. Replaces any overrides previously set.
+   */
+  setKeyMapOverrides(keyMapOverrides = {}) {
+    this.keyMapOverrides = { ...keyMapOverrides };
+
+    this._focusOnlyEventStrategy.applyKeyMapOverrides();
+    this._globalEventStrategy.applyKeyMapOverrides();
+
+    this.keyMapOverridesListeners.forEach((listener) => listener(this.keyMapOverrides));
+  }
+
+  /**
+   * Registers a function to call whenever the key map overrides change
+   * @param {Function} listener - Function to call with the new key map overrides
+   * @returns {Function} Function that removes the listener
+   */
+  subscribeToKeyMapOverrides(listener) {
+    this.keyMapOverridesListeners.push(listener);
+
+    return () => {
+      this.keyMapOverridesListeners = without(this.keyMapOverridesListeners, listener);
+    };
+  }
+
+  /**
+   * Returns the key map overrides currently in effect
+   * @returns {KeyMap} Map of action names to the key sequences they are bound to
+   *          instead of those declared in the components' key maps
+   */
+  getKeyMapOverrides() {
+    return this.keyMapOverrides;
+  }
+
+  /**
+   * Returns the key sequences that are bound to more than one action, in the same
+   * key map or in the key maps of nested HotKeys or GlobalHotKeys components
+   * @returns {KeyMapConflict[]} List of key map conflicts. Conflicts between
+   *          GlobalHotKeys components have their global attribute set to true.
+   * @see AbstractKeyEventStrategy.findKeyMapConflicts
+   */
+  findKeyMapConflicts() {
+    return [
+      ...this._focusOnlyEventStrategy.findKeyMapConflicts().map((conflict) => {
+        return { ...conflict, global: false };
+      }),
+      ...this._globalEventStrategy.findKeyMapConflicts().map((conflict) => {
+        return { ...conflict, global: true };
+      })
+    ];
+  }
+
+  /********************************************************************************
+   * Recording key combinations
+   ********************************************************************************/
+
+  /**
+   * Records the next key combination (or sequence of combinations) pressed, instead
+   * of matching it against the key maps of the mounted components
+   * @param {Function} callback - Function to call with the RecordedKeySequence once
+   *        the recording is confirmed
+   * @param {Object} options - Options for how the key combination is recorded
+   * @returns {{cancel: Function, confirm: Function}} Functions that stop the recording
+   * @see GlobalKeyEventStrategy.recordKeyCombination
+   */
+  recordKeyCombination(callback, options = {}) {
+    return this._globalEventStrategy.recordKeyCombination(callback, options);
+  }
+
+  /**
+   * Whether a key combination is currently being recorded
+   * @returns {Boolean} true if key events are being recorded rather than matched
+   */
+  isRecordingKeyCombination() {
+    return !!this._globalEventStrategy.keyCombinationRecording;
+  }
+
   /********************************************************************************
    * Registering key maps
    ********************************************************************************/
 
+  /**
+   * Returns a new id for a HotKeys component, without registering it
+   * @returns {ComponentId} Unique component id
+   * @see AbstractKeyEventStrategy.getNewComponentId
+   */
+  getNewComponentId() {
+    return this._focusOnlyEventStrategy.getNewComponentId();
+  }
+
   /**
    * Registers a new mounted component's key map so that it can be included in the
    * application's key map
    * @param {KeyMap} keyMap - Map of actions to key expressions
+   * @param {ComponentId} componentId - Id previously returned by getNewComponentId.
+   *        If omitted, a new id is generated.
    * @returns {ComponentId} Unique component ID to assign to the focused HotKeys
    *          component and passed back when handling a key event
    */
-  registerKeyMap(keyMap = {}) {
-    return this._focusOnlyEventStrategy.registerKeyMap(keyMap);
+  registerKeyMap(keyMap = {}, componentId) {
+    return this._focusOnlyEventStrategy.registerKeyMap(keyMap, componentId);
   }
 
   /**
@@ -97,15 +258,26 @@ class KeyEventManager {
     return this._focusOnlyEventStrategy.registerComponentMount(componentId, parentId);
   }
 
+  /**
+   * Returns a new id for a GlobalHotKeys component, without registering it
+   * @returns {ComponentId} Unique component id
+   * @see AbstractKeyEventStrategy.getNewComponentId
+   */
+  getNewGlobalComponentId() {
+    return this._globalEventStrategy.getNewComponentId();
+  }
+
   /**
    * Registers a new mounted component's global key map so that it can be included in the
    * application's key map
    * @param {KeyMap} keyMap - Map of actions to key expressions
+   * @param {ComponentId} componentId - Id previously returned by getNewGlobalComponentId.
+   *        If omitted, a new id is generated.
    * @returns {ComponentId} Unique component ID to assign to the focused HotKeys
    *          component and passed back when handling a key event
    */
-  registerGlobalKeyMap(keyMap = {}) {
-    return this._globalEventStrategy.registerKeyMap(keyMap);
+  registerGlobalKeyMap(keyMap = {}, componentId) {
+    return this._globalEventStrategy.registerKeyMap(keyMap, componentId);
   }
 
   /**
@@ -211,7 +383,7 @@ class KeyEventManager {
    * @returns Whether the event was discarded because it was part of an old focus tree
    */
   handleKeydown(event, focusTreeId, componentId, options) {
-    if (isFromFocusOnlyComponent(focusTreeId)) {
+    if (isFromFocusOnlyComponent(focusTreeId) && !this.isRecordingKeyCombination()) {
       return this._focusOnlyEventStrategy.handleKeydown(event, focusTreeId, componentId, options);
     }
   }
@@ -233,7 +405,7 @@ class KeyEventManager {
    *        is handled.
    */
   handleKeypress(event, focusTreeId, componentId, options) {
-    if (isFromFocusOnlyComponent(focusTreeId)) {
+    if (isFromFocusOnlyComponent(focusTreeId) && !this.isRecordingKeyCombination()) {
       return this._focusOnlyEventStrategy.handleKeypress(event, focusTreeId, componentId, options);
     }
   }
@@ -255,7 +427,7 @@ class KeyEventManager {
    *        is handled.
    */
   handleKeyup(event, focusTreeId, componentId, options) {
-    if (isFromFocusOnlyComponent(focusTreeId)) {
+    if (isFromFocusOnlyComponent(focusTreeId) && !this.isRecordingKeyCombination()) {
       return this._focusOnlyEventStrategy.handleKeyup(event, focusTreeId, componentId, options);
     }
   }
@@ -400,6 +572,17 @@ class KeyEventManager {
   isGlobalListenersBound() {
     return this._globalEventStrategy.listenersBound;
   }
+
+  /**
+   * Whether there are global event listeners bound that will receive the specified
+   * key event after the React app has (i.e. on a document or window, in the bubble
+   * phase)
+   * @param {KeyboardEvent} event The key event
+   * @returns {Boolean} true if global listeners receive the event after the React app
+   */
+  isGlobalListenersBoundAfterReactApp(event) {
+    return this._globalEventStrategy.isListeningAfterReactApp(event);
+  }
 }
 
 export default KeyEventManager;
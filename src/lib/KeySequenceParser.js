@@ -1,6 +1,9 @@
 import stripSuperfluousWhitespace from '../utils/string/stripSuperfluousWhitespace';
 import standardizeKeyName from '../helpers/parsing-key-maps/standardizeKeyName';
 import isValidKey, {InvalidKeyNameError} from '../helpers/parsing-key-maps/isValidKey';
+import resolveKeyCode from '../helpers/parsing-key-maps/resolveKeyCode';
+import ModifierFlagsDictionary from '../const/ModifierFlagsDictionary';
+import parseKeyPattern from '../helpers/parsing-key-maps/parseKeyPattern';
 
 /**
  * Returns a normalized KeyCombinationString (with the key names in the combination
@@ -29,6 +32,8 @@ class KeySequenceParser {
    * @property {Number} size - Number of keys involved in the combination
    * @property {Object.<KeyName, Boolean>} keyDictionary - Dictionary of key names involved
    *           in the key combination
+   * @property {KeyPattern[]} keyPatterns - The names in the key dictionary that are
+   *           KeyPatterns, rather than the names of keys
    * @property {KeyEventBitmapIndex} eventBitmapIndex - Bitmap index for key event that
    *          the matcher should match on
    */
@@ -49,6 +54,9 @@ class KeySequenceParser {
    *          describes a key sequence
    * @property {NormalizedKeySequenceId} prefix - Normalized key sequence id
    * @property {Number} size - Number of combinations involved in the sequence
+   * @property {KeyDictionary[]} prefixKeyPatterns - Dictionaries of the keys of the
+   *           combinations before the final one, if any of them contain KeyPatterns
+   *           (otherwise null)
    */
 
   /**
@@ -86,6 +94,8 @@ class KeySequenceParser {
    *        what key event the sequence should match
    * @param {Boolean} options.ensureValidKeys Whether to throw an exception if an invalid
    *        key name is found in the key combination string.
+   * @param {'key'|'code'} options.matchBy Whether the sequence should be matched against
+   *        the key names (event.key) or the physical keys (event.code) of key events
    * @returns {KeySequenceOptions} Object containing information about the key
    *        sequence described by the KeySequenceString
    */
@@ -98,12 +108,18 @@ class KeySequenceParser {
       const nonTerminalCombinations = keyCombinationsArray.slice(0, keyCombinationsArray.length-1);
       const terminalCombination = keyCombinationsArray[keyCombinationsArray.length-1];
 
-      const prefix = nonTerminalCombinations.map((keyCombination) => {
-        const keysInComboDict = parseCombination(keyCombination, options);
+      const prefixKeyDictionaries = nonTerminalCombinations.map((keyCombination) => {
+        return parseCombination(keyCombination, options);
+      });
 
+      const prefix = prefixKeyDictionaries.map((keysInComboDict) => {
         return normalizedCombinationId(Object.keys(keysInComboDict));
       }).join(' ');
 
+      const prefixHasKeyPatterns = prefixKeyDictionaries.some((keysInComboDict) => {
+        return getKeyPatterns(keysInComboDict).length > 0;
+      });
+
       const keysInComboDict = parseCombination(terminalCombination, options);
 
       const normalizedComboString = normalizedCombinationId(Object.keys(keysInComboDict));
@@ -111,11 +127,18 @@ class KeySequenceParser {
       const combination = {
         id: normalizedComboString,
         keyDictionary: keysInComboDict,
+        keyPatterns: getKeyPatterns(keysInComboDict),
         eventBitmapIndex: options.eventBitmapIndex,
         size: Object.keys(keysInComboDict).length
       };
 
-      return { sequence: { prefix, size: nonTerminalCombinations.length + 1 }, combination };
+      const sequence = {
+        prefix,
+        size: nonTerminalCombinations.length + 1,
+        prefixKeyPatterns: prefixHasKeyPatterns ? prefixKeyDictionaries : null
+      };
+
+      return { sequence, combination };
     } catch (InvalidKeyNameError) {
       return { sequence: null, combination: null }
     }
@@ -141,15 +164,35 @@ class KeySequenceParser {
  */
 
 /**
- * Parses a key combination string and returns the corresponding KeyDictionary
+ * Returns the names in a KeyDictionary that are KeyPatterns, rather than key names
+ * @param {KeyDictionary} keyDictionary Dictionary of keys in a key combination
+ * @returns {KeyPattern[]} List of KeyPatterns in the key combination
+ */
+function getKeyPatterns(keyDictionary) {
+  return Object.keys(keyDictionary).filter((keyName) => parseKeyPattern(keyName) === keyName);
+}
+
+/**
+ * Parses a key combination string and returns the corresponding KeyDictionary. Key
+ * classes and ranges (e.g. digit or F1-F12) are added as their normalized KeyPattern.
  * @param {KeyCombinationString} string Describes key combination
  * @param {Object} options Options hash of how the string should be parsed
  * @param {Boolean} options.ensureValidKeys Whether to throw an exception if an invalid
  *        key name is found in the key combination string.
+ * @param {'key'|'code'} options.matchBy Whether to translate key names (other than
+ *        modifier keys) to the codes of the physical keys that produce them
  * @returns {KeyDictionary} Dictionary of keys in the parsed combination
  */
 function parseCombination(string, options = {}) {
   return string.replace(/^\+|(\s|[^+]\+)\+/, '$1plus').split('+').reduce((keyDictionary, keyName) => {
+    const keyPattern = parseKeyPattern(keyName);
+
+    if (keyPattern) {
+      keyDictionary[keyPattern] = true;
+
+      return keyDictionary;
+    }
+
     let finalKeyName = standardizeKeyName(keyName);
 
     if (options.ensureValidKeys) {
@@ -158,6 +201,10 @@ function parseCombination(string, options = {}) {
       }
     }
 
+    if (options.matchBy === 'code' && !ModifierFlagsDictionary[finalKeyName]) {
+      finalKeyName = resolveKeyCode(finalKeyName);
+    }
+
     keyDictionary[finalKeyName] = true;
 
     return keyDictionary;
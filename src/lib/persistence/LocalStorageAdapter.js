@@ -0,0 +1,124 @@
+/**
+ * Storage adapter that saves key map overrides to localStorage, as JSON, so they
+ * survive page reloads. Subscribers are notified when the overrides are changed in
+ * another tab or window.
+ *
+ * localStorage is only accessed when the overrides are loaded or saved, so the
+ * adapter can be created while rendering on the server, or when the browser blocks
+ * access to storage. Nothing is loaded in those cases, and saving fails with an
+ * error.
+ * @class
+ */
+class LocalStorageAdapter {
+  /**
+   * Creates a new localStorage adapter
+   * @param {String} key - Key to save the overrides under
+   * @param {Storage} storage - Storage to use, if not window.localStorage
+   */
+  constructor(key = 'react-hotkeys', storage = null) {
+    this.key = key;
+    this._storage = storage;
+  }
+
+  /**
+   * Returns the storage the overrides are saved to
+   * @returns {Storage|null} The storage, or null if localStorage is not available
+   * @private
+   */
+  _getStorage() {
+    if (!this._storage) {
+      this._storage = getLocalStorage();
+    }
+
+    return this._storage;
+  }
+
+  /**
+   * Returns the saved record
+   * @returns {KeyMapOverridesRecord|null} The saved record, or null if nothing has
+   *          been saved, localStorage is not available or the saved value is not
+   *          valid JSON
+   */
+  load() {
+    const storage = this._getStorage();
+
+    if (!storage) {
+      return null;
+    }
+
+    return parseRecord(storage.getItem(this.key));
+  }
+
+  /**
+   * Saves a record
+   * @param {KeyMapOverridesRecord} record - Record to save
+   * @throws {Error} If localStorage is not available, or the record could not be
+   *         saved to it (e.g. because its quota has been exceeded)
+   */
+  save(record) {
+    const storage = this._getStorage();
+
+    if (!storage) {
+      throw new Error('localStorage is not available');
+    }
+
+    storage.setItem(this.key, JSON.stringify(record));
+  }
+
+  /**
+   * Registers a function to call whenever the record is changed in another tab
+   * or window
+   * @param {Function} listener - Function to call with the new record
+   * @returns {Function} Function that removes the listener
+   */
+  subscribe(listener) {
+    if (typeof window === 'undefined') {
+      return () => {};
+    }
+
+    const handleStorage = (event) => {
+      if (event.key === this.key && event.storageArea === this._getStorage()) {
+        listener(parseRecord(event.newValue));
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+
+    return () => window.removeEventListener('storage', handleStorage);
+  }
+}
+
+/**
+ * Returns window.localStorage, or null if there is no window or the browser blocks
+ * access to it
+ * @private
+ */
+function getLocalStorage() {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+
+  try {
+    return window.localStorage || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Returns the record saved as JSON, or null if there is none or it can't be parsed
+ * @private
+ */
+function parseRecord(value) {
+  if (!value) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+export default LocalStorageAdapter;
@@ -0,0 +1,52 @@
+import without from '../../utils/collection/without';
+
+/**
+ * Storage adapter that keeps saved key map overrides in memory, for the lifetime of
+ * the page. Useful for tests and server rendering, or for sharing overrides between
+ * several key event managers.
+ * @class
+ */
+class MemoryAdapter {
+  /**
+   * Creates a new in-memory storage adapter
+   * @param {KeyMapOverridesRecord} record - Record to start with, if any
+   */
+  constructor(record = null) {
+    this.record = record;
+    this.listeners = [];
+  }
+
+  /**
+   * Returns the saved record
+   * @returns {KeyMapOverridesRecord|null} The saved record, or null if nothing has
+   *          been saved
+   */
+  load() {
+    return this.record;
+  }
+
+  /**
+   * Saves a record, and notifies any subscribers
+   * @param {KeyMapOverridesRecord} record - Record to save
+   */
+  save(record) {
+    this.record = record;
+
+    this.listeners.forEach((listener) => listener(record));
+  }
+
+  /**
+   * Registers a function to call whenever a record is saved
+   * @param {Function} listener - Function to call with the new record
+   * @returns {Function} Function that removes the listener
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+
+    return () => {
+      this.listeners = without(this.listeners, listener);
+    };
+  }
+}
+
+export default MemoryAdapter;
@@ -2,9 +2,7 @@ import KeyEventBitmapManager from '../KeyEventBitmapManager';
 import KeyEventBitmapIndex from '../../const/KeyEventBitmapIndex';
 import Logger from '../Logger';
 import KeyCombinationSerializer from '../KeyCombinationSerializer';
-import arrayFrom from '../../utils/array/arrayFrom';
 import indexFromEnd from '../../utils/array/indexFromEnd';
-import isObject from '../../utils/object/isObject';
 import isUndefined from '../../utils/isUndefined';
 import isEmpty from '../../utils/collection/isEmpty';
 import describeKeyEventType from '../../helpers/logging/describeKeyEventType';
@@ -19,9 +17,18 @@ import resolveAltShiftedAlias from '../../helpers/resolving-handlers/resolveAltS
 import resolveShiftedAlias from '../../helpers/resolving-handlers/resolveShiftedAlias';
 import resolveAltedAlias from '../../helpers/resolving-handlers/resolveAltedAlias';
 import Configuration from '../Configuration';
+import KeyEventCounter from '../KeyEventCounter';
 import ModifierFlagsDictionary from '../../const/ModifierFlagsDictionary';
 import without from '../../utils/collection/without';
+import contains from '../../utils/collection/contains';
+import expandKeyMapOptions from '../../helpers/parsing-key-maps/expandKeyMapOptions';
+import getActionMetadata from '../../helpers/parsing-key-maps/getActionMetadata';
+import applyKeyMapOverride from '../../helpers/parsing-key-maps/applyKeyMapOverride';
+import hasKey from '../../utils/object/hasKey';
 import hasKeyPressEvent from '../../helpers/resolving-handlers/hasKeyPressEvent';
+import isObject from '../../utils/object/isObject';
+import keyMatchesPattern from '../../helpers/resolving-handlers/keyMatchesPattern';
+import parseKeyPattern from '../../helpers/parsing-key-maps/parseKeyPattern';
 
 /**
  * Defines common behaviour for key event strategies
@@ -38,11 +45,19 @@ class AbstractKeyEventStrategy {
    * not intended to be instantiated directly)
    * @param {Object} options Options for how event strategy should behave
    * @param {Logger} options.logger The Logger to use to report event strategy actions
+   * @param {Configuration} options.configuration The configuration of the
+   *        KeyEventManager the strategy belongs to
+   * @param {KeyEventCounter} options.keyEventCounter The counter used to assign ids
+   *        to key events, shared between the strategies of a KeyEventManager
    * @param {KeyEventManager} keyEventManager KeyEventManager used for passing
    *        messages between key event strategies
    */
   constructor(options = {}, keyEventManager) {
     this.logger = options.logger || new Logger('warn');
+
+    this.configuration = options.configuration || new Configuration();
+
+    this.keyEventCounter = options.keyEventCounter || new KeyEventCounter();
     /**
      * @typedef {Number} ComponentId Unique index associated with every HotKeys component
      * as it becomes active.
@@ -76,7 +91,19 @@ class AbstractKeyEventStrategy {
 
     this.componentRegistry = {};
 
-    this.rootComponentId = null;
+    /**
+     * Ids of the mounted components that do not have a parent, in the order they
+     * were mounted
+     * @type {ComponentId[]}
+     */
+    this.rootComponentIds = [];
+
+    /**
+     * Dictionary of the codes of the physical keys that most recently produced each
+     * key name, used to match key combinations against physical keys
+     * @type {Object.<ReactKeyName, KeyCode>}
+     */
+    this.keyCodes = {};
 
     this._reset();
     this._resetKeyCombinationHistory();
@@ -89,6 +116,7 @@ class AbstractKeyEventStrategy {
   _reset() {
     this._initRegisteredKeyMapsState();
     this._initHandlerResolutionState();
+    this._cancelPendingHold();
   }
 
   /**
@@ -108,6 +136,10 @@ class AbstractKeyEventStrategy {
      *          component has defined
      * @property {ComponentId} componentId - Index of the component the options
      *          correspond with
+     * @property {Object} options - Options the component's key map was built with
+     * @property {KeyMap} keyMap - The key map, as it was declared by the component
+     * @property {HandlersMap} handlersMap - The handlers, as they were declared by
+     *          the component
      */
 
     /**
@@ -189,6 +221,14 @@ class AbstractKeyEventStrategy {
      * list of keyMaps on the fly, as key events propagate up the component tree
      */
     this.keySequencesDictionary = {};
+
+    /**
+     * The actions whose handlers have declined to handle the current key event, so
+     * they are not called again as the event propagates, and the handlers they
+     * shadow may be called instead
+     * @type {{eventId: EventId, events: Object[]}}
+     */
+    this.declinedActions = { eventId: null, events: [] };
   }
 
   /**
@@ -206,8 +246,39 @@ class AbstractKeyEventStrategy {
 
     this.keyupEventsToSimulate = [];
 
+    /**
+     * Whether the key event currently being handled was fired by the browser because
+     * a key is being held down
+     * @type {Boolean}
+     */
+    this.keyEventIsRepeat = false;
+
+    /**
+     * Time each action's handler was last called, so handlers may be called at a
+     * limited rate while keys are held down
+     * @type {Object<ActionName, Number>}
+     */
+    this.actionCallTimes = {};
+
+    /**
+     * Action waiting for the keys that match it to be held down long enough to
+     * trigger it
+     * @type {?{actionName: ActionName, componentId: ComponentId,
+     *          componentPosition: Number, event: KeyboardEvent, timeout: Number}}
+     */
+    this.pendingHold = this.pendingHold || null;
+
+    /**
+     * Action that has been triggered by holding keys down, and whose handler should be
+     * told when the keys are released
+     * @type {?{keyNames: ReactKeyName[], componentId: ComponentId, release: Function}}
+     */
+    this.heldAction = this.heldAction || null;
+
     if (!this.keyCombinationHistory || this.keyCombinationHistory.length < 1) {
       this.keyCombinationHistory = [];
+
+      this.keyCombinationTimes = [];
     } else {
       const currentKeyCombination = this._getCurrentKeyCombination();
 
@@ -225,9 +296,12 @@ class AbstractKeyEventStrategy {
       this.keyCombinationHistory = [
         {
           keys: keysStillPressed,
-          ids: KeyCombinationSerializer.serialize(keysStillPressed)
+          ids: this._serializeCombination(keysStillPressed),
+          keyAliases: this._buildCombinationKeyAliases(keysStillPressed)
         }
-      ]
+      ];
+
+      this.keyCombinationTimes = this.keyCombinationTimes.slice(-1);
     }
   }
 
@@ -242,11 +316,24 @@ class AbstractKeyEventStrategy {
    * @returns {ApplicationKeyMap} The application's key map
    */
   getApplicationKeyMap() {
-    if (this.rootComponentId === null) {
-      return {};
-    }
+    return this._buildApplicationKeyMap(this.rootComponentIds, {});
+  }
 
-    return this._buildApplicationKeyMap([this.rootComponentId], {});
+  /**
+   * Returns the names of the actions defined in the key maps of the components that
+   * are currently enabled (those in the component list)
+   * @returns {ActionName[]} Names of the enabled actions
+   */
+  getEnabledActionNames() {
+    return this.componentList.reduce((memo, { keyMap = {} }) => {
+      Object.keys(keyMap).forEach((actionName) => {
+        if (!contains(memo, actionName)) {
+          memo.push(actionName);
+        }
+      });
+
+      return memo;
+    }, []);
   }
 
   _buildApplicationKeyMap(componentIds, keyMapSummary) {
@@ -256,19 +343,17 @@ class AbstractKeyEventStrategy {
 
       if (keyMap) {
         Object.keys(keyMap).forEach((actionName) => {
-          keyMapSummary[actionName] = [];
-
-          arrayFrom(keyMap[actionName]).forEach((keySequenceOptions) => {
-            const sequence = function(){
-              if (isObject(keySequenceOptions)) {
-                return keySequenceOptions.sequence;
-              } else {
-                return keySequenceOptions;
-              }
-            }();
+          const effectiveKeyMapValue = this._getEffectiveKeyMapValue(keyMap, actionName);
+
+          keyMapSummary[actionName] = {
+            ...getActionMetadata(keyMap[actionName]),
+            sequences: describeSequences(effectiveKeyMapValue)
+          };
 
-            keyMapSummary[actionName].push(sequence);
-          })
+          if (effectiveKeyMapValue !== keyMap[actionName]) {
+            keyMapSummary[actionName].source = 'override';
+            keyMapSummary[actionName].defaultSequences = describeSequences(keyMap[actionName]);
+          }
         })
       }
 
@@ -278,37 +363,331 @@ class AbstractKeyEventStrategy {
     return keyMapSummary;
   }
 
+  /********************************************************************************
+   * Overriding key maps
+   ********************************************************************************/
+
+  /**
+   * Returns the key map overrides set on the KeyEventManager the strategy belongs to
+   * @returns {KeyMap} Map of action names to the key sequences that replace those
+   *          declared in key maps
+   * @private
+   */
+  _getKeyMapOverrides() {
+    return this.keyEventManager ? this.keyEventManager.getKeyMapOverrides() : {};
+  }
+
+  /**
+   * Returns the value of an action in a key map, with its key sequences replaced if
+   * there is an override for the action
+   * @param {KeyMap} keyMap - Key map the action is declared in
+   * @param {ActionName} actionName - Name of the action
+   * @returns {KeySequence} Value of the action, with any override applied
+   * @private
+   */
+  _getEffectiveKeyMapValue(keyMap, actionName) {
+    const keyMapOverrides = this._getKeyMapOverrides();
+
+    if (hasKey(keyMapOverrides, actionName)) {
+      return applyKeyMapOverride(keyMap[actionName], keyMapOverrides[actionName]);
+    }
+
+    return keyMap[actionName];
+  }
+
+  /**
+   * Rebuilds the actions of the components in the component list, so changes to the
+   * key map overrides take effect without the components having to be re-focused
+   * or re-mounted
+   */
+  applyKeyMapOverrides() {
+    this.longestSequence = 1;
+    this.longestSequenceComponentIndex = null;
+    this.keyMapEventBitmap = KeyEventBitmapManager.newBitmap();
+
+    this.componentList = this.componentList.map(({ componentId, keyMap, handlersMap, options }) => {
+      return this._buildComponentOptions(componentId, keyMap, handlersMap, options);
+    });
+
+    this._initHandlerResolutionState();
+  }
+
+  /********************************************************************************
+   * Detecting key map conflicts
+   ********************************************************************************/
+
+  /**
+   * An action that is part of a key map conflict
+   * @typedef {Object} ConflictingAction
+   * @property {ActionName} actionName - Name of the action
+   * @property {ComponentId} componentId - Id of the component whose key map defines
+   *           the action
+   * @property {MouseTrapKeySequence} sequence - The sequence, as it appears in the
+   *           key map
+   */
+
+  /**
+   * Description of two actions that are bound to the same key sequence and key event
+   * @typedef {Object} KeyMapConflict
+   * @property {'duplicate'|'shadowing'} type - Whether the actions are defined by the
+   *           same component (duplicate) or a component and one of its descendants
+   *           (shadowing)
+   * @property {NormalizedKeySequenceId} sequence - The normalized key sequence both
+   *           actions are bound to
+   * @property {KeyEventName} keyEvent - The key event both actions are bound to
+   * @property {ConflictingAction[]} actions - The actions in conflict. For shadowing
+   *           conflicts, the first action belongs to the descendant, and is the one
+   *           that is triggered.
+   */
+
+  /**
+   * Returns a list of the key sequences that are bound to more than one action, either
+   * in the same key map or in the key maps of a component and its descendants.
+   *
+   * Components that define the same action as one of their ancestors are not
+   * considered to be in conflict, as that is how an action's handler is overridden.
+   * @returns {KeyMapConflict[]} List of key map conflicts
+   */
+  findKeyMapConflicts() {
+    return Object.keys(this.keyMapRegistry).reduce((memo, componentId) => {
+      return memo.concat(this._findKeyMapConflictsOf(parseInt(componentId, 10)));
+    }, []);
+  }
+
+  /**
+   * Returns the conflicts between a component's key map and itself and those of its
+   * ancestors and (optionally) its descendants
+   * @param {ComponentId} componentId - Id of the component to find conflicts for
+   * @param {Object} options - Options for which components to compare against
+   * @param {Boolean} options.includeDescendants - Whether to include conflicts with
+   *        the component's descendants
+   * @returns {KeyMapConflict[]} List of key map conflicts
+   * @private
+   */
+  _findKeyMapConflictsOf(componentId, options = {}) {
+    const bindings = this._getKeyMapBindings(componentId);
+
+    const conflicts = [];
+
+    bindings.forEach((binding, index) => {
+      bindings.slice(index + 1).forEach((otherBinding) => {
+        if (bindingsConflict(binding, otherBinding)) {
+          conflicts.push(describeConflict('duplicate', binding, otherBinding));
+        }
+      });
+    });
+
+    const compareWith = (descendantBindings, ancestorBindings) => {
+      descendantBindings.forEach((descendantBinding) => {
+        ancestorBindings.forEach((ancestorBinding) => {
+          if (bindingsConflict(descendantBinding, ancestorBinding)) {
+            conflicts.push(describeConflict('shadowing', descendantBinding, ancestorBinding));
+          }
+        });
+      });
+    };
+
+    this._getAncestorIds(componentId).forEach((ancestorId) => {
+      compareWith(bindings, this._getKeyMapBindings(ancestorId));
+    });
+
+    if (options.includeDescendants) {
+      this._getDescendantIds(componentId).forEach((descendantId) => {
+        compareWith(this._getKeyMapBindings(descendantId), bindings);
+      });
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Logs a warning for each conflict between a newly mounted component's key map and
+   * those of the components already mounted above and below it
+   * @param {ComponentId} componentId - Id of the component that has mounted
+   * @private
+   */
+  _warnOfKeyMapConflicts(componentId) {
+    this._findKeyMapConflictsOf(componentId, { includeDescendants: true }).forEach((conflict) => {
+      const [ first, second ] = conflict.actions;
+
+      const description = conflict.type === 'duplicate' ?
+        `Actions '${first.actionName}' and '${second.actionName}' of the same key map` :
+        `Action '${first.actionName}' (C${first.componentId}) shadows '${second.actionName}' (C${second.componentId}), as they`;
+
+      this.logger.warn(
+        this._logPrefix(componentId, { focusTreeId: false, eventId: false }),
+        `${description} are both bound to '${conflict.sequence}' ${conflict.keyEvent}.`
+      );
+    });
+  }
+
+  /**
+   * A key sequence and key event an action is bound to
+   * @typedef {Object} KeyMapBinding
+   * @property {ActionName} actionName - Name of the action
+   * @property {ComponentId} componentId - Id of the component whose key map defines
+   *           the action
+   * @property {MouseTrapKeySequence} sequence - The sequence, as it appears in the
+   *           key map
+   * @property {NormalizedKeySequenceId} id - The normalized key sequence
+   * @property {KeyEventName} keyEvent - The key event the sequence is matched on
+   */
+
+  /**
+   * Returns the key sequences each action in a component's key map is bound to
+   * @param {ComponentId} componentId - Id of the component
+   * @returns {KeyMapBinding[]} List of the component's bindings
+   * @private
+   */
+  _getKeyMapBindings(componentId) {
+    const keyMap = this.keyMapRegistry[componentId] || {};
+    const defaultKeyEvent = this.configuration.option('defaultKeyEvent');
+    const matchBy = this.configuration.option('matchBy');
+
+    return Object.keys(keyMap).reduce((memo, actionName) => {
+      expandKeyMapOptions(this._getEffectiveKeyMapValue(keyMap, actionName)).forEach((keyMapOption) => {
+        const { sequence: sequenceOptions, combination, keyEvent } =
+          this._parseKeyMapOption(keyMapOption, defaultKeyEvent, matchBy);
+
+        if (combination) {
+          memo.push({
+            actionName,
+            componentId,
+            sequence: keyMapOption.sequence,
+            id: [ sequenceOptions.prefix, combination.id ].join(' ').trim(),
+            keyEvent
+          });
+        }
+      });
+
+      return memo;
+    }, []);
+  }
+
+  /**
+   * Parses the key sequence of a key map entry, repeating it once for each tap if the
+   * entry has the taps attribute. Taps of modifier keys are matched on the keyup event
+   * of the last tap, unless the entry says otherwise.
+   * @param {KeySequenceOptions} keyMapOption - Key sequence of the key map entry
+   * @param {KeyEventName} defaultKeyEvent - Key event to match the sequence on if the
+   *        entry does not specify one
+   * @param {'key'|'code'} matchBy - Whether to match the sequence by key name or code,
+   *        if the entry does not specify
+   * @returns {{sequence: Object, combination: Object, keyEvent: KeyEventName}} The
+   *          parsed sequence and its final combination, and the key event to match it on
+   * @private
+   */
+  _parseKeyMapOption({ sequence, action, match, taps }, defaultKeyEvent, matchBy) {
+    const sequenceString = taps ? new Array(taps).fill(sequence).join(' ') : sequence;
+
+    const parsedSequence =
+      KeySequenceParser.parse(sequenceString, { matchBy: match || matchBy });
+
+    const { combination } = parsedSequence;
+
+    let keyEvent = action || defaultKeyEvent;
+
+    if (combination) {
+      const tapsModifierKeys = taps && !action &&
+        Object.keys(combination.keyDictionary).every((keyName) => ModifierFlagsDictionary[keyName]);
+
+      if (tapsModifierKeys) {
+        keyEvent = 'keyup';
+      }
+
+      combination.eventBitmapIndex = KeyEventBitmapIndex[keyEvent];
+    }
+
+    return { ...parsedSequence, keyEvent };
+  }
+
+  /**
+   * Returns the ids of a component's mounted ancestors, starting with its parent
+   * @param {ComponentId} componentId - Id of the component
+   * @returns {ComponentId[]} Ids of the component's ancestors
+   * @private
+   */
+  _getAncestorIds(componentId) {
+    const ancestorIds = [];
+
+    let parentId = this.componentRegistry[componentId].parentId;
+
+    while (!isUndefined(parentId) && this.componentRegistry[parentId]) {
+      ancestorIds.push(parentId);
+
+      parentId = this.componentRegistry[parentId].parentId;
+    }
+
+    return ancestorIds;
+  }
+
+  /**
+   * Returns the ids of all of a component's mounted descendants
+   * @param {ComponentId} componentId - Id of the component
+   * @returns {ComponentId[]} Ids of the component's descendants
+   * @private
+   */
+  _getDescendantIds(componentId) {
+    return this.componentRegistry[componentId].childIds.reduce((memo, childId) => {
+      if (!this.componentRegistry[childId]) {
+        return memo;
+      }
+
+      return memo.concat([ childId ], this._getDescendantIds(childId));
+    }, []);
+  }
+
   /********************************************************************************
    * Registering key maps
    ********************************************************************************/
 
+  /**
+   * Returns a new, unique component id, without registering anything. Components
+   * request an id when they are constructed (so it may be passed down to their
+   * descendants during render), but only register their key map once they have
+   * mounted, so renders that are discarded before they are committed do not leave
+   * entries in the registries.
+   * @returns {ComponentId} Unique component id
+   */
+  getNewComponentId() {
+    this.componentId += 1;
+
+    return this.componentId;
+  }
+
   /**
    * Registers a new mounted component's key map so that it can be included in the
    * application's key map
    * @param {KeyMap} keyMap - Map of actions to key expressions
+   * @param {ComponentId} componentId - Id previously returned by getNewComponentId.
+   *        If omitted, a new id is generated.
    * @returns {ComponentId} Unique component ID to assign to the focused HotKeys
    *          component and passed back when handling a key event
    */
-  registerKeyMap(keyMap) {
-    this.componentId += 1;
-
-    this.keyMapRegistry[this.componentId] = keyMap;
+  registerKeyMap(keyMap, componentId = this.getNewComponentId()) {
+    this.keyMapRegistry[componentId] = keyMap;
 
     this.logger.verbose(
-      this._logPrefix(this.componentId),
+      this._logPrefix(componentId),
       'Registered keyMap:\n',
       `${printComponent(keyMap)}`
     );
 
-    this.componentRegistry[this.componentId] = newComponentRegistryItem();
+    /**
+     * Descendants mount before their ancestors, so the registry item may already
+     * have been created by a child declaring this component as its parent
+     */
+    if (!this.componentRegistry[componentId]) {
+      this.componentRegistry[componentId] = newComponentRegistryItem();
+    }
 
     this.logger.verbose(
-      this._logPrefix(this.componentId),
+      this._logPrefix(componentId),
       'Registered component:\n',
-      `${printComponent(this.componentRegistry[this.componentId])}`
+      `${printComponent(this.componentRegistry[componentId])}`
     );
 
-    return this.componentId;
+    return componentId;
   }
 
   /**
@@ -328,10 +707,14 @@ class AbstractKeyEventStrategy {
    */
   registerComponentMount(componentId, parentId) {
     if (!isUndefined(parentId)) {
+      if (!this.componentRegistry[parentId]) {
+        this.componentRegistry[parentId] = newComponentRegistryItem();
+      }
+
       this.componentRegistry[componentId].parentId = parentId;
       this.componentRegistry[parentId].childIds.push(componentId);
     } else {
-      this.rootComponentId = componentId;
+      this.rootComponentIds.push(componentId);
     }
 
     this.logger.verbose(
@@ -339,6 +722,9 @@ class AbstractKeyEventStrategy {
       'Registered component mount:\n',
       `${printComponent(this.componentRegistry[componentId])}`
     );
+    if (process.env.NODE_ENV !== 'production' && this.configuration.option('warnOfKeyMapConflicts')) {
+      this._warnOfKeyMapConflicts(componentId);
+    }
   }
 
   /**
@@ -370,9 +756,7 @@ class AbstractKeyEventStrategy {
       `${printComponent(this.keyMapRegistry)}`
     );
 
-    if (componentId === this.rootComponentId) {
-      this.rootComponentId = null;
-    }
+    this.rootComponentIds = without(this.rootComponentIds, componentId);
   }
 
   /********************************************************************************
@@ -431,7 +815,9 @@ class AbstractKeyEventStrategy {
       ),
       handlers: includingHardSequenceHandlers,
       componentId,
-      options
+      options,
+      keyMap: actionNameToKeyMap,
+      handlersMap: actionNameToHandlersMap
     };
   }
 
@@ -446,7 +832,7 @@ class AbstractKeyEventStrategy {
    * @private
    */
   _applyHardSequences(actionNameToKeyMap, actionNameToHandlersMap) {
-    if (Configuration.option('enableHardSequences')) {
+    if (this.configuration.option('enableHardSequences')) {
       return Object.keys(actionNameToHandlersMap).reduce((memo, actionNameOrKeyExpression) => {
         const actionNameIsInKeyMap = !!actionNameToKeyMap[actionNameOrKeyExpression];
 
@@ -470,15 +856,38 @@ class AbstractKeyEventStrategy {
    * @property {KeyCombinationString} id - String description of keys involved in the
    *          final key combination in the sequence
    * @property {ActionName} actionName - Name of the action associated with the key map
+   * @property {KeySequenceString} sequence - The key sequence, as it appears in the key
+   *          map
+   * @property {ComponentId} componentId - Id of the component that defines the key map
    * @property {NormalizedKeySequenceId} prefix - String describing sequence of key
    *          combinations involved key map, before the final key combination
+   * @property {KeyDictionary[]} prefixKeyPatterns - Dictionaries of the keys of the
+   *          combinations before the final one, if any of them contain KeyPatterns
    * @property {Number} sequenceLength - Number of combinations involved in the
    *           sequence
    * @property {Number} size - Number of keys involved in the combination
    * @property {Object.<KeyName, Boolean>} keyDictionary - Dictionary of key names involved
    *           in the key combination
+   * @property {KeyPattern[]} keyPatterns - The names in the key dictionary that are
+   *           KeyPatterns (e.g. digit), rather than the names of keys
    * @property {KeyEventBitmapIndex} eventBitmapIndex - Bitmap index for key event that
    *          the matcher should match on
+   * @property {Number|Boolean} sequenceTimeout - Maximum number of milliseconds between
+   *          the combinations in the sequence, or false for no maximum
+   * @property {Number|Boolean} repeat - Whether the key events fired while the keys are
+   *          held down trigger the action, or the minimum number of milliseconds between
+   *          the times they do
+   * @property {Boolean} exact - Whether the combination only matches when no modifier
+   *          keys other than the ones it names are held down
+   * @property {Number} hold - Number of milliseconds the keys must be held down before
+   *          the action is triggered
+   * @property {Number} taps - Number of times the keys must be tapped (pressed and
+   *          released, without any other keys) to trigger the action
+   * @property {Boolean} preventDefault - Whether to prevent the default behaviour of
+   *          key events that trigger the action
+   * @property {Boolean} stopPropagation - Whether to stop key events that trigger the
+   *          action from propagating, regardless of the stopEventPropagationAfterHandling
+   *          option
    */
 
   /**
@@ -497,27 +906,35 @@ class AbstractKeyEventStrategy {
    * @private
    */
   _buildActionDictionary(actionNameToKeyMap, options, componentId) {
+    const matchBy = this.configuration.option('matchBy');
+    const sequenceTimeout = this.configuration.option('sequenceTimeout');
+    const tapTimeout = this.configuration.option('tapTimeout');
+    const repeat = this.configuration.option('repeat');
+    const exact = this.configuration.option('exact');
+
     return Object.keys(actionNameToKeyMap).reduce((keyMapMemo, actionName) => {
-      const keyMapOptions = arrayFrom(actionNameToKeyMap[actionName]);
+      const keyMapOptions =
+        expandKeyMapOptions(this._getEffectiveKeyMapValue(actionNameToKeyMap, actionName));
 
       keyMapOptions.forEach((keyMapOption) => {
-        const { keySequence, eventBitmapIndex } = function(){
-          if (isObject(keyMapOption)) {
-            const { sequence, action } = keyMapOption;
-
-            return {
-              keySequence: sequence,
-              eventBitmapIndex: isUndefined(action) ? KeyEventBitmapIndex[options.defaultKeyEvent] : KeyEventBitmapIndex[action]
-            };
-          } else {
-            return {
-              keySequence: keyMapOption,
-              eventBitmapIndex: KeyEventBitmapIndex[options.defaultKeyEvent]
-            }
-          }
-        }();
+        if (!keyMapOption.sequence) {
+          /**
+           * Actions may be declared with only metadata, and no key sequence to match
+           */
+          return;
+        }
+
+        const { sequence, combination } =
+          this._parseKeyMapOption(keyMapOption, options.defaultKeyEvent, matchBy);
+
+        const { eventBitmapIndex } = combination;
 
-        const { sequence, combination } = KeySequenceParser.parse(keySequence, { eventBitmapIndex });
+        const timeout = keyMapOption.taps ?
+          (isUndefined(keyMapOption.tapTimeout) ? tapTimeout : keyMapOption.tapTimeout) :
+          (isUndefined(keyMapOption.sequenceTimeout) ? sequenceTimeout : keyMapOption.sequenceTimeout);
+
+        const repeatOption = isUndefined(keyMapOption.repeat) ? repeat : keyMapOption.repeat;
+        const exactOption = isUndefined(keyMapOption.exact) ? exact : keyMapOption.exact;
 
         if (sequence.size > this.longestSequence) {
           this.longestSequence = sequence.size;
@@ -536,8 +953,18 @@ class AbstractKeyEventStrategy {
 
         keyMapMemo[actionName].push({
           prefix: sequence.prefix,
+          prefixKeyPatterns: sequence.prefixKeyPatterns,
           actionName,
+          sequence: keyMapOption.sequence,
+          componentId,
           sequenceLength: sequence.size,
+          sequenceTimeout: timeout,
+          repeat: repeatOption,
+          exact: exactOption,
+          hold: keyMapOption.hold,
+          taps: keyMapOption.taps,
+          preventDefault: keyMapOption.preventDefault,
+          stopPropagation: keyMapOption.stopPropagation,
           ...combination,
         });
       });
@@ -559,7 +986,8 @@ class AbstractKeyEventStrategy {
    * @property {KeySequenceString} ids - Serialization of keys currently pressed in
    *        combination
    * @property {Object<ReactKeyName, ReactKeyName>} keyAliases - Dictionary of key
-   *      aliases, when modifier keys like alt or shift are pressed.
+   *      aliases, when modifier keys like alt or shift are pressed, and of the codes
+   *      of the physical keys pressed (when they are known).
    */
 
   /**
@@ -581,13 +1009,19 @@ class AbstractKeyEventStrategy {
    * keyboard combination).
    * @param {ReactKeyName} keyName - Name of the key to add to the current combination
    * @param {KeyEventBitmapIndex} bitmapIndex - Index in bitmap to set to true
+   * @param {KeyCode} code - The code of the physical key, if it is known
    * @protected
    */
-  _addToCurrentKeyCombination(keyName, bitmapIndex) {
+  _addToCurrentKeyCombination(keyName, bitmapIndex, code) {
+    this._recordKeyCode(keyName, code);
+
     if (this.keyCombinationHistory.length === 0) {
       this.keyCombinationHistory.push({ keys: {}, ids: [ '' ], keyAliases: {} });
+      this.keyCombinationTimes.push({ startedAt: Date.now() });
     }
 
+    this._getCurrentKeyCombinationTimes().lastEventAt = Date.now();
+
     const keyCombination = this._getCurrentKeyCombination();
     const keyAlias = getKeyAlias(keyCombination, keyName);
 
@@ -606,7 +1040,7 @@ class AbstractKeyEventStrategy {
       ];
     }
 
-    keyCombination.ids = KeyCombinationSerializer.serialize(keyCombination.keys);
+    keyCombination.ids = this._serializeCombination(keyCombination.keys);
     keyCombination.keyAliases = this._buildCombinationKeyAliases(keyCombination.keys);
 
     if (bitmapIndex === KeyEventBitmapIndex.keyup) {
@@ -621,9 +1055,12 @@ class AbstractKeyEventStrategy {
    *        KeyCombinationRecord
    * @param {KeyEventBitmapIndex} eventBitmapIndex - Index of bit to set to true in new
    *        KeyEventBitmap
+   * @param {KeyCode} code - The code of the physical key, if it is known
    * @protected
    */
-  _startNewKeyCombination(keyName, eventBitmapIndex) {
+  _startNewKeyCombination(keyName, eventBitmapIndex, code) {
+    this._recordKeyCode(keyName, code);
+
     if (this.keyCombinationHistory.length > this.longestSequence) {
       /**
        * We know the longest key sequence registered for the currently focused
@@ -631,6 +1068,7 @@ class AbstractKeyEventStrategy {
        * that
        */
       this.keyCombinationHistory.shift();
+      this.keyCombinationTimes.shift();
     }
 
     const lastKeyCombination = this._getCurrentKeyCombination();
@@ -645,13 +1083,97 @@ class AbstractKeyEventStrategy {
 
     this.keyCombinationHistory.push({
       keys,
-      ids: KeyCombinationSerializer.serialize(keys),
+      ids: this._serializeCombination(keys),
       keyAliases: this._buildCombinationKeyAliases(keys)
     });
 
+    const now = Date.now();
+    this.keyCombinationTimes.push({ startedAt: now, lastEventAt: now });
+
     this.keyCombinationIncludesKeyUp = false;
   }
 
+  /**
+   * Record of when the key events of a KeyCombinationRecord occurred. Kept in a list
+   * parallel to the key combination history.
+   * @typedef {Object} KeyCombinationTimes
+   * @property {Number} startedAt - Time of the first key event in the combination
+   * @property {Number} lastEventAt - Time of the most recent key event in the
+   *           combination
+   */
+
+  /**
+   * Returns the times of the key events of the current key combination
+   * @returns {KeyCombinationTimes} Times of the current key combination
+   * @private
+   */
+  _getCurrentKeyCombinationTimes() {
+    return this.keyCombinationTimes[this.keyCombinationTimes.length - 1];
+  }
+
+  /**
+   * Whether the last combinations in the key combination history were pressed too
+   * far apart to be considered part of the same sequence
+   * @param {Number} sequenceLength - Number of combinations in the sequence
+   * @param {Number|Boolean} sequenceTimeout - Maximum number of milliseconds between
+   *        the key events of consecutive combinations, or false for no maximum
+   * @returns {Boolean} Whether the sequence has timed out
+   * @private
+   */
+  _sequenceHasTimedOut(sequenceLength, sequenceTimeout) {
+    if (!sequenceTimeout || sequenceLength < 2) {
+      return false;
+    }
+
+    const sequenceTimes = this.keyCombinationTimes.slice(-sequenceLength);
+
+    return sequenceTimes.some((times, index) => {
+      if (index === 0) {
+        return false;
+      }
+
+      return times.startedAt - sequenceTimes[index - 1].lastEventAt > sequenceTimeout;
+    });
+  }
+
+  /**
+   * Records the code of the physical key that produced a key name, so that key
+   * combinations may also be matched against the physical keys pressed. The codes
+   * of modifier keys are not recorded, as they are always matched by name.
+   * @param {ReactKeyName} keyName - Name of the key
+   * @param {KeyCode} code - The code of the physical key, if it is known
+   * @private
+   */
+  _recordKeyCode(keyName, code) {
+    if (code && !ModifierFlagsDictionary[keyName]) {
+      this.keyCodes[keyName] = code;
+    }
+  }
+
+  /**
+   * Returns the ids of a key combination: those of the key names (and their aliases)
+   * and, if the codes of any of the keys are known, the id of the physical keys
+   * @param {Object.<ReactKeyName, KeyEventBitmap[]>} keys - Keys in the combination
+   * @returns {KeyCombinationString[]} Ids of the key combination
+   * @private
+   */
+  _serializeCombination(keys) {
+    const ids = KeyCombinationSerializer.serialize(keys);
+
+    const keyNames = Object.keys(keys);
+
+    if (keyNames.some((keyName) => this.keyCodes[keyName])) {
+      const codeId =
+        keyNames.map((keyName) => this.keyCodes[keyName] || keyName).sort().join('+');
+
+      if (!contains(ids, codeId)) {
+        ids.push(codeId);
+      }
+    }
+
+    return ids;
+  }
+
   /**
    * Returns a new KeyCombinationRecord without the keys that have been
    * released (had the keyup event recorded). Essentially, the keys that are
@@ -782,28 +1304,39 @@ class AbstractKeyEventStrategy {
               keyMatchers.forEach((keyMatcher) => {
                 const keySequence = [keyMatcher.prefix, keyMatcher.id].join(' ');
 
-                const closestSequenceHandlerAlreadyFound =
-                  this.keySequencesDictionary[keySequence] &&
-                  this.keySequencesDictionary[keySequence].some((dictEntry) => {
-                    return dictEntry[1] === keyMatcher.eventBitmapIndex
-                  });
+                const sequenceHandlers = (this.keySequencesDictionary[keySequence] || []).filter((dictEntry) => {
+                  return dictEntry[1] === keyMatcher.eventBitmapIndex;
+                });
 
-                if (closestSequenceHandlerAlreadyFound) {
+                if (sequenceHandlers.some((dictEntry) => dictEntry[0] === handlerComponentIndex)) {
                   /**
-                   * Return if there is already a component with handlers for the current
-                   * key sequence closer to the event target
+                   * Return if the component already has a handler for the current key
+                   * sequence, from an action closer to the event target
                    */
                   return;
                 }
 
+                /**
+                 * A handler for the current key sequence closer to the event target
+                 * shadows this one, which is then only called if that handler declines
+                 * to handle the key event
+                 */
+                const shadowed = sequenceHandlers.some((dictEntry) => {
+                  return this._componentsCompeteForKeyEvents(dictEntry[0], handlerComponentIndex);
+                });
+
                 if (!keyMap.sequences[keyMatcher.prefix]) {
-                  keyMap.sequences[keyMatcher.prefix] = { combinations: {} };
+                  keyMap.sequences[keyMatcher.prefix] = {
+                    prefixKeyPatterns: keyMatcher.prefixKeyPatterns,
+                    combinations: {}
+                  };
                 }
 
                 const {
-                  prefix, sequenceLength, id, keyDictionary, size,
+                  prefix, sequenceLength, id, keyDictionary, keyPatterns, size,
                   eventBitmapIndex: matcherEventBitmapIndex,
-                  actionName
+                  actionName, sequence, componentId, sequenceTimeout, repeat, exact, hold,
+                  taps, preventDefault, stopPropagation
                 } = keyMatcher;
 
                 const combination =
@@ -811,10 +1344,12 @@ class AbstractKeyEventStrategy {
 
                 if (!combination) {
                   keyMap.sequences[keyMatcher.prefix].combinations[keyMatcher.id] = {
-                    prefix, sequenceLength, id, keyDictionary, size,
+                    prefix, sequenceLength, id, keyDictionary, keyPatterns, size,
                     events: {
                       [matcherEventBitmapIndex]: {
-                        actionName, eventBitmapIndex: matcherEventBitmapIndex, handler
+                        actionName, sequence, componentId, eventBitmapIndex: matcherEventBitmapIndex,
+                        sequenceTimeout, repeat, exact, hold, taps, preventDefault, stopPropagation,
+                        shadowed, handler
                       }
                     }
                   };
@@ -824,7 +1359,9 @@ class AbstractKeyEventStrategy {
                     events: {
                       ...combination.events,
                       [matcherEventBitmapIndex]: {
-                        actionName, eventBitmapIndex: matcherEventBitmapIndex, handler
+                        actionName, sequence, componentId, eventBitmapIndex: matcherEventBitmapIndex,
+                        sequenceTimeout, repeat, exact, hold, taps, preventDefault, stopPropagation,
+                        shadowed, handler
                       }
                     }
                   }
@@ -914,18 +1451,30 @@ class AbstractKeyEventStrategy {
 
         let sequenceLengthCounter = longestSequence;
 
+        /**
+         * Sequences whose handlers have already been tried, so that handlers that do
+         * not handle the key event are not called again
+         */
+        const triedSequences = [];
+
         while(sequenceLengthCounter >= 0) {
           const sequenceHistory = this.keyCombinationHistory.slice(-sequenceLengthCounter, -1);
           const sequenceHistoryIds = sequenceHistory.map(({ ids }) => ids );
 
-          const matchingSequence = this._tryMatchSequenceWithKeyAliases(sequences, sequenceHistoryIds);
+          const matchingSequence =
+            this._tryMatchSequenceWithKeyAliases(sequences, sequenceHistoryIds) ||
+            this._tryMatchSequenceWithKeyPatterns(sequences, sequenceHistory);
+
+          if (matchingSequence && !contains(triedSequences, matchingSequence)) {
+            triedSequences.push(matchingSequence);
 
-          if (matchingSequence) {
             if (!matchingSequence.order) {
               /**
                * The first time the component that is currently handling the key event has
                * its handlers searched for a match, order the combinations based on their
-               * size so that they may be applied in the correct priority order
+               * size so that they may be applied in the correct priority order. Combinations
+               * of named keys take priority over those of the same size that use
+               * KeyPatterns.
                */
 
               const combinationsPartitionedBySize = Object.values(matchingSequence.combinations).reduce((memo, { id, size }) => {
@@ -938,8 +1487,15 @@ class AbstractKeyEventStrategy {
                 return memo;
               }, {});
 
+              const hasKeyPatterns = (id) => matchingSequence.combinations[id].keyPatterns.length > 0;
+
               matchingSequence.order = Object.keys(combinationsPartitionedBySize).sort((a, b) => b-a ).reduce((memo, key) => {
-                return memo.concat(combinationsPartitionedBySize[key]);
+                const combinationIds = combinationsPartitionedBySize[key];
+
+                return memo.concat(
+                  combinationIds.filter((id) => !hasKeyPatterns(id)),
+                  combinationIds.filter(hasKeyPatterns)
+                );
               }, []);
             }
 
@@ -951,17 +1507,63 @@ class AbstractKeyEventStrategy {
               const combinationId = combinationOrder[combinationIndex];
               const combinationMatcher = matchingSequence.combinations[combinationId];
 
-              if (this._combinationMatchesKeys(normalizedKeyName, currentKeyState, combinationMatcher, eventBitmapIndex)) {
+              if (this._combinationMatchesKeys(normalizedKeyName, currentKeyState, combinationMatcher, eventBitmapIndex) &&
+                !this._sequenceHasTimedOut(combinationMatcher.sequenceLength, combinationMatcher.events[eventBitmapIndex].sequenceTimeout) &&
+                this._combinationMatchesTap(currentKeyState, combinationMatcher, eventBitmapIndex) &&
+                this._combinationMatchesModifiers(currentKeyState, combinationMatcher, eventBitmapIndex) &&
+                !this._actionIsDeclinedOrShadowed(combinationMatcher.events[eventBitmapIndex])) {
                 const subMatchDescription = KeyCombinationSerializer.serialize(combinationMatcher.keyDictionary);
+                const matchedEvent = combinationMatcher.events[eventBitmapIndex];
+                const { actionName, repeat, hold, handler } = matchedEvent;
+                const match =
+                  this._describeMatch(combinationMatcher, eventBitmapIndex, normalizedKeyName);
 
-                this.logger.debug(
-                  this._logPrefix(componentSearchIndex),
-                  `Found action that matches '${this._describeCurrentKeyCombination()}' (sub-match: '${subMatchDescription}'): ${combinationMatcher.events[eventBitmapIndex].actionName}. Calling handler . . .`
-                );
+                let result;
 
-                combinationMatcher.events[eventBitmapIndex].handler(event);
+                if (hold) {
+                  if (!this.keyEventIsRepeat) {
+                    this.logger.debug(
+                      this._logPrefix(componentSearchIndex),
+                      `Found action that matches '${this._describeCurrentKeyCombination()}' (sub-match: '${subMatchDescription}'): ${actionName}. Calling handler if keys are held down for ${hold}ms . . .`
+                    );
 
-                this._stopEventPropagationAfterHandlingIfEnabled(event, componentSearchIndex);
+                    this._startPendingHold(event, matchedEvent, match, componentSearchIndex);
+                  }
+
+                  /**
+                   * The handler is called after the key event has been dispatched, so the
+                   * options for handling it are applied now, below
+                   */
+                } else if (this.keyEventIsRepeat && !this._repeatTriggersAction(actionName, repeat)) {
+                  this.logger.debug(
+                    this._logPrefix(componentSearchIndex),
+                    `Found action that matches '${this._describeCurrentKeyCombination()}' (sub-match: '${subMatchDescription}'): ${actionName}. Not calling handler, as the key is being held down.`
+                  );
+                } else {
+                  this.logger.debug(
+                    this._logPrefix(componentSearchIndex),
+                    `Found action that matches '${this._describeCurrentKeyCombination()}' (sub-match: '${subMatchDescription}'): ${actionName}. Calling handler . . .`
+                  );
+
+                  this.actionCallTimes[actionName] = Date.now();
+
+                  result = handler(event, match);
+
+                  if (result === false || (isObject(result) && result.handled === false)) {
+                    this.logger.debug(
+                      this._logPrefix(componentSearchIndex),
+                      `Handler of ${actionName} did not handle '${this._describeCurrentKeyCombination()}'. Searching further . . .`
+                    );
+
+                    this._recordDeclinedAction(matchedEvent);
+
+                    combinationIndex++;
+
+                    continue;
+                  }
+                }
+
+                this._applyEventHandlingOptions(event, matchedEvent, result, componentSearchIndex);
 
                 return true;
               }
@@ -986,8 +1588,299 @@ class AbstractKeyEventStrategy {
     }
   }
 
+  /**
+   * Description of how a key event matched an action, passed to the action's handler
+   * @typedef {Object} KeyEventMatch
+   * @property {ActionName} actionName - Name of the action the key event matched
+   * @property {KeySequenceString} sequence - The key sequence that matched, as it
+   *          appears in the key map
+   * @property {ComponentId} componentId - Id of the component that defines the key map
+   * @property {String} eventType - Type of the key event: keydown, keypress or keyup
+   * @property {KeyCombinationRecord} keyCombination - Copy of the record of the keys
+   *          being pressed when the key event occurred
+   * @property {Boolean} repeat - Whether the key event fired because the keys are being
+   *          held down
+   * @property {ReactKeyName} key - The key that matched the KeyPattern (e.g. digit) in the
+   *          final combination of the key sequence, if it has one
+   */
+
+  /**
+   * Returns the description of how the current key event matched an action
+   * @param {Object} combinationMatcher - The key map combination the key event matched
+   * @param {KeyEventBitmapIndex} eventBitmapIndex - Index of the type of the key event
+   * @param {ReactKeyName} keyName - Name of the key the event is for
+   * @returns {KeyEventMatch} Description of the match
+   * @private
+   */
+  _describeMatch(combinationMatcher, eventBitmapIndex, keyName) {
+    const { actionName, sequence, componentId } = combinationMatcher.events[eventBitmapIndex];
+    const keyCombination = this._getCurrentKeyCombination();
+
+    const match = {
+      actionName,
+      sequence,
+      componentId,
+      eventType: describeKeyEventType(eventBitmapIndex),
+      keyCombination: copyKeyCombination(keyCombination),
+      repeat: this.keyEventIsRepeat
+    };
+
+    const [ keyPattern ] = combinationMatcher.keyPatterns;
+
+    if (keyPattern) {
+      match.key =
+        resolveKeyPatterns(keyCombination, combinationMatcher.keyDictionary, keyName)[keyPattern];
+    }
+
+    return match;
+  }
+
+  /**
+   * Calls the onUnhandledKey handler of a component, when no action matched a key event
+   * @param {KeyboardEvent} event - The key event no action matched
+   * @param {KeyEventBitmapIndex} eventBitmapIndex - Index of the type of the key event
+   * @param {Number} componentPosition - Position of the component whose onUnhandledKey
+   *        handler should be called, if any
+   * @protected
+   */
+  _callUnhandledKeyHandler(event, eventBitmapIndex, componentPosition) {
+    const component = this.componentList[componentPosition];
+
+    if (!component) {
+      return;
+    }
+
+    this.logger.debug(
+      this._logPrefix(componentPosition),
+      `No actions matched '${this._describeCurrentKeyCombination()}' ${describeKeyEventType(eventBitmapIndex)}. Calling onUnhandledKey . . .`
+    );
+
+    component.options.onUnhandledKey(event, copyKeyCombination(this._getCurrentKeyCombination()));
+  }
+
+  /**
+   * Whether a key event fired because a key is being held down should trigger an action
+   * @param {ActionName} actionName - Name of the action the key event matches
+   * @param {Number|Boolean} repeat - true to always trigger the action, false to never
+   *        trigger it, or the minimum number of milliseconds between the times it is
+   *        triggered
+   * @returns {Boolean} true if the action's handler should be called
+   * @private
+   */
+  _repeatTriggersAction(actionName, repeat) {
+    if (repeat === true || repeat === false) {
+      return repeat;
+    }
+
+    const lastCalledAt = this.actionCallTimes[actionName];
+
+    return isUndefined(lastCalledAt) || Date.now() - lastCalledAt >= repeat;
+  }
+
+  /**
+   * Calls an action's handler once the keys that match it have been held down for long
+   * enough, unless they are released (or other keys are pressed) first. If the handler
+   * returns a function, it is called when the keys are released.
+   * The options for handling the key event (preventDefault and stopPropagation) are
+   * not applied when the handler is called, as the key event has already been
+   * dispatched by then.
+   * @param {KeyboardEvent} event - The key event that matched the action
+   * @param {Object} matchedEvent - The key map entry the key event matched
+   * @param {KeyEventMatch} match - Description of how the key event matched the action
+   * @param {Number} componentPosition - Position of the component that defines the
+   *        handler
+   * @private
+   */
+  _startPendingHold(event, matchedEvent, match, componentPosition) {
+    const { actionName, hold, handler } = matchedEvent;
+    const { componentId } = this.componentList[componentPosition];
+
+    this._cancelPendingHold();
+
+    if (event.persist) {
+      /**
+       * React re-uses synthetic events once they have been handled, unless told
+       * otherwise
+       */
+      event.persist();
+    }
+
+    const keyNames = Object.keys(this._getCurrentKeyCombination().keys);
+
+    const timeout = setTimeout(() => {
+      this.pendingHold = null;
+
+      this.logger.debug(
+        this._logPrefix(componentPosition),
+        `Keys held down for ${hold}ms: ${actionName}. Calling handler . . .`
+      );
+
+      this.actionCallTimes[actionName] = Date.now();
+
+      const result = handler(event, { ...match, repeat: false });
+
+      if (typeof result === 'function') {
+        this.heldAction = { keyNames, componentId, release: result };
+      }
+    }, hold);
+
+    this.pendingHold = { actionName, componentId, componentPosition, event, timeout };
+  }
+
+  /**
+   * Stops waiting for the keys of an action to be held down long enough to trigger it
+   * @private
+   */
+  _cancelPendingHold() {
+    if (this.pendingHold) {
+      this.logger.debug(
+        this._logPrefix(this.pendingHold.componentPosition),
+        `Keys not held down long enough: ${this.pendingHold.actionName}.`
+      );
+
+      clearTimeout(this.pendingHold.timeout);
+
+      this.pendingHold = null;
+    }
+  }
+
+  /**
+   * Cancels the action waiting for its keys to be held down, and tells the handler of
+   * an action triggered by holding keys down that they have been released, if the
+   * actions belong to a component that is being disabled (because it has unmounted or
+   * lost focus)
+   * @param {ComponentId} componentId - Id of the component being disabled
+   * @protected
+   */
+  _cancelHeldActionsOfComponent(componentId) {
+    if (this.pendingHold && this.pendingHold.componentId === componentId) {
+      this._cancelPendingHold();
+    }
+
+    const { heldAction } = this;
+
+    if (heldAction && heldAction.componentId === componentId) {
+      this.heldAction = null;
+
+      heldAction.release();
+    }
+  }
+
+  /**
+   * Cancels the action waiting for its keys to be held down when a new key is pressed
+   * or a key is released, and tells the handler of an action triggered by holding keys
+   * down when one of them is released
+   * @param {KeyboardEvent} event - The new key event
+   * @param {ReactKeyName} keyName - Name of the key the event is for
+   * @param {KeyEventBitmapIndex} eventBitmapIndex - Index of the type of the key event
+   * @protected
+   */
+  _updateHeldActions(event, keyName, eventBitmapIndex) {
+    if (eventBitmapIndex === KeyEventBitmapIndex.keyup) {
+      this._cancelPendingHold();
+
+      const { heldAction } = this;
+
+      if (heldAction && contains(heldAction.keyNames, keyName)) {
+        this.heldAction = null;
+
+        heldAction.release(event);
+      }
+    } else if (eventBitmapIndex === KeyEventBitmapIndex.keydown && !this.keyEventIsRepeat) {
+      this._cancelPendingHold();
+    }
+  }
+
+  /**
+   * Whether two components receive the same key events, so that a handler defined
+   * closer to the event target for a key sequence shadows the handlers for the same
+   * sequence in the other component
+   * @param {Number} componentPosition Position of the component in the component list
+   * @param {Number} otherComponentPosition Position of the other component
+   * @returns {Boolean} true if the components receive the same key events
+   * @protected
+   */
+  _componentsCompeteForKeyEvents(componentPosition, otherComponentPosition) {
+    return true;
+  }
+
+  /**
+   * Whether an action should not be matched with the current key event, because its
+   * handler has already declined to handle it, or the action is shadowed by one closer
+   * to the event target and no handler has declined to handle it
+   * @param {Object} matchedEvent - The action's entry for the current key event type
+   * @returns {Boolean} true if the action should not be matched
+   * @private
+   */
+  _actionIsDeclinedOrShadowed(matchedEvent) {
+    const { eventId, events } = this.declinedActions;
+
+    if (eventId !== this.keyEventCounter.getId()) {
+      return matchedEvent.shadowed;
+    }
+
+    return contains(events, matchedEvent) || (matchedEvent.shadowed && events.length === 0);
+  }
+
+  /**
+   * Records that the handler of an action has declined to handle the current key event
+   * @param {Object} matchedEvent - The action's entry for the current key event type
+   * @private
+   */
+  _recordDeclinedAction(matchedEvent) {
+    const eventId = this.keyEventCounter.getId();
+
+    if (this.declinedActions.eventId !== eventId) {
+      this.declinedActions = { eventId, events: [] };
+    }
+
+    this.declinedActions.events.push(matchedEvent);
+  }
+
+  /**
+   * Result a handler may return to say how the key event that called it was handled
+   * @typedef {Object} HandlerResult
+   * @property {Boolean} handled - false if the handler did not handle the key event,
+   *           so the search for a handler should continue
+   * @property {Boolean} preventDefault - Whether to prevent the key event's default
+   *           behaviour
+   * @property {Boolean} stopPropagation - Whether to stop the key event propagating
+   */
+
+  /**
+   * Prevents the default behaviour of a key event that has been handled, and stops it
+   * propagating, as the action it matched and the result of the action's handler say.
+   * The handler's result takes precedence over the action's options, which take
+   * precedence over the stopEventPropagationAfterHandling option.
+   * @param {KeyboardEvent} event - The key event that has been handled
+   * @param {Object} options - The preventDefault and stopPropagation options of the
+   *        action the event matched
+   * @param {HandlerResult|*} result - Value returned by the action's handler
+   * @param {Number} componentPosition - Position of the component that handled the event
+   * @private
+   */
+  _applyEventHandlingOptions(event, { preventDefault, stopPropagation }, result, componentPosition) {
+    const handlerResult = isObject(result) ? result : {};
+
+    const shouldPreventDefault = isUndefined(handlerResult.preventDefault) ?
+      preventDefault : handlerResult.preventDefault;
+
+    if (shouldPreventDefault && !event.simulated) {
+      event.preventDefault();
+    }
+
+    const shouldStopPropagation = isUndefined(handlerResult.stopPropagation) ?
+      stopPropagation : handlerResult.stopPropagation;
+
+    if (isUndefined(shouldStopPropagation)) {
+      this._stopEventPropagationAfterHandlingIfEnabled(event, componentPosition);
+    } else if (shouldStopPropagation) {
+      this._stopEventPropagation(event, componentPosition);
+    }
+  }
+
   _stopEventPropagationAfterHandlingIfEnabled(event, componentId) {
-    if (Configuration.option('stopEventPropagationAfterHandling')) {
+    if (this.configuration.option('stopEventPropagationAfterHandling')) {
       this._stopEventPropagation(event, componentId);
 
       return true;
@@ -997,7 +1890,7 @@ class AbstractKeyEventStrategy {
   }
 
   _stopEventPropagationAfterIgnoringIfEnabled(event, componentId) {
-    if (Configuration.option('stopEventPropagationAfterIgnoring')) {
+    if (this.configuration.option('stopEventPropagationAfterIgnoring')) {
       this._stopEventPropagation(event, componentId);
 
       return true;
@@ -1052,6 +1945,33 @@ class AbstractKeyEventStrategy {
     }
   }
 
+  /**
+   * Returns the key map entry of a sequence that uses KeyPatterns (e.g. digit) in the
+   * combinations before its final one, that matches the key combination history. Used
+   * when there is no entry for the exact combinations in the history.
+   * @param {Object} keyMatcher - Key map entries, indexed by the ids of the sequences
+   * @param {KeyCombinationRecord[]} sequenceHistory - The key combinations before the
+   *        current one
+   * @returns {Object|undefined} The matching key map entry, if there is one
+   * @private
+   */
+  _tryMatchSequenceWithKeyPatterns(keyMatcher, sequenceHistory) {
+    return Object.values(keyMatcher).find(({ prefixKeyPatterns }) => {
+      return prefixKeyPatterns && prefixKeyPatterns.length === sequenceHistory.length &&
+        prefixKeyPatterns.every((keyDictionary, index) => {
+          const keyCombination = sequenceHistory[index];
+
+          const keyPatternMatches = resolveKeyPatterns(keyCombination, keyDictionary);
+
+          return keyPatternMatches &&
+            Object.keys(keyCombination.keys).length === Object.keys(keyDictionary).length &&
+            Object.keys(keyDictionary).every((keyName) => {
+              return getKeyState(keyCombination, keyPatternMatches[keyName] || keyName);
+            });
+        });
+    });
+  }
+
   _combinationMatchesKeys(keyBeingPressed, keyCombination, combinationMatch, eventBitmapIndex) {
     const combinationHasHandlerForEventType =
       combinationMatch.events[eventBitmapIndex];
@@ -1060,9 +1980,17 @@ class AbstractKeyEventStrategy {
       return false;
     }
 
+    const keyPatternMatches =
+      resolveKeyPatterns(keyCombination, combinationMatch.keyDictionary, keyBeingPressed);
+
+    if (!keyPatternMatches) {
+      return false;
+    }
+
     let keyCompletesCombination = false;
 
-    const combinationMatchesKeysPressed = !Object.keys(combinationMatch.keyDictionary).some((candidateKeyName) => {
+    const combinationMatchesKeysPressed = !Object.keys(combinationMatch.keyDictionary).some((keyNameOrPattern) => {
+      const candidateKeyName = keyPatternMatches[keyNameOrPattern] || keyNameOrPattern;
       const keyState = getKeyState(keyCombination, candidateKeyName);
 
       if (keyState) {
@@ -1084,6 +2012,65 @@ class AbstractKeyEventStrategy {
     return combinationMatchesKeysPressed && keyCompletesCombination;
   }
 
+  /**
+   * Whether the current key combination is a tap of the keys in a combination, if the
+   * combination's action must be triggered by tapping its keys: that is, no other keys
+   * were pressed while they were held down
+   * @param {KeyCombinationRecord} keyCombination - The current key combination
+   * @param {Object} combinationMatch - The combination the key combination matches
+   * @param {KeyEventBitmapIndex} eventBitmapIndex - Index of the current key event type
+   * @returns {Boolean} true if the action does not need to be tapped, or the key
+   *          combination is a tap
+   * @private
+   */
+  _combinationMatchesTap(keyCombination, combinationMatch, eventBitmapIndex) {
+    if (!combinationMatch.events[eventBitmapIndex].taps) {
+      return true;
+    }
+
+    return Object.keys(keyCombination.keys).length === combinationMatch.size;
+  }
+
+  /**
+   * Whether the modifier keys held down in the current key combination are exactly the
+   * ones in a combination, if the combination's action must be matched exactly. Shift
+   * is not considered an extra modifier key when the combination names a symbol that
+   * is typed using it (e.g. '?').
+   * @param {KeyCombinationRecord} keyCombination - The current key combination
+   * @param {Object} combinationMatch - The combination the key combination matches
+   * @param {KeyEventBitmapIndex} eventBitmapIndex - Index of the current key event type
+   * @returns {Boolean} true if the action does not need to be matched exactly, or no
+   *          extra modifier keys are held down
+   * @private
+   */
+  _combinationMatchesModifiers(keyCombination, combinationMatch, eventBitmapIndex) {
+    if (!combinationMatch.events[eventBitmapIndex].exact) {
+      return true;
+    }
+
+    const { keyDictionary } = combinationMatch;
+
+    return !Object.keys(ModifierFlagsDictionary).some((modifierKey) => {
+      if (keyDictionary[modifierKey]) {
+        return false;
+      }
+
+      const keyState = keyCombination.keys[modifierKey];
+
+      if (!keyState || keyIsCurrentlyTriggeringEvent(keyState, KeyEventBitmapIndex.keyup)) {
+        return false;
+      }
+
+      if (modifierKey === 'Shift') {
+        return !Object.keys(keyDictionary).some((keyName) => {
+          return keyCombination.keys[keyName] && resolveUnshiftedAlias(keyName)[0] !== keyName;
+        });
+      }
+
+      return true;
+    });
+  }
+
   /**
    * Synchronises the key combination history to match the modifier key flag attributes
    * on new key events
@@ -1108,6 +2095,30 @@ class AbstractKeyEventStrategy {
      })
   }
 
+  /**
+   * Records whether a new key event was fired because a key is being held down. Keydown
+   * events are repeats if the browser says so (event.repeat), or if the key history
+   * shows the key is already down. Keypress events are repeats if the keydown event
+   * before them was.
+   * @param {KeyboardEvent} event - The new key event
+   * @param {ReactKeyName} keyName - Name of the key the event is for
+   * @param {KeyEventBitmapIndex} eventBitmapIndex - Index of the type of the key event
+   * @protected
+   */
+  _setKeyEventRepeatFlag(event, keyName, eventBitmapIndex) {
+    if (eventBitmapIndex === KeyEventBitmapIndex.keyup) {
+      this.keyEventIsRepeat = false;
+    } else if (eventBitmapIndex === KeyEventBitmapIndex.keypress) {
+      this.keyEventIsRepeat = !!event.repeat || this.keyEventIsRepeat;
+    } else {
+      const keyState = this._getCurrentKeyState(keyName);
+
+      this.keyEventIsRepeat = !!event.repeat || (!!keyState &&
+        keyIsCurrentlyTriggeringEvent(keyState, KeyEventBitmapIndex.keydown) &&
+        !keyIsCurrentlyTriggeringEvent(keyState, KeyEventBitmapIndex.keyup));
+    }
+  }
+
   _keyIsCurrentlyDown(keyName) {
     const keyState = this._getCurrentKeyState(keyName);
 
@@ -1142,6 +2153,12 @@ class AbstractKeyEventStrategy {
     })();
 
     return Object.keys(keyDictionary).reduce((memo, keyName) => {
+      const code = this.keyCodes[keyName];
+
+      if (code && code !== keyName) {
+        memo[code] = keyName;
+      }
+
       resolveKeyAlias(keyName).forEach((normalizedKey) => {
         aliasFunctions.forEach((aliasFunction) => {
           aliasFunction(normalizedKey).forEach((keyAlias) => {
@@ -1184,6 +2201,29 @@ class AbstractKeyEventStrategy {
   }
 }
 
+function describeSequences(keyMapValue) {
+  return expandKeyMapOptions(keyMapValue).map(({ sequence, action }) => {
+    return isUndefined(action) ? { sequence } : { sequence, action };
+  });
+}
+
+function bindingsConflict(binding, otherBinding) {
+  return binding.id === otherBinding.id &&
+    binding.keyEvent === otherBinding.keyEvent &&
+    binding.actionName !== otherBinding.actionName;
+}
+
+function describeConflict(type, binding, otherBinding) {
+  return {
+    type,
+    sequence: binding.id,
+    keyEvent: binding.keyEvent,
+    actions: [ binding, otherBinding ].map(({ actionName, componentId, sequence }) => {
+      return { actionName, componentId, sequence };
+    })
+  };
+}
+
 function keyIsCurrentlyTriggeringEvent(keyState, eventBitmapIndex) {
   return keyState && keyState[KeyEventSequenceIndex.current][eventBitmapIndex];
 }
@@ -1204,6 +2244,70 @@ function getKeyAlias(keyCombination, keyName) {
   }
 }
 
+/**
+ * Returns the keys in a key combination that match the KeyPatterns (e.g. digit) in a
+ * dictionary of keys. Keys that are named in the dictionary can't also match a
+ * KeyPattern, and the key being pressed is preferred over the other keys.
+ * @param {KeyCombinationRecord} keyCombination - The key combination
+ * @param {KeyDictionary} keyDictionary - Dictionary of keys, which may include
+ *        KeyPatterns
+ * @param {ReactKeyName} preferredKeyName - Name of the key being pressed
+ * @returns {Object.<KeyPattern, ReactKeyName>|null} Dictionary of the keys that match
+ *          each KeyPattern (as a key name or one of its aliases), or null if a KeyPattern
+ *          matches none of the keys
+ */
+function resolveKeyPatterns(keyCombination, keyDictionary, preferredKeyName) {
+  const keyNames = Object.keys(keyDictionary);
+
+  const keyPatterns = keyNames.filter((keyName) => parseKeyPattern(keyName) === keyName);
+
+  if (keyPatterns.length === 0) {
+    return {};
+  }
+
+  const usedKeyNames = without(keyNames, keyPatterns).map((keyName) => getKeyAlias(keyCombination, keyName));
+
+  const candidateKeyNames = Object.keys(keyCombination.keys).reduce((memo, keyName) => {
+    return keyName === preferredKeyName ? [ keyName, ...memo ] : [ ...memo, keyName ];
+  }, []);
+
+  const keyPatternMatches = {};
+
+  const allKeyPatternsMatch = keyPatterns.every((keyPattern) => {
+    return candidateKeyNames.some((keyName) => {
+      if (contains(usedKeyNames, keyName)) {
+        return false;
+      }
+
+      const keyAliases = Object.keys(keyCombination.keyAliases).filter((keyAlias) => {
+        return keyCombination.keyAliases[keyAlias] === keyName;
+      });
+
+      const matchingName = [ keyName, ...keyAliases ].find((name) => keyMatchesPattern(name, keyPattern));
+
+      if (matchingName) {
+        keyPatternMatches[keyPattern] = matchingName;
+        usedKeyNames.push(keyName);
+
+        return true;
+      }
+
+      return false;
+    });
+  });
+
+  return allKeyPatternsMatch ? keyPatternMatches : null;
+}
+
+/**
+ * Returns a copy of a key combination record, that is not changed by later key events
+ * @param {KeyCombinationRecord} keyCombination - The key combination to copy
+ * @returns {KeyCombinationRecord} Copy of the key combination
+ */
+function copyKeyCombination({ keys, ids, keyAliases }) {
+  return { keys: { ...keys }, ids: [ ...ids ], keyAliases: { ...keyAliases } };
+}
+
 function getKeyState(keyCombination, keyName) {
   const keyState = keyCombination.keys[keyName];
 
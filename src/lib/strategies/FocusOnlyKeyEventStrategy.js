@@ -1,8 +1,6 @@
 import AbstractKeyEventStrategy from './AbstractKeyEventStrategy';
 import KeyEventBitmapIndex from '../../const/KeyEventBitmapIndex';
-import KeyEventCounter from '../KeyEventCounter';
 import describeKeyEventType from '../../helpers/logging/describeKeyEventType';
-import Configuration from '../Configuration';
 import Logger from '../Logger';
 import printComponent from '../../helpers/logging/printComponent';
 import isUndefined from '../../utils/isUndefined';
@@ -20,11 +18,11 @@ class FocusOnlyKeyEventStrategy extends AbstractKeyEventStrategy {
    * Init & Reset
    ********************************************************************************/
 
-  constructor(configuration = {}, keyEventManager) {
+  constructor(options = {}, keyEventManager) {
     /**
      * Set state that DOES get cleared on each new focus tree
      */
-    super(configuration, keyEventManager);
+    super(options, keyEventManager);
 
     /**
      * State that doesn't get cleared on each new focus tree
@@ -238,6 +236,8 @@ class FocusOnlyKeyEventStrategy extends AbstractKeyEventStrategy {
       this.resetOnNextFocus = true;
     }
 
+    this._cancelHeldActionsOfComponent(componentId);
+
     const componentPosition = this._getComponentPosition(componentId);
 
     const previousComponentPosition = this.eventPropagationState.previousComponentPosition;
@@ -302,9 +302,9 @@ class FocusOnlyKeyEventStrategy extends AbstractKeyEventStrategy {
       const keyInCurrentCombination = !!this._getCurrentKeyState(_key);
 
       if (keyInCurrentCombination || this.keyCombinationIncludesKeyUp) {
-        this._startAndLogNewKeyCombination(_key, KeyEventBitmapIndex.keydown, focusTreeId, componentId);
+        this._startAndLogNewKeyCombination(_key, KeyEventBitmapIndex.keydown, focusTreeId, componentId, event.code);
       } else {
-        this._addToAndLogCurrentKeyCombination(_key, KeyEventBitmapIndex.keydown, focusTreeId, componentId);
+        this._addToAndLogCurrentKeyCombination(_key, KeyEventBitmapIndex.keydown, focusTreeId, componentId, event.code);
       }
 
       this._callHandlerIfActionNotHandled(event, _key, KeyEventBitmapIndex.keydown, componentId, focusTreeId);
@@ -331,6 +331,8 @@ class FocusOnlyKeyEventStrategy extends AbstractKeyEventStrategy {
 
     if (this._isNewKeyEvent(componentId)) {
       this._setNewEventParameters(event, keyEventBitmapIndex);
+      this._setKeyEventRepeatFlag(event, key, keyEventBitmapIndex);
+      this._updateHeldActions(event, key, keyEventBitmapIndex);
 
       /**
        * We know that this is a new key event and not the same event bubbling up
@@ -402,7 +404,8 @@ class FocusOnlyKeyEventStrategy extends AbstractKeyEventStrategy {
         _key,
         KeyEventBitmapIndex.keypress,
         focusTreeId,
-        componentId
+        componentId,
+        event.code
       );
     }
 
@@ -471,7 +474,8 @@ class FocusOnlyKeyEventStrategy extends AbstractKeyEventStrategy {
         _key,
         KeyEventBitmapIndex.keyup,
         focusTreeId,
-        componentId
+        componentId,
+        event.code
       );
     }
 
@@ -602,7 +606,7 @@ class FocusOnlyKeyEventStrategy extends AbstractKeyEventStrategy {
   }
 
   _setNewEventParameters(event, type) {
-    KeyEventCounter.incrementId();
+    this.keyEventCounter.incrementId();
 
     this.currentEvent = {
       key: event.key,
@@ -612,8 +616,8 @@ class FocusOnlyKeyEventStrategy extends AbstractKeyEventStrategy {
     };
   }
 
-  _startAndLogNewKeyCombination(keyName, eventBitmapIndex, focusTreeId, componentId) {
-    this._startNewKeyCombination(keyName, eventBitmapIndex);
+  _startAndLogNewKeyCombination(keyName, eventBitmapIndex, focusTreeId, componentId, code) {
+    this._startNewKeyCombination(keyName, eventBitmapIndex, code);
 
     this.logger.verbose(
       this._logPrefix(componentId, {focusTreeId}),
@@ -626,8 +630,8 @@ class FocusOnlyKeyEventStrategy extends AbstractKeyEventStrategy {
     );
   }
 
-  _addToAndLogCurrentKeyCombination(keyName, eventBitmapIndex, focusTreeId, componentId) {
-    this._addToCurrentKeyCombination(keyName, eventBitmapIndex);
+  _addToAndLogCurrentKeyCombination(keyName, eventBitmapIndex, focusTreeId, componentId, code) {
+    this._addToCurrentKeyCombination(keyName, eventBitmapIndex, code);
 
     if (eventBitmapIndex === KeyEventBitmapIndex.keydown) {
       this.logger.verbose(
@@ -662,7 +666,7 @@ class FocusOnlyKeyEventStrategy extends AbstractKeyEventStrategy {
   }
 
   _handleEventSimulation(listName, handlerName, shouldSimulate, {event, key, focusTreeId, componentId, options}) {
-    if (shouldSimulate && Configuration.option('simulateMissingKeyPressEvents')) {
+    if (shouldSimulate && this.configuration.option('simulateMissingKeyPressEvents')) {
       /**
        * If a key does not have a keypress event, we save the details of the keydown
        * event to simulate the keypress event, as the keydown event bubbles through
@@ -676,7 +680,7 @@ class FocusOnlyKeyEventStrategy extends AbstractKeyEventStrategy {
     }
 
     if (this._isFocusTreeRoot(componentId) || this.eventPropagationState.stopping) {
-      if (!this.keyEventManager.isGlobalListenersBound()) {
+      if (!this.keyEventManager.isGlobalListenersBoundAfterReactApp(event)) {
         this[handlerName]();
       }
       /**
@@ -696,7 +700,7 @@ class FocusOnlyKeyEventStrategy extends AbstractKeyEventStrategy {
 
   _simulatePendingKeyEvents(listName, handlerName) {
     if (this[listName].length > 0) {
-      KeyEventCounter.incrementId();
+      this.keyEventCounter.incrementId();
     }
 
     this[listName].forEach(({ event, focusTreeId, componentId, options }) => {
@@ -720,7 +724,9 @@ class FocusOnlyKeyEventStrategy extends AbstractKeyEventStrategy {
 
   /**
    * Calls the first handler that matches the current key event if the action has not
-   * already been handled in a more deeply nested component
+   * already been handled in a more deeply nested component. Once the key event has
+   * reached the root of the focus tree without matching an action, the onUnhandledKey
+   * handler of the component closest to the event target that defines one is called.
    * @param {KeyboardEvent} event Keyboard event object to be passed to the handler
    * @param {NormalizedKeyName} keyName Normalized key name
    * @param {KeyEventBitmapIndex} eventBitmapIndex The bitmap index of the current key event type
@@ -769,6 +775,14 @@ class FocusOnlyKeyEventStrategy extends AbstractKeyEventStrategy {
         `Ignored '${combinationName}' ${eventName} because it doesn't have any ${eventName} handlers.`
       );
     }
+
+    if (!this.eventPropagationState.actionHandled && this._isFocusTreeRoot(componentId)) {
+      this._callUnhandledKeyHandler(
+        event,
+        eventBitmapIndex,
+        this.componentList.findIndex(({ options = {} }) => options.onUnhandledKey)
+      );
+    }
   }
 
   /********************************************************************************
@@ -788,7 +802,7 @@ class FocusOnlyKeyEventStrategy extends AbstractKeyEventStrategy {
     }
 
     if (options.eventId !== false) {
-      const eventId = isUndefined(options.eventId) ? KeyEventCounter.getId() : options.eventId;
+      const eventId = isUndefined(options.eventId) ? this.keyEventCounter.getId() : options.eventId;
 
       base += `E${eventId}${eventIcons[eventId % eventIcons.length]}-`;
     }
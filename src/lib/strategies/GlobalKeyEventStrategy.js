@@ -3,18 +3,19 @@ import KeyEventBitmapIndex from '../../const/KeyEventBitmapIndex';
 import AbstractKeyEventStrategy from './AbstractKeyEventStrategy';
 import capitalize from '../../utils/string/capitalize';
 import describeKeyEventType from '../../helpers/logging/describeKeyEventType';
-import KeyEventCounter from '../KeyEventCounter';
 import Logger from '../Logger';
 import removeAtIndex from '../../utils/array/removeAtIndex';
 import isUndefined from '../../utils/isUndefined';
 import getEventKey from '../../vendor/react-dom/getEventKey';
 import printComponent from '../../helpers/logging/printComponent';
 import normalizeKeyName from '../../helpers/resolving-handlers/normalizeKeyName';
-import Configuration from '../Configuration';
 import describeKeyEvent from '../../helpers/logging/describeKeyEvent';
 import isCmdKey from '../../helpers/parsing-key-maps/isCmdKey';
 import EventResponse from '../../const/EventResponse';
 import contains from '../../utils/collection/contains';
+import eventReachesTarget from '../../helpers/binding-listeners/eventReachesTarget';
+import isElementTarget from '../../helpers/binding-listeners/isElementTarget';
+import describeRecordedKeyCombination from '../../helpers/recording-key-combinations/describeRecordedKeyCombination';
 
 /**
  * Defines behaviour for dealing with key maps defined in global HotKey components
@@ -25,11 +26,11 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
    * Init & Reset
    ********************************************************************************/
 
-  constructor(configuration = {}, keyEventManager) {
+  constructor(options = {}, keyEventManager) {
     /**
      * Set state that gets cleared every time a component gets mounted or unmounted
      */
-    super(configuration, keyEventManager);
+    super(options, keyEventManager);
 
     /**
      * Set state that doesn't get cleared each time a new new component is mounted
@@ -38,13 +39,48 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
      */
 
     /**
-     * Whether the global key event handlers have been bound to document yet or not
+     * Whether the global key event handlers have been bound to any targets yet or not
      * @type {boolean}
      */
     this.listenersBound = false;
 
+    /**
+     * @typedef {Object} ListenerBinding
+     * @property {EventTarget} target The element, document or window the listeners
+     *           are bound to
+     * @property {Boolean} capture Whether the listeners are bound in the capture phase
+     * @property {Object.<KeyEventName, Function>} listeners The functions bound as
+     *           event listeners, so they may be removed again later
+     */
+
+    /**
+     * List of the event targets that the mounted GlobalHotKeys components listen
+     * on, and the listeners bound to each
+     * @type {ListenerBinding[]}
+     */
+    this.listenerBindings = [];
+
+    /**
+     * The binding whose listener is currently handling a key event
+     * @type {ListenerBinding|null}
+     */
+    this.currentListenerBinding = null;
+
+    /**
+     * The last native key event received by any listener, so that events that
+     * propagate through more than one target are only handled once
+     * @type {KeyboardEvent|null}
+     */
+    this.lastListenedEvent = null;
+
+    /**
+     * The key combination recording in progress, if there is one
+     * @type {KeyCombinationRecording|null}
+     */
+    this.keyCombinationRecording = null;
+
     this.eventOptions = {
-      ignoreEventsCondition: Configuration.option('ignoreEventsCondition')
+      ignoreEventsCondition: this.configuration.option('ignoreEventsCondition')
     };
   }
 
@@ -71,7 +107,7 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
       options
     );
 
-    this._updateDocumentHandlers();
+    this._updateListenerBindings();
 
     this.logger.debug(
       this._logPrefix(componentId, {eventId: false}),
@@ -119,7 +155,7 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
      * Reset strategy state specific to the global strategy
      */
 
-    this._updateDocumentHandlers();
+    this._updateListenerBindings();
 
     /**
      * Reset handler resolution state
@@ -138,6 +174,17 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
     );
   }
 
+  /**
+   * Rebuilds the actions of the mounted components, and binds or unbinds the event
+   * listeners if the key events the key maps are bound to have changed
+   * @see AbstractKeyEventStrategy.applyKeyMapOverrides
+   */
+  applyKeyMapOverrides() {
+    super.applyKeyMapOverrides();
+
+    this._updateListenerBindings();
+  }
+
   /**
    * Handles when a component is unmounted
    * @param {ComponentId} componentId - Index of component that is being unmounted
@@ -146,6 +193,8 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
     const [{ keyMapEventBitmap }, componentPosition ] =
       this._getComponentAndPosition(componentId);
 
+    this._cancelHeldActionsOfComponent(componentId);
+
     /**
      * Manually update the registered key map state, usually reset using
      * _resetRegisteredKeyMapsState() method
@@ -159,7 +208,7 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
      */
     this._updateComponentIndexDictFromList({ startingAt: componentPosition });
 
-    this._updateDocumentHandlers(
+    this._updateListenerBindings(
       keyMapEventBitmap,
       KeyEventBitmapManager.newBitmap()
     );
@@ -196,40 +245,139 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
     }
   }
 
-  _updateDocumentHandlers(){
-    const listenersShouldBeBound = this.keyMapEventBitmap.some((eventType) => eventType);
+  _updateListenerBindings(){
+    const listenersShouldBeBound = !!this.keyCombinationRecording ||
+      this.keyMapEventBitmap.some((eventType) => eventType);
 
-    if (!this.listenersBound && listenersShouldBeBound) {
-      for(let bitmapIndex = 0; bitmapIndex < this.keyMapEventBitmap.length; bitmapIndex++) {
-        const eventName = describeKeyEventType(bitmapIndex);
+    const targets = listenersShouldBeBound ? this._getListenerTargets() : [];
 
-        document[`on${eventName}`] = (keyEvent) => {
-          this.keyEventManager[`handleGlobal${capitalize(eventName)}`](keyEvent);
-        };
+    this.listenerBindings
+      .filter(({target}) => !contains(targets, target))
+      .forEach((binding) => this._removeListenerBinding(binding));
 
-        this.logger.debug(
-          this._logPrefix(this.componentId, {eventId: false}),
-          `Bound handler handleGlobal${capitalize(eventName)}() to document.on${eventName}()`
-        );
+    targets
+      .filter((target) => !this._getListenerBinding(target))
+      .forEach((target) => this._addListenerBinding(target));
+
+    this.listenersBound = this.listenerBindings.length > 0;
+  }
+
+  _getListenerTargets() {
+    /**
+     * Key combinations are recorded wherever in the document they are pressed
+     */
+    const recordingTargets = this.keyCombinationRecording ? [ document ] : [];
+
+    return this.componentList.reduce((memo, { options }) => {
+      const target = getListenerTarget(options);
+
+      if (!contains(memo, target)) {
+        memo.push(target);
       }
 
-      this.listenersBound = true;
+      return memo;
+    }, recordingTargets);
+  }
 
-    } else if(this.listenersBound && !listenersShouldBeBound) {
+  _getListenerBinding(target) {
+    return this.listenerBindings.find((binding) => binding.target === target);
+  }
 
-      for(let bitmapIndex = 0; bitmapIndex < this.keyMapEventBitmap.length; bitmapIndex++) {
-        const eventName = describeKeyEventType(bitmapIndex);
+  _addListenerBinding(target) {
+    const binding = {
+      target,
+      capture: this.configuration.option('captureGlobalKeyEvents'),
+      listeners: {}
+    };
 
-        delete document[`on${eventName}`];
+    for(let bitmapIndex = 0; bitmapIndex < this.keyMapEventBitmap.length; bitmapIndex++) {
+      const eventName = describeKeyEventType(bitmapIndex);
 
-        this.logger.debug(
-          this._logPrefix(this.componentId, {eventId: false}),
-          `Removed handler handleGlobal${capitalize(eventName)}() from document.on${eventName}()`
-        );
+      binding.listeners[eventName] = (keyEvent) => {
+        this._handleListenedEvent(binding, eventName, keyEvent);
+      };
+
+      target.addEventListener(eventName, binding.listeners[eventName], binding.capture);
+
+      this.logger.debug(
+        this._logPrefix(this.componentId, {eventId: false}),
+        `Bound handler handleGlobal${capitalize(eventName)}() to ${describeTarget(target)} ${eventName} event (${describeListenerPhase(binding)} phase)`
+      );
+    }
+
+    this.listenerBindings.push(binding);
+  }
+
+  _removeListenerBinding(binding) {
+    const { target, listeners } = binding;
+
+    Object.keys(listeners).forEach((eventName) => {
+      target.removeEventListener(eventName, listeners[eventName], binding.capture);
+
+      this.logger.debug(
+        this._logPrefix(this.componentId, {eventId: false}),
+        `Removed handler handleGlobal${capitalize(eventName)}() from ${describeTarget(target)} ${eventName} event (${describeListenerPhase(binding)} phase)`
+      );
+    });
+
+    this.listenerBindings = this.listenerBindings.filter((item) => item !== binding);
+  }
+
+  /**
+   * Removes all the event listeners bound to any targets
+   */
+  unbindListeners() {
+    this.listenerBindings.forEach((binding) => this._removeListenerBinding(binding));
+
+    this.listenersBound = false;
+  }
+
+  /**
+   * Handles a key event received by the listeners bound to a target. An event that
+   * propagates through more than one target is only recorded and matched the first
+   * time it is received, against all the components it reaches.
+   * @param {ListenerBinding} binding The binding of the listener that received the event
+   * @param {KeyEventName} eventName The name of the key event
+   * @param {KeyboardEvent} keyEvent The key event
+   * @private
+   */
+  _handleListenedEvent(binding, eventName, keyEvent) {
+    if (keyEvent === this.lastListenedEvent) {
+      if (this._listenerFollowsReactApp(binding)) {
+        /**
+         * The React app waits for the first listener bound after it to simulate any
+         * missing events, which is this one if the event was already handled by one
+         * that came before the React app
+         */
+        this.keyEventManager.simulatePendingKeyPressEvents();
+        this.keyEventManager.simulatePendingKeyUpEvents();
       }
 
-      this.listenersBound = false;
+      return;
     }
+
+    this.lastListenedEvent = keyEvent;
+    this.currentListenerBinding = binding;
+
+    this.keyEventManager[`handleGlobal${capitalize(eventName)}`](keyEvent);
+
+    this.currentListenerBinding = null;
+  }
+
+  _listenerFollowsReactApp({ target, capture }) {
+    return !capture && !isElementTarget(target);
+  }
+
+  /**
+   * Whether there are listeners bound that will receive the specified key event after
+   * it has propagated through the React app
+   * @param {KeyboardEvent} event The key event
+   * @returns {Boolean} true if a listener bound after the React app will receive the event
+   */
+  isListeningAfterReactApp(event) {
+    return this.listenerBindings.some((binding) => {
+      return this._listenerFollowsReactApp(binding) && eventReachesTarget(event, binding.target);
+    });
   }
 
   /********************************************************************************
@@ -250,6 +398,15 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
 
     const _key = normalizeKeyName(getEventKey(event));
 
+    if (this.keyCombinationRecording) {
+      this._recordKeyEvent(event, _key, KeyEventBitmapIndex.keydown);
+
+      return;
+    }
+
+    this._setKeyEventRepeatFlag(event, _key, KeyEventBitmapIndex.keydown);
+    this._updateHeldActions(event, _key, KeyEventBitmapIndex.keydown);
+
     const reactAppResponse = this._howReactAppRespondedTo(
       event,
       _key,
@@ -271,9 +428,9 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
       const keyInCurrentCombination = !!this._getCurrentKeyState(_key);
 
       if (keyInCurrentCombination || this.keyCombinationIncludesKeyUp) {
-        this._startAndLogNewKeyCombination(_key, KeyEventBitmapIndex.keydown);
+        this._startAndLogNewKeyCombination(_key, KeyEventBitmapIndex.keydown, event.code);
       } else {
-        this._addToAndLogCurrentKeyCombination(_key, KeyEventBitmapIndex.keydown);
+        this._addToAndLogCurrentKeyCombination(_key, KeyEventBitmapIndex.keydown, event.code);
       }
     }
 
@@ -285,7 +442,16 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
   }
 
   _howReactAppRespondedTo(event, key, eventBitmapIndex) {
+    /**
+     * When listening in the capture phase, or on an element, events reach the
+     * listener before they reach the React app, so whatever the React app last saw
+     * belongs to an earlier event
+     */
+    const { currentListenerBinding } = this;
+
     const reactAppHistoryWithEvent =
+      currentListenerBinding && !this._listenerFollowsReactApp(currentListenerBinding) ?
+      EventResponse.unseen :
       this.keyEventManager.reactAppHistoryWithEvent(key, eventBitmapIndex);
 
     switch(reactAppHistoryWithEvent) {
@@ -314,7 +480,7 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
         break;
 
       default:
-        KeyEventCounter.incrementId();
+        this.keyEventCounter.incrementId();
 
         this.logger.debug(
           this._logPrefix(),
@@ -337,10 +503,19 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
   handleKeypress(event) {
     const key = normalizeKeyName(getEventKey(event));
 
+    if (this.keyCombinationRecording) {
+      this._recordKeyEvent(event, key, KeyEventBitmapIndex.keypress);
+
+      return;
+    }
+
     /**
      * We first decide if the keypress event should be handled (to ensure the correct
      * order of logging statements)
      */
+    this._setKeyEventRepeatFlag(event, key, KeyEventBitmapIndex.keypress);
+    this._updateHeldActions(event, key, KeyEventBitmapIndex.keypress);
+
     const reactAppResponse = this._howReactAppRespondedTo(
       event,
       key,
@@ -352,7 +527,7 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
      */
 
     if (this._getCurrentKeyState(key)) {
-      this._addToAndLogCurrentKeyCombination(key, KeyEventBitmapIndex.keypress);
+      this._addToAndLogCurrentKeyCombination(key, KeyEventBitmapIndex.keypress, event.code);
     }
 
     if (reactAppResponse === EventResponse.unseen &&
@@ -383,10 +558,20 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
   handleKeyup(event) {
     const key = normalizeKeyName(getEventKey(event));
 
+    if (this.keyCombinationRecording) {
+      this._recordKeyEvent(event, key, KeyEventBitmapIndex.keyup);
+      this._simulateKeyUpEventsHiddenByCmd(event, key);
+
+      return;
+    }
+
     /**
      * We first decide if the keyup event should be handled (to ensure the correct
      * order of logging statements)
      */
+    this._setKeyEventRepeatFlag(event, key, KeyEventBitmapIndex.keyup);
+    this._updateHeldActions(event, key, KeyEventBitmapIndex.keyup);
+
     const reactAppResponse = this._howReactAppRespondedTo(
       event,
       key,
@@ -400,7 +585,7 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
      * is not lost (leaving react hotkeys thinking the key is still pressed).
      */
     if (this._getCurrentKeyState(key)) {
-      this._addToAndLogCurrentKeyCombination(key, KeyEventBitmapIndex.keyup);
+      this._addToAndLogCurrentKeyCombination(key, KeyEventBitmapIndex.keyup, event.code);
     }
 
     if (reactAppResponse === EventResponse.unseen &&
@@ -459,8 +644,8 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
     }
   }
 
-  _startAndLogNewKeyCombination(keyName, eventBitmapIndex) {
-    this._startNewKeyCombination(keyName, eventBitmapIndex);
+  _startAndLogNewKeyCombination(keyName, eventBitmapIndex, code) {
+    this._startNewKeyCombination(keyName, eventBitmapIndex, code);
 
     this.logger.verbose(
       this._logPrefix(),
@@ -473,8 +658,8 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
     );
   }
 
-  _addToAndLogCurrentKeyCombination(keyName, eventBitmapIndex) {
-    this._addToCurrentKeyCombination(keyName, eventBitmapIndex);
+  _addToAndLogCurrentKeyCombination(keyName, eventBitmapIndex, code) {
+    this._addToCurrentKeyCombination(keyName, eventBitmapIndex, code);
 
     if (eventBitmapIndex === KeyEventBitmapIndex.keydown) {
       this.logger.verbose(
@@ -489,18 +674,179 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
     );
   }
 
+  /********************************************************************************
+   * Recording key combinations
+   ********************************************************************************/
+
+  /**
+   * @typedef {Object} KeyCombinationRecording
+   * @property {Function} callback - Function to call with the RecordedKeySequence
+   *           when the recording is confirmed
+   * @property {Object} options - Options passed to recordKeyCombination
+   * @property {KeyCombinationString[]} combinations - The combinations recorded so far
+   * @property {KeyCombinationRecord} lastRecordedCombination - The record, in the key
+   *           combination history, of the last combination recorded
+   */
+
+  /**
+   * @typedef {Object} RecordedKeySequence
+   * @property {KeySequenceString} sequence - The recorded combinations, separated by
+   *           spaces, in the format used by key maps
+   * @property {KeyCombinationString[]} combinations - The recorded combinations
+   */
+
+  /**
+   * Records the next key combination pressed anywhere in the document, instead of
+   * matching it against the key maps of any mounted components. Cancels any
+   * recording that is already in progress.
+   * @param {Function} callback - Function to call with the RecordedKeySequence once
+   *        the recording is confirmed
+   * @param {Object} options - Options for how the key combination is recorded
+   * @param {Boolean} options.sequence - Whether to record a sequence of combinations,
+   *        until the recording is confirmed, rather than a single combination
+   * @param {Function} options.onChange - Function to call with the RecordedKeySequence
+   *        each time a combination is recorded
+   * @returns {{cancel: Function, confirm: Function}} Functions that stop the
+   *          recording, without and with calling the callback, respectively
+   */
+  recordKeyCombination(callback, options = {}) {
+    if (this.keyCombinationRecording) {
+      this._stopRecordingKeyCombination();
+    }
+
+    const recording = {
+      callback,
+      options,
+      combinations: [],
+      lastRecordedCombination: null
+    };
+
+    this.keyCombinationRecording = recording;
+
+    /**
+     * Keys that were pressed before the recording started are not part of the
+     * combination being recorded
+     */
+    this.keyCombinationHistory = [];
+    this.keyCombinationTimes = [];
+    this.keyCombinationIncludesKeyUp = false;
+
+    this._updateListenerBindings();
+
+    this.logger.debug(this._logPrefix(), 'Started recording key combinations.');
+
+    const whileRecording = (action) => () => {
+      if (this.keyCombinationRecording === recording) {
+        action();
+      }
+    };
+
+    return {
+      cancel: whileRecording(() => this._stopRecordingKeyCombination()),
+      confirm: whileRecording(() => this._confirmKeyCombinationRecording())
+    };
+  }
+
+  /**
+   * Adds a key event to the key combination history, and records the current
+   * combination when its first key is released
+   * @param {KeyboardEvent} event - Event containing the key name and state
+   * @param {ReactKeyName} key - Name of the key
+   * @param {KeyEventBitmapIndex} eventBitmapIndex - Index of the key event type
+   * @private
+   */
+  _recordKeyEvent(event, key, eventBitmapIndex) {
+    const recording = this.keyCombinationRecording;
+
+    if (eventBitmapIndex === KeyEventBitmapIndex.keydown) {
+      /**
+       * Prevent the browser responding to the keys being recorded (saving the page,
+       * for example)
+       */
+      if (!event.simulated) {
+        event.preventDefault();
+      }
+
+      if (this._getCurrentKeyState(key) || this.keyCombinationIncludesKeyUp) {
+        this._startAndLogNewKeyCombination(key, eventBitmapIndex, event.code);
+      } else {
+        this._addToAndLogCurrentKeyCombination(key, eventBitmapIndex, event.code);
+      }
+    } else if (this._getCurrentKeyState(key)) {
+      this._addToAndLogCurrentKeyCombination(key, eventBitmapIndex, event.code);
+    }
+
+    const keyCombination = this._getCurrentKeyCombination();
+
+    if (eventBitmapIndex !== KeyEventBitmapIndex.keyup ||
+          keyCombination === recording.lastRecordedCombination) {
+      return;
+    }
+
+    recording.lastRecordedCombination = keyCombination;
+    recording.combinations.push(
+      describeRecordedKeyCombination(Object.keys(keyCombination.keys))
+    );
+
+    this.logger.debug(
+      this._logPrefix(),
+      `Recorded key combination '${recording.combinations[recording.combinations.length - 1]}'.`
+    );
+
+    if (recording.options.onChange) {
+      recording.options.onChange(describeRecording(recording));
+    }
+
+    if (!recording.options.sequence) {
+      this._confirmKeyCombinationRecording();
+    }
+  }
+
+  /**
+   * Stops the recording in progress and, if any combinations have been recorded,
+   * calls its callback with them
+   * @private
+   */
+  _confirmKeyCombinationRecording() {
+    const recording = this.keyCombinationRecording;
+
+    this._stopRecordingKeyCombination();
+
+    if (recording.combinations.length > 0) {
+      recording.callback(describeRecording(recording));
+    }
+  }
+
+  /**
+   * Stops the recording in progress, and resumes matching key events against the
+   * key maps of the mounted components
+   * @private
+   */
+  _stopRecordingKeyCombination() {
+    this.keyCombinationRecording = null;
+
+    /**
+     * The recorded combinations should not form the start of a sequence
+     */
+    this._resetKeyCombinationHistory();
+
+    this._updateListenerBindings();
+
+    this.logger.debug(this._logPrefix(), 'Stopped recording key combinations.');
+  }
+
   /********************************************************************************
    * Event simulation
    ********************************************************************************/
 
   _handleEventSimulation(handlerName, shouldSimulate, {event, key}) {
-    if (shouldSimulate && Configuration.option('simulateMissingKeyPressEvents')) {
+    if (shouldSimulate && this.configuration.option('simulateMissingKeyPressEvents')) {
       /**
        * If a key does not have a keypress event, we simulate one immediately after
        * the keydown event, to keep the behaviour consistent across all keys
        */
 
-      const _event = this._cloneAndMergeEvent(event, {key, simulated: true});
+      const _event = this._cloneAndMergeEvent(event, {key, target: event.target, simulated: true});
       this[handlerName](_event);
     }
   }
@@ -509,10 +855,20 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
    * Matching and calling handlers
    ********************************************************************************/
 
+  /**
+   * Calls the first handler that matches the current key event, or the onUnhandledKey
+   * handler of the first component the event reaches that defines one, if none do
+   * @param {KeyboardEvent} event Keyboard event object to be passed to the handler
+   * @param {NormalizedKeyName} keyName Normalized key name
+   * @param {KeyEventBitmapIndex} eventBitmapIndex The bitmap index of the current key event type
+   * @private
+   */
   _callHandlerIfExists(event, keyName, eventBitmapIndex) {
     const eventName = describeKeyEventType(eventBitmapIndex);
     const combinationName = this._describeCurrentKeyCombination();
 
+    let matchFound = false;
+
     if (this.keyMapEventBitmap[eventBitmapIndex]) {
       /**
        * If there is at least one handler for the specified key event type (keydown,
@@ -524,7 +880,7 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
         `Attempting to find action matching '${combinationName}' ${eventName} . . .`
       );
 
-      this._callMatchingHandlerClosestToEventTarget(
+      matchFound = this._callMatchingHandlerClosestToEventTarget(
         event,
         keyName,
         eventBitmapIndex
@@ -540,16 +896,37 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
         `Ignored '${combinationName}' ${eventName} because it doesn't have any ${eventName} handlers.`
       );
     }
+
+    if (!matchFound) {
+      this._callUnhandledKeyHandler(
+        event,
+        eventBitmapIndex,
+        this.componentList.findIndex(({ options = {} }) => {
+          return options.onUnhandledKey && eventReachesTarget(event, getListenerTarget(options));
+        })
+      );
+    }
   }
 
   _callMatchingHandlerClosestToEventTarget(event, keyName, eventBitmapIndex) {
     for(let componentPosition = 0; componentPosition < this.componentList.length; componentPosition++) {
+      const target = getListenerTarget(this.componentList[componentPosition].options);
+
+      if (!eventReachesTarget(event, target)) {
+        this.logger.debug(
+          this._logPrefix(componentPosition),
+          `Skipped, as the event does not reach the ${describeTarget(target)} the component listens on.`
+        );
+
+        continue;
+      }
+
       const matchFound = super._callMatchingHandlerClosestToEventTarget(
         event,
         keyName,
         eventBitmapIndex,
         componentPosition,
-        0
+        componentPosition
       );
 
       if (matchFound) {
@@ -558,9 +935,22 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
           `Searching no further, as handler has been found (and called).`
         );
 
-        return;
+        return true;
       }
     }
+
+    return false;
+  }
+
+  /**
+   * Components that listen on different targets receive different key events,
+   * so a handler in one does not shadow the handlers of the other
+   * @see AbstractKeyEventStrategy._componentsCompeteForKeyEvents
+   * @protected
+   */
+  _componentsCompeteForKeyEvents(componentPosition, otherComponentPosition) {
+    return getListenerTarget(this.componentList[componentPosition].options) ===
+      getListenerTarget(this.componentList[otherComponentPosition].options);
   }
 
   _stopEventPropagation(event, componentId) {
@@ -585,7 +975,7 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
     let base = 'HotKeys (GLOBAL';
 
     if (options.eventId !== false) {
-      const eventId = isUndefined(options.eventId) ? KeyEventCounter.getId() : options.eventId;
+      const eventId = isUndefined(options.eventId) ? this.keyEventCounter.getId() : options.eventId;
 
       base = `${base}-E${eventId}${eventIcons[eventId % eventIcons.length]}`
     }
@@ -598,5 +988,26 @@ class GlobalKeyEventStrategy extends AbstractKeyEventStrategy {
   }
 }
 
+function getListenerTarget(options = {}) {
+  return options.target || document;
+}
+
+function describeTarget(target) {
+  if (target.document) {
+    return 'window';
+  } else if (isElementTarget(target)) {
+    return target.tagName.toLowerCase();
+  } else {
+    return 'document';
+  }
+}
+
+function describeRecording({ combinations }) {
+  return { sequence: combinations.join(' '), combinations: [ ...combinations ] };
+}
+
+function describeListenerPhase({ capture }) {
+  return capture ? 'capture' : 'bubble';
+}
 
 export default GlobalKeyEventStrategy;
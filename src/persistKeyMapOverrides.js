@@ -0,0 +1,158 @@
+import KeyEventManager from './lib/KeyEventManager';
+import sanitizeKeyMapOverrides from './helpers/persisting-key-maps/sanitizeKeyMapOverrides';
+import isObject from './utils/object/isObject';
+
+/**
+ * Record of key map overrides, as it is saved by storage adapters
+ * @typedef {Object} KeyMapOverridesRecord
+ * @property {Number} version - Version of the application's key maps the overrides
+ *           were saved for
+ * @property {KeyMap} keyMapOverrides - The key map overrides
+ */
+
+/**
+ * Interface storage adapters must implement to persist key map overrides
+ * @typedef {Object} KeyMapOverridesAdapter
+ * @property {Function} load - Returns the saved KeyMapOverridesRecord (or a Promise
+ *           that resolves to it), or null if nothing has been saved
+ * @property {Function} save - Saves a KeyMapOverridesRecord (and may return a Promise
+ *           that resolves once it has been saved)
+ * @property {Function} [subscribe] - Registers a function to call with the new
+ *           KeyMapOverridesRecord when it's changed elsewhere (e.g. in another tab),
+ *           and returns a function that removes it
+ */
+
+/**
+ * Loads key map overrides using a storage adapter and applies them, then saves them
+ * using the adapter whenever they change.
+ *
+ * Saved overrides are dropped with a warning if they were saved for a different
+ * version of the application's key maps (and no migrate function is provided), refer
+ * to actions that are not in the list of actions, or contain invalid key sequences.
+ * Errors loading or saving the overrides are also reported as warnings.
+ * @param {KeyMapOverridesAdapter} adapter - Storage adapter to load and save with
+ * @param {Object} options - Options for how the overrides are persisted
+ * @param {Number} options.version - Version of the application's key maps. Increment
+ *        it when actions are removed or renamed. Defaults to 1.
+ * @param {ActionName[]} options.actions - Names of the actions that may be overridden
+ * @param {Function} options.migrate - Function called with overrides saved for a
+ *        different version and that version, that returns the overrides to apply
+ * @param {KeyEventManager} options.manager - The KeyEventManager to apply the
+ *        overrides to, if not the default one
+ * @returns {Function} Function that stops persisting the overrides
+ */
+function persistKeyMapOverrides(adapter, options = {}) {
+  const { manager = KeyEventManager.getInstance() } = options;
+
+  let applying = false;
+  let saving = false;
+
+  const warn = (message) => manager.logger.warn('HotKeys (persistence):', message);
+
+  const apply = (record) => {
+    const keyMapOverrides = readRecord(record, options, warn);
+
+    if (keyMapOverrides) {
+      applying = true;
+
+      try {
+        manager.setKeyMapOverrides(keyMapOverrides);
+      } finally {
+        applying = false;
+      }
+    }
+  };
+
+  const warnOfLoadError = (error) => {
+    warn(`Ignored saved key map overrides, as they could not be loaded: ${error}`);
+  };
+
+  const warnOfSaveError = (error) => {
+    warn(`Key map overrides could not be saved: ${error}`);
+  };
+
+  try {
+    const record = adapter.load();
+
+    if (record && typeof record.then === 'function') {
+      record.then(apply, warnOfLoadError);
+    } else {
+      apply(record);
+    }
+  } catch (error) {
+    warnOfLoadError(error);
+  }
+
+  const unsubscribeFromManager = manager.subscribeToKeyMapOverrides((keyMapOverrides) => {
+    if (!applying) {
+      saving = true;
+
+      try {
+        const result = adapter.save({ version: options.version || 1, keyMapOverrides });
+
+        if (result && typeof result.then === 'function') {
+          result.then(undefined, warnOfSaveError);
+        }
+      } catch (error) {
+        warnOfSaveError(error);
+      } finally {
+        saving = false;
+      }
+    }
+  });
+
+  const unsubscribeFromAdapter = adapter.subscribe ? adapter.subscribe((record) => {
+    if (!saving) {
+      apply(record || { version: options.version || 1, keyMapOverrides: {} });
+    }
+  }) : () => {};
+
+  return () => {
+    unsubscribeFromManager();
+    unsubscribeFromAdapter();
+  };
+}
+
+/**
+ * Returns the valid key map overrides in a saved record, or null if there are none
+ * to apply
+ * @private
+ */
+function readRecord(record, options, warn) {
+  const { version = 1, actions, migrate } = options;
+
+  if (!record) {
+    return null;
+  }
+
+  if (!isObject(record) || !isObject(record.keyMapOverrides)) {
+    warn('Ignored saved key map overrides, as they are not in a recognised format.');
+
+    return null;
+  }
+
+  let { keyMapOverrides } = record;
+
+  if (record.version !== version) {
+    if (!migrate) {
+      warn(`Ignored key map overrides saved for version ${record.version}, as the current version is ${version}.`);
+
+      return null;
+    }
+
+    keyMapOverrides = migrate(keyMapOverrides, record.version);
+
+    if (!isObject(keyMapOverrides)) {
+      return null;
+    }
+  }
+
+  return sanitizeKeyMapOverrides(keyMapOverrides, {
+    actions,
+    onInvalid: (actionName, reason) => {
+      warn(`Dropped saved override for '${actionName}', as ${reason}.`);
+    }
+  });
+}
+
+export default persistKeyMapOverrides;
@@ -0,0 +1,25 @@
+import KeyEventManager from './lib/KeyEventManager';
+
+/**
+ * Records the next key combination the user presses, anywhere in the document, and
+ * calls a function with it in the format used by key maps. No handlers are called
+ * while the recording is in progress.
+ * @param {Function} callback - Function to call with the RecordedKeySequence once the
+ *        recording is confirmed
+ * @param {Object} options - Options for how the key combination is recorded
+ * @param {Boolean} options.sequence - Whether to record a sequence of combinations,
+ *        until the recording is confirmed, rather than a single combination
+ * @param {Function} options.onChange - Function to call with the RecordedKeySequence
+ *        each time a combination is recorded
+ * @param {KeyEventManager} options.manager - The KeyEventManager to record with, if
+ *        not the default one
+ * @returns {{cancel: Function, confirm: Function}} Functions that stop the recording,
+ *          without and with calling the callback, respectively
+ */
+function recordKeyCombination(callback, options = {}) {
+  const { manager = KeyEventManager.getInstance(), ...recordingOptions } = options;
+
+  return manager.recordKeyCombination(callback, recordingOptions);
+}
+
+export default recordKeyCombination;
@@ -0,0 +1,19 @@
+import KeyEventManager from './lib/KeyEventManager';
+
+/**
+ * Replaces the key sequences actions are bound to, on top of those declared in the
+ * key maps of HotKeys and GlobalHotKeys components. Allows users to customize the
+ * application's hot keys at runtime.
+ * @param {KeyMap} keyMapOverrides - Map of action names to the key sequences they
+ *        should be bound to instead. Replaces any overrides previously set.
+ * @param {Object} options - Options for how the overrides are set
+ * @param {KeyEventManager} options.manager - The KeyEventManager to set the overrides
+ *        on, if not the default one
+ */
+function setKeyMapOverrides(keyMapOverrides, options = {}) {
+  const { manager = KeyEventManager.getInstance() } = options;
+
+  manager.setKeyMapOverrides(keyMapOverrides);
+}
+
+export default setKeyMapOverrides;
@@ -0,0 +1,95 @@
+import {useContext, useRef, useEffect} from 'react';
+import KeyEventManager from './lib/KeyEventManager';
+import HotKeysContext from './lib/HotKeysContext';
+import useLatestHandlers from './helpers/hooks/useLatestHandlers';
+import useStableKeyMap from './helpers/hooks/useStableKeyMap';
+
+/**
+ * Hook that provides the same behaviour as the GlobalHotKeys component for
+ * function components. The key map and handlers are enabled when the component
+ * using the hook mounts, and disabled when it unmounts.
+ *
+ * Handlers are always called with the closures passed on the most recent render,
+ * so there is no need to use the allowChanges option. Key maps are compared by
+ * their contents, so they may be defined inline.
+ *
+ * @param {KeyMap} keyMap A map from action names to Mousetrap or Browser key sequences
+ * @param {HandlersMap} handlers A map from action names to event handler functions
+ * @param {Object} options Options that override the configuration for this hook
+ * @param {KeyEventName} options.defaultKeyEvent The default key event to use for
+ *        any action that does not explicitly define one
+ * @param {Function} options.ignoreEventsCondition The function used to determine
+ *        whether a key event should be ignored
+ * @param {EventTarget} options.target The element, document or window to listen
+ *        for key events on
+ */
+function useGlobalHotKeys(keyMap = {}, handlers = {}, options = {}) {
+  keyMap = useStableKeyMap(keyMap);
+
+  const latestHandlers = useLatestHandlers(handlers);
+  const context = useContext(HotKeysContext);
+  const { globalHotKeysParentId: parentId } = context;
+  const keyEventManager = KeyEventManager.getInstanceFromContext(context);
+
+  const componentId = useRef(undefined);
+
+  const latest = useRef(null);
+  latest.current = { keyEventManager, keyMap, handlers: latestHandlers, options };
+
+  useEffect(() => {
+    const { keyEventManager, keyMap, handlers, options } = latest.current;
+
+    componentId.current = keyEventManager.registerGlobalKeyMap(keyMap);
+    keyEventManager.registerGlobalComponentMount(componentId.current, parentId);
+
+    keyEventManager.enableGlobalHotKeys(
+      componentId.current,
+      keyMap,
+      handlers,
+      getComponentOptions(keyEventManager, options),
+      getEventOptions(keyEventManager, options)
+    );
+
+    return () => {
+      keyEventManager.deregisterGlobalKeyMap(componentId.current);
+      keyEventManager.disableGlobalHotKeys(componentId.current);
+    };
+  }, []);
+
+  const mounted = useRef(false);
+
+  useEffect(() => {
+    if (!mounted.current) {
+      mounted.current = true;
+
+      return;
+    }
+
+    keyEventManager.reregisterGlobalKeyMap(componentId.current, keyMap);
+
+    keyEventManager.updateEnabledGlobalHotKeys(
+      componentId.current,
+      keyMap,
+      latestHandlers,
+      getComponentOptions(keyEventManager, options),
+      getEventOptions(keyEventManager, options)
+    );
+  }, [
+    keyMap, latestHandlers, options.target, options.defaultKeyEvent, options.ignoreEventsCondition
+  ]);
+}
+
+function getComponentOptions({ configuration }, options) {
+  return {
+    defaultKeyEvent: options.defaultKeyEvent || configuration.option('defaultKeyEvent'),
+    target: options.target
+  };
+}
+
+function getEventOptions({ configuration }, options) {
+  return {
+    ignoreEventsCondition: options.ignoreEventsCondition || configuration.option('ignoreEventsCondition')
+  };
+}
+
+export default useGlobalHotKeys;
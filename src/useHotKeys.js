@@ -0,0 +1,145 @@
+import {useContext, useRef, useEffect, useMemo} from 'react';
+import KeyEventManager from './lib/KeyEventManager';
+import HotKeysContext from './lib/HotKeysContext';
+import useLatestHandlers from './helpers/hooks/useLatestHandlers';
+import useStableKeyMap from './helpers/hooks/useStableKeyMap';
+
+/**
+ * Hook that provides the same behaviour as the HotKeys component for function
+ * components, without requiring a wrapping element. It returns the props that
+ * must be applied to a DOM-mountable element (e.g. div, span, input, etc) in
+ * order for the key events of it and its descendants to be matched against the
+ * key map, including a ref to the element (e.g. to focus it).
+ *
+ * Handlers are always called with the closures passed on the most recent render,
+ * so there is no need to use the allowChanges option. Key maps are compared by
+ * their contents, so they may be defined inline.
+ *
+ * @param {KeyMap} keyMap A map from action names to Mousetrap or Browser key sequences
+ * @param {HandlersMap} handlers A map from action names to event handler functions
+ * @param {Object} options Options that override the configuration for this hook
+ * @param {KeyEventName} options.defaultKeyEvent The default key event to use for
+ *        any action that does not explicitly define one
+ * @param {Function} options.ignoreEventsCondition The function used to determine
+ *        whether a key event should be ignored
+ * @returns {Object} Props to pass to a DOM-mountable element
+ */
+function useHotKeys(keyMap = {}, handlers = {}, options = {}) {
+  keyMap = useStableKeyMap(keyMap);
+
+  const latestHandlers = useLatestHandlers(handlers);
+  const context = useContext(HotKeysContext);
+  const { hotKeysParentId: parentId } = context;
+  const keyEventManager = KeyEventManager.getInstanceFromContext(context);
+
+  /**
+   * Mutable state that persists for the lifetime of the function component,
+   * mirroring the instance variables of HotKeysEnabled
+   */
+  const state = useRef({ id: undefined, focused: false, focusTreeIds: [] });
+
+  const elementRef = useRef(null);
+
+  const latest = useRef(null);
+  latest.current = { keyEventManager, keyMap, handlers: latestHandlers, options };
+
+  useEffect(() => {
+    const { keyEventManager } = latest.current;
+
+    state.current.id = keyEventManager.registerKeyMap(latest.current.keyMap);
+    keyEventManager.registerComponentMount(state.current.id, parentId);
+
+    return () => {
+      keyEventManager.deregisterKeyMap(state.current.id);
+      handleBlur();
+    };
+  }, []);
+
+  const mounted = useRef(false);
+
+  useEffect(() => {
+    if (!mounted.current) {
+      mounted.current = true;
+
+      return;
+    }
+
+    keyEventManager.reregisterKeyMap(state.current.id, keyMap);
+
+    if (state.current.focused) {
+      keyEventManager.updateEnabledHotKeys(
+        state.current.focusTreeIds[0],
+        state.current.id,
+        keyMap,
+        latestHandlers,
+        getComponentOptions(keyEventManager, options)
+      );
+    }
+  }, [keyMap, latestHandlers, options.defaultKeyEvent]);
+
+  function handleBlur() {
+    const retainCurrentFocusTreeId = latest.current.keyEventManager.disableHotKeys(
+      state.current.focusTreeIds[0],
+      state.current.id
+    );
+
+    if (!retainCurrentFocusTreeId) {
+      state.current.focusTreeIds.shift();
+    }
+
+    state.current.focused = false;
+  }
+
+  return useMemo(() => {
+    function handleFocus() {
+      const focusTreeId = latest.current.keyEventManager.enableHotKeys(
+        state.current.id,
+        latest.current.keyMap,
+        latest.current.handlers,
+        getComponentOptions(latest.current.keyEventManager, latest.current.options)
+      );
+
+      state.current.focusTreeIds.push(focusTreeId);
+      state.current.focused = true;
+    }
+
+    function handleKeyEvent(methodName) {
+      return (event) => {
+        const discardFocusTreeId = latest.current.keyEventManager[methodName](
+          event,
+          state.current.focusTreeIds[0],
+          state.current.id,
+          getEventOptions(latest.current.keyEventManager, latest.current.options)
+        );
+
+        if (discardFocusTreeId) {
+          state.current.focusTreeIds.shift();
+        }
+      };
+    }
+
+    return {
+      onFocus: handleFocus,
+      onBlur: handleBlur,
+      onKeyDown: handleKeyEvent('handleKeydown'),
+      onKeyPress: handleKeyEvent('handleKeypress'),
+      onKeyUp: handleKeyEvent('handleKeyup'),
+      tabIndex: keyEventManager.configuration.option('defaultTabIndex'),
+      ref: elementRef
+    };
+  }, []);
+}
+
+function getComponentOptions({ configuration }, options) {
+  return {
+    defaultKeyEvent: options.defaultKeyEvent || configuration.option('defaultKeyEvent')
+  };
+}
+
+function getEventOptions({ configuration }, options) {
+  return {
+    ignoreEventsCondition: options.ignoreEventsCondition || configuration.option('ignoreEventsCondition')
+  };
+}
+
+export default useHotKeys;
@@ -1,9 +1,9 @@
 import PropTypes from 'prop-types';
 import React, {PureComponent} from 'react';
-import Configuration from './lib/Configuration';
 import KeyEventManager from './lib/KeyEventManager';
 import isEmpty from './utils/collection/isEmpty';
 import KeyCombinationSerializer from './lib/KeyCombinationSerializer';
+import HotKeysContext from './lib/HotKeysContext';
 
 /**
  * Wraps a React component in a HotKeysEnabled component, which passes down the
@@ -94,6 +94,13 @@ function withHotKeys(Component, hotKeysOptions = {}) {
        */
       handlers: PropTypes.object,
 
+      /**
+       * Function to call with the key event and the current key combination, when a
+       * key event does not match any action
+       * @type {Function}
+       */
+      onUnhandledKey: PropTypes.func,
+
       /**
        * Function to call when this component gains focus in the browser
        * @type {Function}
@@ -114,16 +121,17 @@ function withHotKeys(Component, hotKeysOptions = {}) {
       allowChanges: PropTypes.bool
     };
 
-     static contextTypes = {
-      hotKeysParentId: PropTypes.number,
-    };
+    static contextType = HotKeysContext;
 
-     static childContextTypes = {
-       hotKeysParentId: PropTypes.number,
-     };
+    constructor(props, context) {
+      super(props, context);
 
-    constructor(props) {
-      super(props);
+      /**
+       * The KeyEventManager provided by the closest HotKeysProvider, if there is
+       * one. It is fixed for the lifetime of the component, as the key map is
+       * registered with it below.
+       */
+      this._keyEventManager = KeyEventManager.getInstanceFromContext(context);
 
       /**
        * The focus and blur handlers need access to the current component as 'this'
@@ -138,13 +146,32 @@ function withHotKeys(Component, hotKeysOptions = {}) {
       this._handleKeyUp = this._handleKeyUp.bind(this);
       this._componentIsFocused = this._componentIsFocused.bind(this);
 
-      this._id = KeyEventManager.getInstance().registerKeyMap(props.keyMap);
+      /**
+       * Only an id is reserved here: the key map is registered once the component
+       * has mounted, so renders that are never committed (e.g. under StrictMode or
+       * concurrent rendering) do not leave behind entries in the registry
+       */
+      this._id = this._keyEventManager.getNewComponentId();
     }
 
-    getChildContext() {
-      return {
-        hotKeysParentId: this._id
-      };
+    /**
+     * Returns the context value to pass to descendants, so they may declare this
+     * component as their parent. The value is only rebuilt when the context this
+     * component receives changes, to avoid needlessly re-rendering consumers.
+     * @returns {HotKeysContextValue} Context value for descendants
+     * @private
+     */
+    _getChildContext() {
+      if (this._parentContext !== this.context || !this._childContext) {
+        this._parentContext = this.context;
+
+        this._childContext = {
+          ...this.context,
+          hotKeysParentId: this._id
+        };
+      }
+
+      return this._childContext;
     }
 
     render() {
@@ -153,7 +180,7 @@ function withHotKeys(Component, hotKeysOptions = {}) {
          * Props used by HotKeys that should not be passed down to its focus trap
          * component
          */
-        keyMap, handlers, allowChanges,
+        keyMap, handlers, allowChanges, onUnhandledKey,
 
         ...props
       } = this.props;
@@ -162,7 +189,7 @@ function withHotKeys(Component, hotKeysOptions = {}) {
       const hotKeys = {
         onFocus: this._wrapFunction('onFocus', this._handleFocus),
         onBlur: this._wrapFunction('onBlur', this._handleBlur),
-        tabIndex: Configuration.option('defaultTabIndex')
+        tabIndex: this._getConfiguration().option('defaultTabIndex')
       };
 
       if (this._shouldBindKeyListeners()) {
@@ -172,18 +199,20 @@ function withHotKeys(Component, hotKeysOptions = {}) {
       }
 
       return (
-        <Component
-          hotKeys={ hotKeys }
-          { ...props }
-        />
+        <HotKeysContext.Provider value={ this._getChildContext() }>
+          <Component
+            hotKeys={ hotKeys }
+            { ...props }
+          />
+        </HotKeysContext.Provider>
       );
     }
 
     _shouldBindKeyListeners() {
       const keyMap = getKeyMap(this.props);
 
-      return !isEmpty(keyMap) || (
-        Configuration.option('enableHardSequences') && this._handlersIncludeHardSequences(keyMap, getHandlers(this.props))
+      return !isEmpty(keyMap) || !!this.props.onUnhandledKey || (
+        this._getConfiguration().option('enableHardSequences') && this._handlersIncludeHardSequences(keyMap, getHandlers(this.props))
       );
     }
 
@@ -225,11 +254,11 @@ function withHotKeys(Component, hotKeysOptions = {}) {
     }
 
     componentDidUpdate(previousProps) {
-      const keyEventManager = KeyEventManager.getInstance();
+      const keyEventManager = this._keyEventManager;
 
       keyEventManager.reregisterKeyMap(this._id, this.props.keyMap);
 
-      if (this._componentIsFocused() && (this.props.allowChanges || !Configuration.option('ignoreKeymapAndHandlerChangesByDefault'))) {
+      if (this._componentIsFocused() && (this.props.allowChanges || !this._getConfiguration().option('ignoreKeymapAndHandlerChangesByDefault'))) {
         const {keyMap, handlers} = this.props;
 
         keyEventManager.updateEnabledHotKeys(
@@ -247,9 +276,10 @@ function withHotKeys(Component, hotKeysOptions = {}) {
     }
 
     componentDidMount() {
-      const keyEventManager = KeyEventManager.getInstance();
+      const keyEventManager = this._keyEventManager;
       const {hotKeysParentId} = this.context;
 
+      keyEventManager.registerKeyMap(this.props.keyMap, this._id);
       keyEventManager.registerComponentMount(this._id, hotKeysParentId);
     }
 
@@ -264,7 +294,7 @@ function withHotKeys(Component, hotKeysOptions = {}) {
       }
 
       const focusTreeId =
-        KeyEventManager.getInstance().enableHotKeys(
+        this._keyEventManager.enableHotKeys(
           this._id,
           getKeyMap(this.props),
           getHandlers(this.props),
@@ -277,7 +307,7 @@ function withHotKeys(Component, hotKeysOptions = {}) {
     }
 
     componentWillUnmount(){
-      const keyEventManager = KeyEventManager.getInstance();
+      const keyEventManager = this._keyEventManager;
 
       keyEventManager.deregisterKeyMap(this._id);
       this._handleBlur();
@@ -293,7 +323,7 @@ function withHotKeys(Component, hotKeysOptions = {}) {
         this.props.onBlur(...arguments);
       }
 
-      const retainCurrentFocusTreeId = KeyEventManager.getInstance().disableHotKeys(this._getFocusTreeId(), this._id);
+      const retainCurrentFocusTreeId = this._keyEventManager.disableHotKeys(this._getFocusTreeId(), this._id);
 
       if (!retainCurrentFocusTreeId) {
         this._focusTreeIdsShift();
@@ -309,7 +339,7 @@ function withHotKeys(Component, hotKeysOptions = {}) {
      */
     _handleKeyDown(event) {
       const discardFocusTreeId =
-        KeyEventManager.getInstance().handleKeydown(
+        this._keyEventManager.handleKeydown(
           event,
           this._getFocusTreeId(),
           this._id,
@@ -328,7 +358,7 @@ function withHotKeys(Component, hotKeysOptions = {}) {
      */
     _handleKeyPress(event) {
       const discardFocusTreeId =
-        KeyEventManager.getInstance().handleKeypress(
+        this._keyEventManager.handleKeypress(
           event,
           this._getFocusTreeId(),
           this._id,
@@ -347,7 +377,7 @@ function withHotKeys(Component, hotKeysOptions = {}) {
      */
     _handleKeyUp(event) {
       const discardFocusTreeId =
-        KeyEventManager.getInstance().handleKeyup(
+        this._keyEventManager.handleKeyup(
           event,
           this._getFocusTreeId(),
           this._id,
@@ -359,15 +389,20 @@ function withHotKeys(Component, hotKeysOptions = {}) {
       }
     }
 
+    _getConfiguration() {
+      return this._keyEventManager.configuration;
+    }
+
     _getComponentOptions() {
       return {
-        defaultKeyEvent: Configuration.option('defaultKeyEvent')
+        defaultKeyEvent: this._getConfiguration().option('defaultKeyEvent'),
+        onUnhandledKey: this.props.onUnhandledKey
       };
     }
 
     _getEventOptions() {
       return {
-        ignoreEventsCondition: Configuration.option('ignoreEventsCondition')
+        ignoreEventsCondition: this._getConfiguration().option('ignoreEventsCondition')
       };
     }
   }
@@ -1,6 +1,7 @@
 import PropTypes from 'prop-types';
 import React, {PureComponent} from 'react';
 import KeyEventManager from './lib/KeyEventManager';
+import HotKeysContext from './lib/HotKeysContext';
 import arrayFrom from './utils/array/arrayFrom';
 import standardizeKeyName from './helpers/parsing-key-maps/standardizeKeyName';
 import isValidKey, {InvalidKeyNameError} from './helpers/parsing-key-maps/isValidKey';
@@ -56,6 +57,8 @@ function withHotKeysIgnoreOverride(Component, hotKeysIgnoreOptions = { only: [],
 
     static defaultProps = hotKeysIgnoreOptions;
 
+    static contextType = HotKeysContext;
+
     constructor(props) {
       super(props);
 
@@ -108,7 +111,7 @@ function withHotKeysIgnoreOverride(Component, hotKeysIgnoreOptions = { only: [],
 
     _handleKeyEvent(event) {
       if (this._shouldIgnoreEvent(event)) {
-        KeyEventManager.getInstance()[eventManagerMethod](event);
+        KeyEventManager.getInstanceFromContext(this.context)[eventManagerMethod](event);
       }
     }
   }
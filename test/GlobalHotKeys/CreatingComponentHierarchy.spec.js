@@ -278,4 +278,32 @@ describe('Creating component hierarchy for GlobalHotKeys:', () => {
       })
     });
   });
+
+  context('when a GlobalHotKeys component is nested inside a memoized component', () => {
+    beforeEach(function () {
+      const MemoizedComponent = React.memo(() => (
+        <GlobalHotKeys keyMap={{CHILD: 'a'}} id={1} />
+      ));
+
+      this.wrapper = mount(
+        <GlobalHotKeys keyMap={{PARENT: 'a'}} id={0}>
+          <MemoizedComponent />
+        </GlobalHotKeys>,
+        { attachTo: this.reactDiv }
+      );
+    });
+
+    it('then builds the correct component registry', function() {
+      expect(KeyEventManager.getInstance()._globalEventStrategy.componentRegistry).to.eql({
+        0: {
+          parentId: null,
+          childIds: [1]
+        },
+        1: {
+          parentId: 0,
+          childIds: []
+        }
+      });
+    });
+  });
 });
@@ -0,0 +1,116 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+import simulant from 'simulant';
+
+import KeyCode from '../support/Key';
+import {GlobalHotKeys, HotKeysProvider, createKeyEventManager} from '../../src/';
+
+describe('Binding GlobalHotKeys event listeners:', function () {
+  beforeEach(function () {
+    this.keyMap = {
+      'ACTION': 'a',
+    };
+
+    this.handler = sinon.spy();
+
+    this.reactDiv = document.createElement('div');
+    document.body.appendChild(this.reactDiv);
+
+    this.widget = document.createElement('div');
+    document.body.appendChild(this.widget);
+
+    this.widget.addEventListener('keydown', (event) => event.stopPropagation());
+  });
+
+  afterEach(function() {
+    document.body.removeChild(this.reactDiv);
+    document.body.removeChild(this.widget);
+  });
+
+  context('when the default configuration is used', () => {
+    beforeEach(function () {
+      this.documentHandler = sinon.spy();
+      document.onkeydown = this.documentHandler;
+
+      this.wrapper = mount(
+        <GlobalHotKeys keyMap={this.keyMap} handlers={{ 'ACTION': this.handler }} />,
+        { attachTo: this.reactDiv }
+      );
+    });
+
+    afterEach(function() {
+      document.onkeydown = null;
+    });
+
+    it('then does not replace existing document event handlers', function() {
+      simulant.fire(this.reactDiv, 'keydown', { key: KeyCode.A });
+
+      expect(this.handler).to.have.been.calledOnce;
+      expect(this.documentHandler).to.have.been.calledOnce;
+
+      this.wrapper.unmount();
+    });
+
+    it('then does not remove existing document event handlers when unmounted', function() {
+      this.wrapper.unmount();
+
+      expect(document.onkeydown).to.equal(this.documentHandler);
+
+      simulant.fire(this.reactDiv, 'keydown', { key: KeyCode.A });
+
+      expect(this.handler).to.not.have.been.called;
+      expect(this.documentHandler).to.have.been.calledOnce;
+    });
+
+    it('then does not call the handler for events that have their propagation stopped', function() {
+      simulant.fire(this.widget, 'keydown', { key: KeyCode.A });
+
+      expect(this.handler).to.not.have.been.called;
+
+      this.wrapper.unmount();
+    });
+  });
+
+  context('when captureGlobalKeyEvents is true', () => {
+    beforeEach(function () {
+      this.wrapper = mount(
+        <HotKeysProvider manager={createKeyEventManager({ captureGlobalKeyEvents: true })}>
+          <GlobalHotKeys keyMap={this.keyMap} handlers={{ 'ACTION': this.handler }} />
+        </HotKeysProvider>,
+        { attachTo: this.reactDiv }
+      );
+    });
+
+    it('then calls the handler for events that have their propagation stopped', function() {
+      simulant.fire(this.widget, 'keydown', { key: KeyCode.A });
+
+      expect(this.handler).to.have.been.calledOnce;
+
+      this.wrapper.unmount();
+    });
+
+    it('then calls the handler for each event', function() {
+      simulant.fire(this.widget, 'keydown', { key: KeyCode.A });
+      simulant.fire(this.widget, 'keyup', { key: KeyCode.A });
+      simulant.fire(this.widget, 'keydown', { key: KeyCode.A });
+
+      expect(this.handler).to.have.been.calledTwice;
+
+      this.wrapper.unmount();
+    });
+
+    context('and the component is unmounted', () => {
+      beforeEach(function () {
+        this.wrapper.unmount();
+      });
+
+      it('then removes the event listeners', function() {
+        simulant.fire(this.widget, 'keydown', { key: KeyCode.A });
+
+        expect(this.handler).to.not.have.been.called;
+      });
+    });
+  });
+});
@@ -0,0 +1,170 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+import simulant from 'simulant';
+
+import KeyCode from '../support/Key';
+import {GlobalHotKeys} from '../../src/';
+import KeyEventManager from '../../src/lib/KeyEventManager';
+
+describe('Listening to key events on a target:', function () {
+  beforeEach(function () {
+    this.keyMap = {
+      'ACTION': 'a',
+    };
+
+    this.handler = sinon.spy();
+    this.documentHandler = sinon.spy();
+
+    this.reactDiv = document.createElement('div');
+    document.body.appendChild(this.reactDiv);
+
+    this.container = document.createElement('div');
+    this.containerChild = document.createElement('div');
+    this.container.appendChild(this.containerChild);
+    document.body.appendChild(this.container);
+
+    this.eventStrategy = KeyEventManager.getInstance()._globalEventStrategy;
+  });
+
+  afterEach(function() {
+    document.body.removeChild(this.reactDiv);
+    document.body.removeChild(this.container);
+  });
+
+  context('when the target is an element', () => {
+    beforeEach(function () {
+      this.wrapper = mount(
+        <GlobalHotKeys keyMap={this.keyMap} handlers={{ 'ACTION': this.handler }} target={this.container} />,
+        { attachTo: this.reactDiv }
+      );
+    });
+
+    afterEach(function() {
+      this.wrapper.unmount();
+    });
+
+    it('then calls the handler for key events inside the element', function() {
+      simulant.fire(this.containerChild, 'keydown', { key: KeyCode.A });
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+
+    it('then does not call the handler for key events outside the element', function() {
+      simulant.fire(this.reactDiv, 'keydown', { key: KeyCode.A });
+
+      expect(this.handler).to.not.have.been.called;
+    });
+
+    it('then only binds listeners to the element', function() {
+      expect(this.eventStrategy.listenerBindings.map(({target}) => target)).to.eql([this.container]);
+    });
+  });
+
+  context('when the target is another document', () => {
+    beforeEach(function () {
+      this.iframe = document.createElement('iframe');
+      document.body.appendChild(this.iframe);
+
+      this.iframeDocument = this.iframe.contentDocument;
+
+      this.wrapper = mount(
+        <GlobalHotKeys keyMap={this.keyMap} handlers={{ 'ACTION': this.handler }} target={this.iframeDocument} />,
+        { attachTo: this.reactDiv }
+      );
+    });
+
+    afterEach(function() {
+      this.wrapper.unmount();
+      document.body.removeChild(this.iframe);
+    });
+
+    it('then calls the handler for key events in that document', function() {
+      simulant.fire(this.iframeDocument.body, 'keydown', { key: KeyCode.A });
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+
+    it('then does not call the handler for key events in the global document', function() {
+      simulant.fire(this.reactDiv, 'keydown', { key: KeyCode.A });
+
+      expect(this.handler).to.not.have.been.called;
+    });
+  });
+
+  context('when components listen on different targets', () => {
+    beforeEach(function () {
+      this.wrapper = mount(
+        <div>
+          <GlobalHotKeys keyMap={this.keyMap} handlers={{ 'ACTION': this.handler }} target={this.container} />
+          <GlobalHotKeys keyMap={{ 'DOCUMENT_ACTION': 'a' }} handlers={{ 'DOCUMENT_ACTION': this.documentHandler }} />
+        </div>,
+        { attachTo: this.reactDiv }
+      );
+    });
+
+    it('then binds listeners to each target', function() {
+      expect(this.eventStrategy.listenerBindings.map(({target}) => target)).to.eql([this.container, document]);
+
+      this.wrapper.unmount();
+    });
+
+    it('then only handles a key event once as it propagates through both targets', function() {
+      simulant.fire(this.containerChild, 'keydown', { key: KeyCode.A });
+
+      expect(this.handler).to.have.been.calledOnce;
+      expect(this.documentHandler).to.not.have.been.called;
+
+      this.wrapper.unmount();
+    });
+
+    it('then only calls the handlers of components listening on targets the event reaches', function() {
+      simulant.fire(this.reactDiv, 'keydown', { key: KeyCode.A });
+
+      expect(this.handler).to.not.have.been.called;
+      expect(this.documentHandler).to.have.been.calledOnce;
+
+      this.wrapper.unmount();
+    });
+
+    context('and one of them is unmounted', () => {
+      beforeEach(function () {
+        this.wrapper.setProps({ children: [
+          <GlobalHotKeys key='document' keyMap={{ 'DOCUMENT_ACTION': 'a' }} handlers={{ 'DOCUMENT_ACTION': this.documentHandler }} />
+        ]});
+      });
+
+      it('then removes the listeners from its target', function() {
+        expect(this.eventStrategy.listenerBindings.map(({target}) => target)).to.eql([document]);
+
+        simulant.fire(this.containerChild, 'keydown', { key: KeyCode.A });
+
+        expect(this.handler).to.not.have.been.called;
+        expect(this.documentHandler).to.have.been.calledOnce;
+
+        this.wrapper.unmount();
+      });
+    });
+  });
+
+  context('when all components are unmounted', () => {
+    beforeEach(function () {
+      this.wrapper = mount(
+        <GlobalHotKeys keyMap={this.keyMap} handlers={{ 'ACTION': this.handler }} target={this.container} />,
+        { attachTo: this.reactDiv }
+      );
+
+      this.wrapper.unmount();
+    });
+
+    it('then removes all listeners', function() {
+      expect(this.eventStrategy.listenerBindings).to.eql([]);
+      expect(this.eventStrategy.listenersBound).to.equal(false);
+
+      simulant.fire(this.containerChild, 'keydown', { key: KeyCode.A });
+
+      expect(this.handler).to.not.have.been.called;
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import React, {StrictMode} from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+import simulant from 'simulant';
+
+import {GlobalHotKeys, getApplicationKeyMap} from '../../src';
+import KeyEventManager from '../../src/lib/KeyEventManager';
+import KeyCode from '../support/Key';
+
+describe('Rendering GlobalHotKeys in StrictMode:', () => {
+  beforeEach(function () {
+    this.reactDiv = document.createElement('div');
+    document.body.appendChild(this.reactDiv);
+
+    this.handler = sinon.spy();
+
+    this.wrapper = mount(
+      <StrictMode>
+        <GlobalHotKeys keyMap={{PARENT: 'a'}}>
+          <GlobalHotKeys keyMap={{CHILD: 'b'}} handlers={{CHILD: this.handler}}>
+            <div className="childElement" />
+          </GlobalHotKeys>
+        </GlobalHotKeys>
+      </StrictMode>,
+      { attachTo: this.reactDiv }
+    );
+
+    this.eventStrategy = KeyEventManager.getInstance()._globalEventStrategy;
+  });
+
+  afterEach(function() {
+    document.body.removeChild(this.reactDiv);
+  });
+
+  it('then only registers the key maps of the mounted components', function() {
+    expect(Object.keys(this.eventStrategy.keyMapRegistry)).to.have.lengthOf(2);
+    expect(Object.keys(this.eventStrategy.componentRegistry)).to.have.lengthOf(2);
+
+    this.wrapper.unmount();
+  });
+
+  it('then generates the correct application key map', function() {
+    expect(getApplicationKeyMap()).to.eql({
+      PARENT: { sequences: [ { sequence: 'a' } ] },
+      CHILD: { sequences: [ { sequence: 'b' } ] }
+    });
+
+    this.wrapper.unmount();
+  });
+
+  it('then calls the handler when a matching key is pressed', function() {
+    simulant.fire(this.reactDiv, 'keydown', { key: KeyCode.B });
+
+    expect(this.handler).to.have.been.calledOnce;
+
+    this.wrapper.unmount();
+  });
+
+  context('when the components are unmounted', () => {
+    beforeEach(function () {
+      this.wrapper.unmount();
+    });
+
+    it('then leaves no entries in the registries', function() {
+      expect(this.eventStrategy.keyMapRegistry).to.eql({});
+      expect(this.eventStrategy.componentRegistry).to.eql({});
+      expect(getApplicationKeyMap()).to.eql({});
+    });
+  });
+});
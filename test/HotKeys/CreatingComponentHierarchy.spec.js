@@ -1,8 +1,9 @@
 import React from 'react';
+import ReactDOM from 'react-dom';
 import {mount} from 'enzyme';
 import {expect} from 'chai';
 
-import {HotKeys} from '../../src';
+import {HotKeys, HotKeysProvider} from '../../src';
 import KeyEventManager from '../../src/lib/KeyEventManager';
 
 describe('Creating component hierarchy for HotKeys:', () => {
@@ -278,4 +279,86 @@ describe('Creating component hierarchy for HotKeys:', () => {
       })
     });
   });
+
+  context('when a HotKeys component is nested inside a memoized component', () => {
+    beforeEach(function () {
+      const MemoizedComponent = React.memo(() => (
+        <HotKeys keyMap={{CHILD: 'a'}} id={1} />
+      ));
+
+      this.wrapper = mount(
+        <HotKeys keyMap={{PARENT: 'a'}} id={0}>
+          <MemoizedComponent />
+        </HotKeys>,
+        { attachTo: this.reactDiv }
+      );
+    });
+
+    it('then builds the correct component registry', function() {
+      expect(KeyEventManager.getInstance()._focusOnlyEventStrategy.componentRegistry).to.eql({
+        0: {
+          parentId: null,
+          childIds: [1]
+        },
+        1: {
+          parentId: 0,
+          childIds: []
+        }
+      });
+    });
+  });
+
+  context('when a HotKeys component is rendered in a portal', () => {
+    beforeEach(function () {
+      this.portalDiv = document.createElement('div');
+      document.body.appendChild(this.portalDiv);
+
+      this.wrapper = mount(
+        <HotKeys keyMap={{PARENT: 'a'}} id={0}>
+          { ReactDOM.createPortal(<HotKeys keyMap={{CHILD: 'a'}} id={1} />, this.portalDiv) }
+        </HotKeys>,
+        { attachTo: this.reactDiv }
+      );
+    });
+
+    afterEach(function() {
+      this.wrapper.unmount();
+      document.body.removeChild(this.portalDiv);
+    });
+
+    it('then builds the correct component registry', function() {
+      expect(KeyEventManager.getInstance()._focusOnlyEventStrategy.componentRegistry).to.eql({
+        0: {
+          parentId: null,
+          childIds: [1]
+        },
+        1: {
+          parentId: 0,
+          childIds: []
+        }
+      });
+    });
+  });
+
+  context('when a HotKeys component is nested inside a HotKeysProvider', () => {
+    beforeEach(function () {
+      this.wrapper = mount(
+        <HotKeys keyMap={{PARENT: 'a'}} id={0}>
+          <HotKeysProvider>
+            <HotKeys keyMap={{CHILD: 'a'}} id={1} />
+          </HotKeysProvider>
+        </HotKeys>,
+        { attachTo: this.reactDiv }
+      );
+    });
+
+    it('then does not declare components outside the provider as its parent', function() {
+      expect(KeyEventManager.getInstance()._focusOnlyEventStrategy.componentRegistry[1]).to.eql({
+        parentId: null,
+        childIds: []
+      });
+
+      expect(KeyEventManager.getInstance()._focusOnlyEventStrategy.componentRegistry[0].childIds).to.eql([]);
+    });
+  });
 });
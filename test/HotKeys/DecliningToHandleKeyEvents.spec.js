@@ -0,0 +1,183 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+
+import FocusableElement from '../support/FocusableElement';
+import KeyCode from '../support/Key';
+
+import {HotKeys} from '../../src/';
+
+describe('Declining to handle key events:', function () {
+  beforeEach(function () {
+    this.outerHandler = sinon.spy();
+
+    this.mountNestedHotKeys = (innerHandler) => {
+      this.wrapper = mount(
+        <HotKeys keyMap={{ 'OUTER': 'a' }} handlers={{ 'OUTER': this.outerHandler }}>
+          <HotKeys keyMap={{ 'INNER': 'a' }} handlers={{ 'INNER': innerHandler }}>
+            <div className="childElement" />
+          </HotKeys>
+        </HotKeys>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+    };
+
+    this.mountWithKeyDownListener = (keyMapValue, handler) => {
+      this.defaultPrevented = null;
+
+      const onKeyDown = (event) => {
+        this.defaultPrevented = event.isDefaultPrevented();
+      };
+
+      this.wrapper = mount(
+        <div onKeyDown={onKeyDown}>
+          <HotKeys keyMap={{ 'ACTION': keyMapValue }} handlers={{ 'ACTION': handler }}>
+            <div className="childElement" />
+          </HotKeys>
+        </div>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+    };
+  });
+
+  context('when a handler returns false', () => {
+    beforeEach(function () {
+      this.innerHandler = sinon.spy(() => false);
+
+      this.mountNestedHotKeys(this.innerHandler);
+      this.targetElement.keyDown(KeyCode.A);
+      this.targetElement.keyUp(KeyCode.A);
+    });
+
+    it('then calls the next matching handler further up the component tree', function() {
+      expect(this.innerHandler).to.have.been.calledOnce;
+      expect(this.outerHandler).to.have.been.calledOnce;
+      expect(this.innerHandler).to.have.been.calledBefore(this.outerHandler);
+    });
+  });
+
+  context('when a handler returns a result that is not handled', () => {
+    beforeEach(function () {
+      this.innerHandler = sinon.spy(() => ({ handled: false }));
+
+      this.mountNestedHotKeys(this.innerHandler);
+      this.targetElement.keyDown(KeyCode.A);
+      this.targetElement.keyUp(KeyCode.A);
+    });
+
+    it('then calls the next matching handler further up the component tree', function() {
+      expect(this.innerHandler).to.have.been.calledOnce;
+      expect(this.outerHandler).to.have.been.calledOnce;
+    });
+  });
+
+  context('when the handlers of several components return false', () => {
+    beforeEach(function () {
+      this.innerHandler = sinon.spy(() => false);
+      this.middleHandler = sinon.spy(() => false);
+
+      this.wrapper = mount(
+        <HotKeys keyMap={{ 'OUTER': 'a' }} handlers={{ 'OUTER': this.outerHandler }}>
+          <HotKeys keyMap={{ 'MIDDLE': 'a' }} handlers={{ 'MIDDLE': this.middleHandler }}>
+            <HotKeys keyMap={{ 'INNER': 'a' }} handlers={{ 'INNER': this.innerHandler }}>
+              <div className="childElement" />
+            </HotKeys>
+          </HotKeys>
+        </HotKeys>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+
+      this.targetElement.keyDown(KeyCode.A);
+      this.targetElement.keyUp(KeyCode.A);
+    });
+
+    it('then calls each handler once, until one handles the key event', function() {
+      expect(this.innerHandler).to.have.been.calledOnce;
+      expect(this.middleHandler).to.have.been.calledOnce;
+      expect(this.outerHandler).to.have.been.calledOnce;
+      expect(this.middleHandler).to.have.been.calledBefore(this.outerHandler);
+    });
+
+    context('and another key event matches the actions', () => {
+      beforeEach(function () {
+        this.innerHandler.resetHistory();
+        this.middleHandler.resetHistory();
+        this.outerHandler.resetHistory();
+
+        this.targetElement.keyDown(KeyCode.A);
+      });
+
+      it('then tries the handler closest to the event target first again', function() {
+        expect(this.innerHandler).to.have.been.calledOnce;
+        expect(this.innerHandler).to.have.been.calledBefore(this.middleHandler);
+      });
+    });
+  });
+
+  context('when a handler does not return anything', () => {
+    beforeEach(function () {
+      this.innerHandler = sinon.spy();
+
+      this.mountNestedHotKeys(this.innerHandler);
+      this.targetElement.keyDown(KeyCode.A);
+      this.targetElement.keyUp(KeyCode.A);
+    });
+
+    it('then does NOT call the handlers further up the component tree', function() {
+      expect(this.innerHandler).to.have.been.calledOnce;
+      expect(this.outerHandler).to.not.have.been.called;
+    });
+  });
+
+  context('when an action sets preventDefault and stopPropagation', () => {
+    beforeEach(function () {
+      this.mountWithKeyDownListener(
+        { sequence: 'a', preventDefault: true, stopPropagation: false },
+        sinon.spy()
+      );
+
+      this.targetElement.keyDown(KeyCode.A);
+      this.targetElement.keyUp(KeyCode.A);
+    });
+
+    it('then prevents the default behaviour and lets the event propagate', function() {
+      expect(this.defaultPrevented).to.equal(true);
+    });
+  });
+
+  context('when a handler returns a result with preventDefault and stopPropagation', () => {
+    beforeEach(function () {
+      this.mountWithKeyDownListener(
+        { sequence: 'a', preventDefault: false },
+        () => ({ preventDefault: true, stopPropagation: false })
+      );
+
+      this.targetElement.keyDown(KeyCode.A);
+      this.targetElement.keyUp(KeyCode.A);
+    });
+
+    it('then uses the result rather than the action\'s options', function() {
+      expect(this.defaultPrevented).to.equal(true);
+    });
+  });
+
+  context('when neither the action nor the handler say how to treat the event', () => {
+    beforeEach(function () {
+      this.mountWithKeyDownListener('a', sinon.spy());
+
+      this.targetElement.keyDown(KeyCode.A);
+      this.targetElement.keyUp(KeyCode.A);
+    });
+
+    it('then stops the event propagating, without preventing its default behaviour', function() {
+      expect(this.defaultPrevented).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+
+import FocusableElement from '../support/FocusableElement';
+import KeyCode from '../support/Key';
+
+import {HotKeys, GlobalHotKeys} from '../../src/';
+import KeyEventManager from '../../src/lib/KeyEventManager';
+
+describe('Handling unmatched key events:', function () {
+  context('when a HotKeys component has an onUnhandledKey prop', () => {
+    beforeEach(function () {
+      this.handler = sinon.spy();
+      this.outerUnhandledKey = sinon.spy();
+      this.innerUnhandledKey = sinon.spy();
+
+      this.wrapper = mount(
+        <HotKeys keyMap={{ 'ACTION': 'a' }} onUnhandledKey={this.outerUnhandledKey}>
+          <HotKeys handlers={{ 'ACTION': this.handler }} onUnhandledKey={this.innerUnhandledKey}>
+            <div className="childElement" />
+          </HotKeys>
+        </HotKeys>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+    });
+
+    context('and a key event matches an action', () => {
+      beforeEach(function () {
+        this.targetElement.keyDown(KeyCode.A);
+      });
+
+      it('then does NOT call onUnhandledKey', function() {
+        expect(this.handler).to.have.been.calledOnce;
+        expect(this.innerUnhandledKey).not.to.have.been.calledWith(sinon.match({ type: 'keydown' }));
+      });
+    });
+
+    context('and a key event does not match any action', () => {
+      beforeEach(function () {
+        this.targetElement.keyDown(KeyCode.B);
+      });
+
+      it('then calls the onUnhandledKey of the closest component once, with the event and key combination', function() {
+        expect(this.innerUnhandledKey).to.have.been.calledOnce;
+        expect(this.outerUnhandledKey).not.to.have.been.called;
+
+        const [ event, keyCombination ] = this.innerUnhandledKey.firstCall.args;
+
+        expect(event.key).to.equal('b');
+        expect(keyCombination.ids).to.eql(['b']);
+      });
+    });
+  });
+
+  context('when a HotKeys component with an onUnhandledKey prop has no key map', () => {
+    beforeEach(function () {
+      this.onUnhandledKey = sinon.spy();
+
+      this.wrapper = mount(
+        <HotKeys onUnhandledKey={this.onUnhandledKey}>
+          <div className="childElement" />
+        </HotKeys>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+
+      this.targetElement.keyDown(KeyCode.A);
+    });
+
+    it('then calls onUnhandledKey for every key event', function() {
+      expect(this.onUnhandledKey).to.have.been.calledOnce;
+    });
+  });
+
+  context('when a GlobalHotKeys component has an onUnhandledKey prop', () => {
+    beforeEach(function () {
+      KeyEventManager.clear();
+
+      this.handler = sinon.spy();
+      this.onUnhandledKey = sinon.spy();
+
+      this.reactDiv = document.createElement('div');
+      document.body.appendChild(this.reactDiv);
+
+      this.wrapper = mount(
+        <GlobalHotKeys keyMap={{ 'ACTION': 'a' }} handlers={{ 'ACTION': this.handler }} onUnhandledKey={this.onUnhandledKey}>
+          <div className="childElement" />
+        </GlobalHotKeys>,
+        { attachTo: this.reactDiv }
+      );
+
+      this.targetElement =
+        new FocusableElement(this.wrapper, '.childElement', { nativeElement: this.reactDiv });
+
+      this.targetElement.keyDown(KeyCode.A);
+      this.targetElement.keyUp(KeyCode.A);
+    });
+
+    afterEach(function() {
+      this.wrapper.unmount();
+      document.body.removeChild(this.reactDiv);
+    });
+
+    it('then calls onUnhandledKey only for the key events that do not match an action', function() {
+      expect(this.handler).to.have.been.calledOnce;
+
+      expect(this.onUnhandledKey).to.have.been.called;
+      expect(this.onUnhandledKey).not.to.have.been.calledWith(sinon.match({ type: 'keydown' }));
+    });
+  });
+});
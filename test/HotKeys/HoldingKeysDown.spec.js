@@ -0,0 +1,179 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+
+import FocusableElement from '../support/FocusableElement';
+import KeyCode from '../support/Key';
+
+import {HotKeys, GlobalHotKeys, configure} from '../../src/';
+import Configuration from '../../src/lib/Configuration';
+import KeyEventManager from '../../src/lib/KeyEventManager';
+
+describe('Holding keys down:', function () {
+  beforeEach(function () {
+    this.clock = sinon.useFakeTimers();
+
+    this.handler = sinon.spy();
+
+    this.mountHotKeys = (keyMap) => {
+      this.wrapper = mount(
+        <HotKeys keyMap={keyMap} handlers={{ 'ACTION': this.handler }}>
+          <div className="childElement" />
+        </HotKeys>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+    };
+
+    this.mountGlobalHotKeys = (keyMap) => {
+      this.reactDiv = document.createElement('div');
+      document.body.appendChild(this.reactDiv);
+
+      this.wrapper = mount(
+        <GlobalHotKeys keyMap={keyMap} handlers={{ 'ACTION': this.handler }}>
+          <div className="childElement" />
+        </GlobalHotKeys>,
+        { attachTo: this.reactDiv }
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement', { nativeElement: this.reactDiv });
+      this.targetElement.focus();
+    };
+
+    this.holdKey = (key, repeats, interval = 30) => {
+      this.targetElement.keyDown(key);
+      this.targetElement.keyPress(key);
+
+      for (let repeat = 0; repeat < repeats; repeat++) {
+        this.clock.tick(interval);
+
+        this.targetElement.keyDown(key, { repeat: true });
+        this.targetElement.keyPress(key, { repeat: true });
+      }
+
+      this.targetElement.keyUp(key);
+    };
+  });
+
+  afterEach(function () {
+    this.clock.restore();
+
+    Configuration.reset('repeat');
+  });
+
+  context('when the repeat option is not set', () => {
+    beforeEach(function () {
+      this.mountHotKeys({ 'ACTION': 'a' });
+    });
+
+    it('then calls the handler for every repeated key event', function() {
+      this.holdKey(KeyCode.A, 3);
+
+      expect(this.handler).to.have.callCount(4);
+    });
+
+    it('then tells the handler which key events are repeats', function() {
+      this.holdKey(KeyCode.A, 1);
+
+      expect(this.handler.firstCall.args[1]).to.include({ repeat: false });
+      expect(this.handler.secondCall.args[1]).to.include({ repeat: true });
+    });
+
+    it('then does NOT treat pressing a key again after releasing it as a repeat', function() {
+      this.holdKey(KeyCode.A, 0);
+      this.holdKey(KeyCode.A, 0);
+
+      expect(this.handler).to.have.been.calledTwice;
+      expect(this.handler.secondCall.args[1]).to.include({ repeat: false });
+    });
+  });
+
+  context('when an action\'s repeat attribute is false', () => {
+    beforeEach(function () {
+      this.mountHotKeys({ 'ACTION': { sequence: 'a', repeat: false } });
+    });
+
+    it('then only calls the handler when the key is first pressed', function() {
+      this.holdKey(KeyCode.A, 3);
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+
+    it('then calls the handler again when the key is pressed again', function() {
+      this.holdKey(KeyCode.A, 3);
+      this.holdKey(KeyCode.A, 3);
+
+      expect(this.handler).to.have.been.calledTwice;
+    });
+  });
+
+  context('when an action\'s repeat attribute is a number of milliseconds', () => {
+    beforeEach(function () {
+      this.mountHotKeys({ 'ACTION': { sequence: 'a', repeat: 100 } });
+    });
+
+    it('then calls the handler at most once in that time', function() {
+      this.holdKey(KeyCode.A, 10, 30);
+
+      expect(this.handler).to.have.callCount(3);
+    });
+  });
+
+  context('when the browser does not flag repeated key events', () => {
+    beforeEach(function () {
+      this.mountHotKeys({ 'ACTION': { sequence: 'a', repeat: false } });
+    });
+
+    it('then recognises them from the keys that are already held down', function() {
+      this.targetElement.keyDown(KeyCode.A);
+      this.targetElement.keyDown(KeyCode.A);
+      this.targetElement.keyUp(KeyCode.A);
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+  });
+
+  context('when the repeat option is configured', () => {
+    beforeEach(function () {
+      configure({ repeat: false });
+    });
+
+    it('then applies to actions that do not set the repeat attribute', function() {
+      this.mountHotKeys({ 'ACTION': 'a' });
+
+      this.holdKey(KeyCode.A, 3);
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+
+    it('then is overridden by the repeat attribute', function() {
+      this.mountHotKeys({ 'ACTION': { sequence: 'a', repeat: true } });
+
+      this.holdKey(KeyCode.A, 3);
+
+      expect(this.handler).to.have.callCount(4);
+    });
+  });
+
+  context('when a GlobalHotKeys action\'s repeat attribute is false', () => {
+    beforeEach(function () {
+      KeyEventManager.clear();
+
+      this.mountGlobalHotKeys({ 'ACTION': { sequence: 'a', repeat: false } });
+    });
+
+    afterEach(function () {
+      this.wrapper.unmount();
+
+      document.body.removeChild(this.reactDiv);
+    });
+
+    it('then only calls the handler when the key is first pressed', function() {
+      this.holdKey(KeyCode.A, 3);
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+  });
+});
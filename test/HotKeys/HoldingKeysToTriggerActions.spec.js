@@ -0,0 +1,250 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+
+import FocusableElement from '../support/FocusableElement';
+import KeyCode from '../support/Key';
+
+import {HotKeys, GlobalHotKeys} from '../../src/';
+import KeyEventManager from '../../src/lib/KeyEventManager';
+
+describe('Holding keys to trigger actions:', function () {
+  beforeEach(function () {
+    this.clock = sinon.useFakeTimers();
+
+    this.release = sinon.spy();
+    this.handler = sinon.spy(() => this.release);
+    this.otherHandler = sinon.spy();
+
+    this.wrapper = mount(
+      <HotKeys
+        keyMap={{ 'ACTION': { sequence: 'space', hold: 500 }, 'OTHER_ACTION': 'a' }}
+        handlers={{ 'ACTION': this.handler, 'OTHER_ACTION': this.otherHandler }}
+      >
+        <div className="childElement" />
+      </HotKeys>
+    );
+
+    this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+    this.targetElement.focus();
+  });
+
+  afterEach(function () {
+    this.clock.restore();
+  });
+
+  context('when the keys are held down for long enough', () => {
+    beforeEach(function () {
+      this.targetElement.keyDown(' ');
+      this.clock.tick(300);
+
+      this.targetElement.keyDown(' ', { repeat: true });
+      this.clock.tick(200);
+    });
+
+    it('then calls the handler once', function() {
+      expect(this.handler).to.have.been.calledOnce;
+      expect(this.handler.firstCall.args[0].key).to.equal(' ');
+    });
+
+    it('then does NOT call the function the handler returned until the keys are released', function() {
+      expect(this.release).to.not.have.been.called;
+
+      this.targetElement.keyUp(' ');
+
+      expect(this.release).to.have.been.calledOnce;
+    });
+
+    it('then does NOT stop holding the action when another key is pressed', function() {
+      this.targetElement.keyDown(KeyCode.A);
+      this.targetElement.keyUp(KeyCode.A);
+
+      expect(this.otherHandler).to.have.been.calledOnce;
+      expect(this.release).to.not.have.been.called;
+    });
+  });
+
+  context('when the keys are released too soon', () => {
+    beforeEach(function () {
+      this.targetElement.keyDown(' ');
+      this.clock.tick(400);
+      this.targetElement.keyUp(' ');
+
+      this.clock.tick(500);
+    });
+
+    it('then does NOT call the handler', function() {
+      expect(this.handler).to.not.have.been.called;
+    });
+  });
+
+  context('when another key is pressed before the keys have been held down for long enough', () => {
+    beforeEach(function () {
+      this.targetElement.keyDown(' ');
+      this.clock.tick(400);
+      this.targetElement.keyDown(KeyCode.A);
+
+      this.clock.tick(500);
+    });
+
+    it('then does NOT call the handler', function() {
+      expect(this.handler).to.not.have.been.called;
+      expect(this.otherHandler).to.have.been.calledOnce;
+    });
+  });
+
+  context('when the component loses focus before the keys have been held down for long enough', () => {
+    beforeEach(function () {
+      this.targetElement.keyDown(' ');
+      this.clock.tick(400);
+      this.targetElement.blur();
+
+      this.clock.tick(500);
+    });
+
+    it('then does NOT call the handler', function() {
+      expect(this.handler).to.not.have.been.called;
+    });
+  });
+
+  context('when the component unmounts before the keys have been held down for long enough', () => {
+    beforeEach(function () {
+      this.targetElement.keyDown(' ');
+      this.clock.tick(400);
+      this.wrapper.unmount();
+
+      this.clock.tick(500);
+    });
+
+    it('then does NOT call the handler', function() {
+      expect(this.handler).to.not.have.been.called;
+    });
+  });
+
+  context('when the component unmounts while the action is held', () => {
+    beforeEach(function () {
+      this.targetElement.keyDown(' ');
+      this.clock.tick(500);
+      this.wrapper.unmount();
+    });
+
+    it('then calls the function the handler returned', function() {
+      expect(this.handler).to.have.been.calledOnce;
+      expect(this.release).to.have.been.calledOnce;
+    });
+  });
+
+  context('when the action prevents the default behaviour of its key events', () => {
+    beforeEach(function () {
+      this.defaultPrevented = [];
+
+      const onKeyDown = (event) => this.defaultPrevented.push(event.isDefaultPrevented());
+
+      this.wrapper = mount(
+        <div onKeyDown={onKeyDown}>
+          <HotKeys keyMap={{ 'ACTION': { sequence: 'space', hold: 500, preventDefault: true, stopPropagation: false } }} handlers={{ 'ACTION': this.handler }}>
+            <div className="childElement" />
+          </HotKeys>
+        </div>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+    });
+
+    it('then prevents the default behaviour of the key event that starts the hold', function() {
+      this.targetElement.keyDown(' ');
+      this.clock.tick(400);
+      this.targetElement.keyUp(' ');
+
+      expect(this.handler).to.not.have.been.called;
+      expect(this.defaultPrevented).to.eql([true]);
+    });
+
+    it('then prevents the default behaviour of the key events that repeat the hold', function() {
+      this.targetElement.keyDown(' ');
+      this.clock.tick(300);
+      this.targetElement.keyDown(' ', { repeat: true });
+      this.clock.tick(200);
+      this.targetElement.keyDown(' ', { repeat: true });
+      this.targetElement.keyUp(' ');
+
+      expect(this.handler).to.have.been.calledOnce;
+      expect(this.defaultPrevented).to.eql([true, true, true]);
+    });
+  });
+
+  context('when another action stops the propagation of its key event while the action is held', () => {
+    beforeEach(function () {
+      this.outerKeyDown = sinon.spy();
+
+      this.wrapper = mount(
+        <div onKeyDown={this.outerKeyDown}>
+          <HotKeys
+            keyMap={{ 'ACTION': { sequence: 'space', hold: 500 }, 'OTHER_ACTION': 'c' }}
+            handlers={{ 'ACTION': this.handler, 'OTHER_ACTION': this.otherHandler }}
+          >
+            <div className="childElement" />
+          </HotKeys>
+        </div>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+
+      this.targetElement.keyDown(' ');
+      this.clock.tick(500);
+
+      this.outerKeyDown.resetHistory();
+
+      this.targetElement.keyDown(KeyCode.C);
+      this.targetElement.keyUp(KeyCode.C);
+      this.targetElement.keyUp(' ');
+    });
+
+    it('then calls the handlers of both actions', function() {
+      expect(this.handler).to.have.been.calledOnce;
+      expect(this.otherHandler).to.have.been.calledOnce;
+    });
+
+    it('then stops the propagation of the key event of the other action', function() {
+      expect(this.outerKeyDown).to.not.have.been.called;
+    });
+  });
+
+  context('when a GlobalHotKeys component unmounts before the keys have been held down for long enough', () => {
+    beforeEach(function () {
+      KeyEventManager.clear();
+
+      this.globalHandler = sinon.spy();
+
+      this.reactDiv = document.createElement('div');
+      document.body.appendChild(this.reactDiv);
+
+      this.globalWrapper = mount(
+        <GlobalHotKeys keyMap={{ 'ACTION': { sequence: 'space', hold: 500 } }} handlers={{ 'ACTION': this.globalHandler }}>
+          <div className="globalChildElement" />
+        </GlobalHotKeys>,
+        { attachTo: this.reactDiv }
+      );
+
+      this.globalTargetElement =
+        new FocusableElement(this.globalWrapper, '.globalChildElement', { nativeElement: this.reactDiv });
+
+      this.globalTargetElement.keyDown(' ');
+      this.clock.tick(400);
+      this.globalWrapper.unmount();
+
+      this.clock.tick(500);
+    });
+
+    afterEach(function() {
+      document.body.removeChild(this.reactDiv);
+    });
+
+    it('then does NOT call the handler', function() {
+      expect(this.globalHandler).to.not.have.been.called;
+    });
+  });
+});
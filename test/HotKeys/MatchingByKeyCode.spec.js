@@ -0,0 +1,115 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+import simulant from 'simulant';
+
+import FocusableElement from '../support/FocusableElement';
+
+import {HotKeys, GlobalHotKeys, HotKeysProvider, createKeyEventManager} from '../../src/';
+
+describe('Matching key maps by key code:', function () {
+  beforeEach(function () {
+    this.handler = sinon.spy();
+  });
+
+  function pressCtrlZ(targetElement, key) {
+    targetElement.keyDown('Control', { code: 'ControlLeft', ctrlKey: true });
+    targetElement.keyDown(key, { code: 'KeyZ', ctrlKey: true });
+    targetElement.keyUp(key, { code: 'KeyZ', ctrlKey: true });
+    targetElement.keyUp('Control', { code: 'ControlLeft' });
+  }
+
+  context('when an action is matched by key name (the default)', () => {
+    beforeEach(function () {
+      this.wrapper = mount(
+        <HotKeys keyMap={{ 'UNDO': 'ctrl+z' }} handlers={{ 'UNDO': this.handler }}>
+          <div className="childElement" />
+        </HotKeys>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+    });
+
+    it('then calls the handler when the key with that name is pressed', function() {
+      pressCtrlZ(this.targetElement, 'z');
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+
+    it('then does NOT call the handler when the same physical key produces a different name', function() {
+      pressCtrlZ(this.targetElement, 'я');
+
+      expect(this.handler).to.not.have.been.called;
+    });
+  });
+
+  context('when an action has the match attribute set to code', () => {
+    [ 'ctrl+z', 'ctrl+KeyZ' ].forEach((sequence) => {
+      context(`and its sequence is '${sequence}'`, () => {
+        beforeEach(function () {
+          const keyMap = { 'UNDO': { sequence, match: 'code' } };
+
+          this.wrapper = mount(
+            <HotKeys keyMap={keyMap} handlers={{ 'UNDO': this.handler }}>
+              <div className="childElement" />
+            </HotKeys>
+          );
+
+          this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+          this.targetElement.focus();
+        });
+
+        it('then calls the handler when the physical key is pressed with a US layout', function() {
+          pressCtrlZ(this.targetElement, 'z');
+
+          expect(this.handler).to.have.been.calledOnce;
+        });
+
+        it('then calls the handler when the physical key is pressed with a different layout', function() {
+          pressCtrlZ(this.targetElement, 'я');
+
+          expect(this.handler).to.have.been.calledOnce;
+        });
+
+        it('then does NOT call the handler when a different physical key produces the same name', function() {
+          this.targetElement.keyDown('Control', { code: 'ControlLeft', ctrlKey: true });
+          this.targetElement.keyDown('z', { code: 'KeyY', ctrlKey: true });
+          this.targetElement.keyUp('z', { code: 'KeyY', ctrlKey: true });
+          this.targetElement.keyUp('Control', { code: 'ControlLeft' });
+
+          expect(this.handler).to.not.have.been.called;
+        });
+      });
+    });
+  });
+
+  context('when a key event manager is configured to match by code', () => {
+    beforeEach(function () {
+      this.reactDiv = document.createElement('div');
+      document.body.appendChild(this.reactDiv);
+
+      this.wrapper = mount(
+        <HotKeysProvider manager={createKeyEventManager({ matchBy: 'code' })}>
+          <GlobalHotKeys keyMap={{ 'UNDO': 'ctrl+z' }} handlers={{ 'UNDO': this.handler }} />
+        </HotKeysProvider>,
+        { attachTo: this.reactDiv }
+      );
+    });
+
+    afterEach(function() {
+      this.wrapper.unmount();
+      document.body.removeChild(this.reactDiv);
+    });
+
+    it('then calls the handler when the physical key is pressed with a different layout', function() {
+      simulant.fire(this.reactDiv, 'keydown', { key: 'Control', code: 'ControlLeft', ctrlKey: true });
+      simulant.fire(this.reactDiv, 'keydown', { key: 'я', code: 'KeyZ', ctrlKey: true });
+      simulant.fire(this.reactDiv, 'keyup', { key: 'я', code: 'KeyZ', ctrlKey: true });
+      simulant.fire(this.reactDiv, 'keyup', { key: 'Control', code: 'ControlLeft' });
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+  });
+});
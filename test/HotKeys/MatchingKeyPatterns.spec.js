@@ -0,0 +1,163 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+
+import FocusableElement from '../support/FocusableElement';
+import KeyCode from '../support/Key';
+
+import {HotKeys} from '../../src/';
+import KeyEventManager from '../../src/lib/KeyEventManager';
+
+describe('Matching key patterns:', function () {
+  beforeEach(function () {
+    KeyEventManager.clear();
+
+    this.mountHotKeys = (keyMap, handlers) => {
+      this.wrapper = mount(
+        <HotKeys keyMap={keyMap} handlers={handlers}>
+          <div className="childElement" />
+        </HotKeys>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+    };
+
+    this.pressKey = (key, options = {}) => {
+      this.targetElement.keyDown(key, options);
+      this.targetElement.keyPress(key, options);
+      this.targetElement.keyUp(key, options);
+    };
+  });
+
+  context('when a key map uses the digit key class', () => {
+    beforeEach(function () {
+      this.handler = sinon.spy();
+
+      this.mountHotKeys({ 'JUMP_TO_TAB': 'ctrl+digit' }, { 'JUMP_TO_TAB': this.handler });
+
+      this.targetElement.keyDown(KeyCode.CONTROL);
+      this.targetElement.keyDown('3', { ctrlKey: true });
+      this.targetElement.keyUp('3', { ctrlKey: true });
+      this.targetElement.keyDown('a', { ctrlKey: true });
+      this.targetElement.keyUp('a', { ctrlKey: true });
+      this.targetElement.keyUp(KeyCode.CONTROL);
+    });
+
+    it('then calls the handler for digit keys, and not for other keys', function() {
+      expect(this.handler).to.have.been.calledOnce;
+    });
+
+    it('then passes the digit that was pressed to the handler', function() {
+      expect(this.handler.firstCall.args[1]).to.include({ sequence: 'ctrl+digit', key: '3' });
+    });
+  });
+
+  context('when a key sequence ends with the letter key class', () => {
+    beforeEach(function () {
+      this.handler = sinon.spy();
+
+      this.mountHotKeys({ 'GO_TO': 'g letter' }, { 'GO_TO': this.handler });
+
+      this.pressKey('g');
+      this.pressKey('1');
+      this.pressKey('g');
+      this.pressKey('i');
+    });
+
+    it('then calls the handler with the letter that followed', function() {
+      expect(this.handler).to.have.been.calledOnce;
+      expect(this.handler.firstCall.args[1].key).to.equal('i');
+    });
+  });
+
+  context('when a key map uses a range of function keys', () => {
+    beforeEach(function () {
+      this.handler = sinon.spy();
+
+      this.mountHotKeys({ 'FUNCTION': 'F1-F4' }, { 'FUNCTION': this.handler });
+
+      this.pressKey('F2');
+      this.pressKey('F5');
+      this.pressKey('F4');
+    });
+
+    it('then calls the handler for the keys in the range', function() {
+      expect(this.handler).to.have.been.calledTwice;
+      expect(this.handler.firstCall.args[1].key).to.equal('F2');
+      expect(this.handler.secondCall.args[1].key).to.equal('F4');
+    });
+  });
+
+  context('when a key map uses the * wildcard', () => {
+    beforeEach(function () {
+      this.handler = sinon.spy();
+
+      this.mountHotKeys({ 'ANY_KEY': { sequence: '*', action: 'keydown' } }, { 'ANY_KEY': this.handler });
+
+      this.targetElement.keyDown(KeyCode.SHIFT);
+      this.targetElement.keyUp(KeyCode.SHIFT);
+      this.pressKey('x');
+    });
+
+    it('then calls the handler for any key other than a modifier key', function() {
+      expect(this.handler).to.have.been.calledOnce;
+      expect(this.handler.firstCall.args[1].key).to.equal('x');
+    });
+  });
+
+  context('when a key map uses asterisk for the * key', () => {
+    beforeEach(function () {
+      this.handler = sinon.spy();
+
+      this.mountHotKeys({ 'MULTIPLY': 'asterisk' }, { 'MULTIPLY': this.handler });
+
+      this.pressKey('x');
+      this.pressKey('*');
+    });
+
+    it('then calls the handler for the * key only', function() {
+      expect(this.handler).to.have.been.calledOnce;
+      expect(this.handler.firstCall.args[1]).to.not.have.property('key');
+    });
+  });
+
+  context('when a key map has a key pattern and a key that match the same key', () => {
+    beforeEach(function () {
+      this.digitHandler = sinon.spy();
+      this.oneHandler = sinon.spy();
+
+      this.mountHotKeys(
+        { 'ANY_DIGIT': 'digit', 'ONE': '1' },
+        { 'ANY_DIGIT': this.digitHandler, 'ONE': this.oneHandler }
+      );
+
+      this.pressKey('1');
+      this.pressKey('2');
+    });
+
+    it('then calls the handler of the named key in preference to the key pattern', function() {
+      expect(this.oneHandler).to.have.been.calledOnce;
+      expect(this.digitHandler).to.have.been.calledOnce;
+      expect(this.digitHandler.firstCall.args[1].key).to.equal('2');
+    });
+  });
+
+  context('when a key pattern is used before the final combination of a sequence', () => {
+    beforeEach(function () {
+      this.handler = sinon.spy();
+
+      this.mountHotKeys({ 'REPEAT_MOTION': 'digit j' }, { 'REPEAT_MOTION': this.handler });
+
+      this.pressKey('j');
+      this.pressKey('5');
+      this.pressKey('j');
+    });
+
+    it('then matches the sequence', function() {
+      expect(this.handler).to.have.been.calledOnce;
+      expect(this.handler.firstCall.args[1].sequence).to.equal('digit j');
+    });
+  });
+});
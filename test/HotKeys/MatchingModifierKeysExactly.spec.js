@@ -0,0 +1,115 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+
+import FocusableElement from '../support/FocusableElement';
+import KeyCode from '../support/Key';
+
+import {HotKeys, configure} from '../../src/';
+
+describe('Matching modifier keys exactly:', function () {
+  beforeEach(function () {
+    this.handler = sinon.spy();
+
+    this.mountHotKeys = (keyMapValue) => {
+      this.wrapper = mount(
+        <HotKeys keyMap={{ 'ACTION': keyMapValue }} handlers={{ 'ACTION': this.handler }}>
+          <div className="childElement" />
+        </HotKeys>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+    };
+
+    this.pressCtrlShiftA = () => {
+      const modifiers = { ctrlKey: true, shiftKey: true };
+
+      this.targetElement.keyDown(KeyCode.CONTROL, { ctrlKey: true });
+      this.targetElement.keyDown(KeyCode.SHIFT, modifiers);
+      this.targetElement.keyDown('A', modifiers);
+      this.targetElement.keyUp('A', modifiers);
+      this.targetElement.keyUp(KeyCode.SHIFT, { ctrlKey: true });
+      this.targetElement.keyUp(KeyCode.CONTROL);
+    };
+
+    this.pressCtrlA = () => {
+      this.targetElement.keyDown(KeyCode.CONTROL, { ctrlKey: true });
+      this.targetElement.keyDown(KeyCode.A, { ctrlKey: true });
+      this.targetElement.keyUp(KeyCode.A, { ctrlKey: true });
+      this.targetElement.keyUp(KeyCode.CONTROL);
+    };
+  });
+
+  context('when the exact attribute is not set', () => {
+    beforeEach(function () {
+      this.mountHotKeys('ctrl+a');
+
+      this.pressCtrlShiftA();
+    });
+
+    it('then matches the combination when extra modifier keys are held down', function() {
+      expect(this.handler).to.have.been.calledOnce;
+    });
+  });
+
+  context('when the exact attribute is set', () => {
+    beforeEach(function () {
+      this.mountHotKeys({ sequence: 'ctrl+a', exact: true });
+    });
+
+    it('then does NOT match the combination when extra modifier keys are held down', function() {
+      this.pressCtrlShiftA();
+
+      expect(this.handler).not.to.have.been.called;
+    });
+
+    it('then matches the combination when only its modifier keys are held down', function() {
+      this.pressCtrlA();
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+  });
+
+  context('when the exact attribute is set for a symbol typed using shift', () => {
+    beforeEach(function () {
+      this.mountHotKeys({ sequence: '?', exact: true });
+
+      this.targetElement.keyDown(KeyCode.SHIFT, { shiftKey: true });
+      this.targetElement.keyDown('?', { shiftKey: true });
+      this.targetElement.keyUp('?', { shiftKey: true });
+      this.targetElement.keyUp(KeyCode.SHIFT);
+    });
+
+    it('then matches the combination when shift is held down', function() {
+      expect(this.handler).to.have.been.calledOnce;
+    });
+  });
+
+  context('when the exact option is configured', () => {
+    beforeEach(function () {
+      configure({ exact: true });
+    });
+
+    afterEach(function() {
+      configure({ exact: false });
+    });
+
+    it('then does NOT match combinations when extra modifier keys are held down', function() {
+      this.mountHotKeys('ctrl+a');
+
+      this.pressCtrlShiftA();
+
+      expect(this.handler).not.to.have.been.called;
+    });
+
+    it('then lets key map entries override the option', function() {
+      this.mountHotKeys({ sequence: 'ctrl+a', exact: false });
+
+      this.pressCtrlShiftA();
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+  });
+});
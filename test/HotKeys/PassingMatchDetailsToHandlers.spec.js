@@ -0,0 +1,95 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+
+import FocusableElement from '../support/FocusableElement';
+import KeyCode from '../support/Key';
+
+import {HotKeys} from '../../src/';
+
+describe('Passing match details to handlers:', function () {
+  context('when a key sequence matches an action', () => {
+    beforeEach(function () {
+      this.handler = sinon.spy();
+
+      this.wrapper = mount(
+        <HotKeys keyMap={{ 'ACTION': ['b', 'shift+a'] }}>
+          <HotKeys handlers={{ 'ACTION': this.handler }}>
+            <div className="childElement" />
+          </HotKeys>
+        </HotKeys>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+
+      this.targetElement.keyDown(KeyCode.SHIFT);
+      this.targetElement.keyDown(KeyCode.A, { shiftKey: true });
+
+      this.details = this.handler.firstCall.args[1];
+
+      this.targetElement.keyUp(KeyCode.A, { shiftKey: true });
+      this.targetElement.keyUp(KeyCode.SHIFT);
+    });
+
+    it('then passes the action name and the matching key sequence', function() {
+      expect(this.handler).to.have.been.calledOnce;
+
+      expect(this.details.actionName).to.equal('ACTION');
+      expect(this.details.sequence).to.equal('shift+a');
+    });
+
+    it('then passes the id of the component that defines the key map', function() {
+      const outerComponent = this.wrapper.find('HotKeysEnabled').at(0).instance();
+
+      expect(this.details.componentId).to.equal(outerComponent._id);
+    });
+
+    it('then passes the key event type', function() {
+      expect(this.details.eventType).to.equal('keydown');
+      expect(this.details.repeat).to.equal(false);
+    });
+
+    it('then passes a copy of the key combination that is not changed by later key events', function() {
+      expect(Object.keys(this.details.keyCombination.keys)).to.eql(['Shift', 'a']);
+      expect(this.details.keyCombination.ids).to.eql(['Shift+a', 'A+Shift']);
+    });
+  });
+
+  context('when an action is triggered by holding keys down', () => {
+    beforeEach(function () {
+      this.clock = sinon.useFakeTimers();
+
+      this.handler = sinon.spy();
+
+      this.wrapper = mount(
+        <HotKeys keyMap={{ 'ACTION': { sequence: 'a', hold: 500 } }} handlers={{ 'ACTION': this.handler }}>
+          <div className="childElement" />
+        </HotKeys>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+
+      this.targetElement.keyDown(KeyCode.A);
+      this.clock.tick(500);
+      this.targetElement.keyUp(KeyCode.A);
+    });
+
+    afterEach(function() {
+      this.clock.restore();
+    });
+
+    it('then passes the details of the key event that started the hold', function() {
+      expect(this.handler).to.have.been.calledOnce;
+
+      const details = this.handler.firstCall.args[1];
+
+      expect(details.actionName).to.equal('ACTION');
+      expect(details.sequence).to.equal('a');
+      expect(details.eventType).to.equal('keydown');
+      expect(details.repeat).to.equal(false);
+    });
+  });
+});
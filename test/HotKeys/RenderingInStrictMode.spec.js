@@ -0,0 +1,82 @@
+import React, {StrictMode} from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+
+import {HotKeys, getApplicationKeyMap} from '../../src';
+import KeyEventManager from '../../src/lib/KeyEventManager';
+import FocusableElement from '../support/FocusableElement';
+import KeyCode from '../support/Key';
+
+describe('Rendering HotKeys in StrictMode:', () => {
+  beforeEach(function () {
+    this.reactDiv = document.createElement('div');
+    document.body.appendChild(this.reactDiv);
+
+    this.handler = sinon.spy();
+
+    this.wrapper = mount(
+      <StrictMode>
+        <HotKeys keyMap={{PARENT: 'a'}}>
+          <div className="outerChildElement" />
+
+          <HotKeys keyMap={{CHILD: 'b'}} handlers={{CHILD: this.handler}}>
+            <div className="innerChildElement" />
+          </HotKeys>
+        </HotKeys>
+      </StrictMode>,
+      { attachTo: this.reactDiv }
+    );
+
+    this.eventStrategy = KeyEventManager.getInstance()._focusOnlyEventStrategy;
+  });
+
+  afterEach(function() {
+    document.body.removeChild(this.reactDiv);
+  });
+
+  it('then only registers the key maps of the mounted components', function() {
+    expect(Object.keys(this.eventStrategy.keyMapRegistry)).to.have.lengthOf(2);
+    expect(Object.keys(this.eventStrategy.componentRegistry)).to.have.lengthOf(2);
+  });
+
+  it('then builds the correct component hierarchy', function() {
+    const [ rootComponentId ] = this.eventStrategy.rootComponentIds;
+    const root = this.eventStrategy.componentRegistry[rootComponentId];
+
+    expect(root.parentId).to.equal(null);
+    expect(root.childIds).to.have.lengthOf(1);
+    expect(this.eventStrategy.componentRegistry[root.childIds[0]]).to.eql({
+      parentId: rootComponentId,
+      childIds: []
+    });
+  });
+
+  it('then generates the correct application key map', function() {
+    expect(getApplicationKeyMap()).to.eql({
+      PARENT: { sequences: [ { sequence: 'a' } ] },
+      CHILD: { sequences: [ { sequence: 'b' } ] }
+    });
+  });
+
+  it('then calls the handler when a matching key is pressed', function() {
+    const input = new FocusableElement(this.wrapper, '.innerChildElement');
+
+    input.focus();
+    input.keyDown(KeyCode.B);
+
+    expect(this.handler).to.have.been.calledOnce;
+  });
+
+  context('when the components are unmounted', () => {
+    beforeEach(function () {
+      this.wrapper.unmount();
+    });
+
+    it('then leaves no entries in the registries', function() {
+      expect(this.eventStrategy.keyMapRegistry).to.eql({});
+      expect(this.eventStrategy.componentRegistry).to.eql({});
+      expect(getApplicationKeyMap()).to.eql({});
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+
+import FocusableElement from '../support/FocusableElement';
+import KeyCode from '../support/Key';
+
+import {HotKeys, HotKeysProvider, createKeyEventManager} from '../../src/';
+
+describe('Sequence timeouts:', function () {
+  beforeEach(function () {
+    this.clock = sinon.useFakeTimers();
+
+    this.sequenceHandler = sinon.spy();
+    this.singleKeyHandler = sinon.spy();
+
+    this.handlers = {
+      'SEQUENCE': this.sequenceHandler,
+      'SINGLE_KEY': this.singleKeyHandler,
+    };
+
+    this.mountHotKeys = (keyMap, manager) => {
+      const hotKeys = (
+        <HotKeys keyMap={keyMap} handlers={this.handlers}>
+          <div className="childElement" />
+        </HotKeys>
+      );
+
+      this.wrapper = mount(
+        manager ? <HotKeysProvider manager={manager}>{hotKeys}</HotKeysProvider> : hotKeys
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+    };
+
+    this.pressKey = (key) => {
+      this.targetElement.keyDown(key);
+      this.targetElement.keyPress(key);
+      this.targetElement.keyUp(key);
+    };
+  });
+
+  afterEach(function () {
+    this.clock.restore();
+  });
+
+  context('when no sequence timeout is set', () => {
+    beforeEach(function () {
+      this.mountHotKeys({ 'SEQUENCE': 'a b' });
+    });
+
+    it('then calls the sequence\'s handler when the combinations are pressed within 1000ms', function() {
+      this.pressKey(KeyCode.A);
+      this.clock.tick(900);
+      this.pressKey(KeyCode.B);
+
+      expect(this.sequenceHandler).to.have.been.calledOnce;
+    });
+
+    it('then does NOT call the sequence\'s handler when more than 1000ms pass between combinations', function() {
+      this.pressKey(KeyCode.A);
+      this.clock.tick(1100);
+      this.pressKey(KeyCode.B);
+
+      expect(this.sequenceHandler).to.not.have.been.called;
+    });
+  });
+
+  context('when the sequence timeout is configured to be false', () => {
+    beforeEach(function () {
+      this.mountHotKeys({ 'SEQUENCE': 'a b' }, createKeyEventManager({ sequenceTimeout: false }));
+    });
+
+    it('then allows any amount of time to pass between combinations', function() {
+      this.pressKey(KeyCode.A);
+      this.clock.tick(600000);
+      this.pressKey(KeyCode.B);
+
+      expect(this.sequenceHandler).to.have.been.calledOnce;
+    });
+  });
+
+  context('when a sequence timeout is configured', () => {
+    beforeEach(function () {
+      this.mountHotKeys(
+        { 'SEQUENCE': 'a b', 'SINGLE_KEY': 'b' },
+        createKeyEventManager({ sequenceTimeout: 2000 })
+      );
+    });
+
+    it('then calls the sequence\'s handler when the combinations are pressed within the timeout', function() {
+      this.pressKey(KeyCode.A);
+      this.clock.tick(1900);
+      this.pressKey(KeyCode.B);
+
+      expect(this.sequenceHandler).to.have.been.calledOnce;
+      expect(this.singleKeyHandler).to.not.have.been.called;
+    });
+
+    it('then calls the handlers of shorter sequences when the timeout has passed', function() {
+      this.pressKey(KeyCode.A);
+      this.clock.tick(2100);
+      this.pressKey(KeyCode.B);
+
+      expect(this.sequenceHandler).to.not.have.been.called;
+      expect(this.singleKeyHandler).to.have.been.calledOnce;
+    });
+  });
+
+  context('when an action specifies its own sequence timeout', () => {
+    beforeEach(function () {
+      this.mountHotKeys({ 'SEQUENCE': { sequence: 'a b', sequenceTimeout: 3000 } });
+    });
+
+    it('then uses the action\'s sequence timeout', function() {
+      this.pressKey(KeyCode.A);
+      this.clock.tick(2000);
+      this.pressKey(KeyCode.B);
+
+      expect(this.sequenceHandler).to.have.been.calledOnce;
+    });
+
+    it('then does NOT call the handler when the action\'s timeout has passed', function() {
+      this.pressKey(KeyCode.A);
+      this.clock.tick(3100);
+      this.pressKey(KeyCode.B);
+
+      expect(this.sequenceHandler).to.not.have.been.called;
+    });
+  });
+
+  context('when an action disables the configured sequence timeout', () => {
+    beforeEach(function () {
+      this.mountHotKeys(
+        { 'SEQUENCE': { sequence: 'a b', sequenceTimeout: false } },
+        createKeyEventManager({ sequenceTimeout: 1000 })
+      );
+    });
+
+    it('then allows any amount of time to pass between combinations', function() {
+      this.pressKey(KeyCode.A);
+      this.clock.tick(600000);
+      this.pressKey(KeyCode.B);
+
+      expect(this.sequenceHandler).to.have.been.calledOnce;
+    });
+  });
+});
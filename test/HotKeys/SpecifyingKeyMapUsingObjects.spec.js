@@ -224,4 +224,49 @@ describe('Specifying key map using objects:', () => {
       expect(this.handler).to.have.been.called;
     });
   });
+
+  context('when a keymap is specified as an object with a list of sequences and metadata', () => {
+    beforeEach(function () {
+      this.keyMap = {
+        'ACTION': {
+          name: 'Action',
+          description: 'Does something',
+          group: 'Things',
+          action: 'keyup',
+          sequences: [ 'a', { sequence: 'b', action: 'keydown' } ],
+        },
+      };
+
+      this.handler = sinon.spy();
+
+      this.handlers = {
+        'ACTION': this.handler,
+      };
+
+      this.wrapper = mount(
+        <HotKeys keyMap={this.keyMap} handlers={this.handlers}>
+          <div className="childElement" />
+        </HotKeys>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+    });
+
+    it('then uses the action of the object for sequences that don\'t specify one', function() {
+      this.targetElement.keyDown(KeyCode.A);
+
+      expect(this.handler).to.not.have.been.called;
+
+      this.targetElement.keyUp(KeyCode.A);
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+
+    it('then uses the action of sequences that specify one', function() {
+      this.targetElement.keyDown(KeyCode.B);
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+  });
 });
@@ -0,0 +1,113 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+
+import FocusableElement from '../support/FocusableElement';
+import KeyCode from '../support/Key';
+
+import {HotKeys} from '../../src/';
+
+describe('Tapping keys more than once:', function () {
+  beforeEach(function () {
+    this.clock = sinon.useFakeTimers();
+
+    this.tapHandler = sinon.spy();
+    this.combinationHandler = sinon.spy();
+
+    this.mountHotKeys = (keyMap) => {
+      this.wrapper = mount(
+        <HotKeys keyMap={keyMap} handlers={{ 'TAP': this.tapHandler, 'COMBINATION': this.combinationHandler }}>
+          <div className="childElement" />
+        </HotKeys>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+    };
+
+    this.tap = (key) => {
+      this.targetElement.keyDown(key);
+      this.targetElement.keyUp(key);
+    };
+  });
+
+  afterEach(function () {
+    this.clock.restore();
+  });
+
+  context('when an action is bound to tapping a modifier key twice', () => {
+    beforeEach(function () {
+      this.mountHotKeys({
+        'TAP': { sequence: 'shift', taps: 2 },
+        'COMBINATION': 'shift+x'
+      });
+    });
+
+    it('then calls the handler when the key is released the second time', function() {
+      this.tap(KeyCode.SHIFT);
+      this.targetElement.keyDown(KeyCode.SHIFT);
+
+      expect(this.tapHandler).to.not.have.been.called;
+
+      this.targetElement.keyUp(KeyCode.SHIFT);
+
+      expect(this.tapHandler).to.have.been.calledOnce;
+    });
+
+    it('then does NOT call the handler when the taps are too far apart', function() {
+      this.tap(KeyCode.SHIFT);
+      this.clock.tick(400);
+      this.tap(KeyCode.SHIFT);
+
+      expect(this.tapHandler).to.not.have.been.called;
+    });
+
+    it('then does NOT call the handler when the key is used as a modifier', function() {
+      this.targetElement.keyDown(KeyCode.SHIFT);
+      this.tap('X');
+      this.targetElement.keyUp(KeyCode.SHIFT);
+
+      this.targetElement.keyDown(KeyCode.SHIFT);
+      this.tap('X');
+      this.targetElement.keyUp(KeyCode.SHIFT);
+
+      expect(this.combinationHandler).to.have.been.calledTwice;
+      expect(this.tapHandler).to.not.have.been.called;
+    });
+
+    it('then does NOT call the handler when the key is used as a modifier after it\'s tapped', function() {
+      this.tap(KeyCode.SHIFT);
+
+      this.targetElement.keyDown(KeyCode.SHIFT);
+      this.tap('X');
+      this.targetElement.keyUp(KeyCode.SHIFT);
+
+      expect(this.combinationHandler).to.have.been.calledOnce;
+      expect(this.tapHandler).to.not.have.been.called;
+    });
+  });
+
+  context('when an action is bound to tapping a key three times', () => {
+    beforeEach(function () {
+      this.mountHotKeys({ 'TAP': { sequence: 'a', taps: 3, tapTimeout: 500 } });
+    });
+
+    it('then calls the handler when the key is pressed the third time', function() {
+      this.tap(KeyCode.A);
+      this.clock.tick(450);
+      this.tap(KeyCode.A);
+      this.clock.tick(450);
+      this.targetElement.keyDown(KeyCode.A);
+
+      expect(this.tapHandler).to.have.been.calledOnce;
+    });
+
+    it('then does NOT call the handler when the key is only tapped twice', function() {
+      this.tap(KeyCode.A);
+      this.tap(KeyCode.A);
+
+      expect(this.tapHandler).to.not.have.been.called;
+    });
+  });
+});
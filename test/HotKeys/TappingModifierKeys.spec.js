@@ -0,0 +1,138 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+
+import FocusableElement from '../support/FocusableElement';
+import KeyCode from '../support/Key';
+
+import {HotKeys, GlobalHotKeys} from '../../src/';
+import KeyEventManager from '../../src/lib/KeyEventManager';
+
+describe('Tapping modifier keys:', function () {
+  beforeEach(function () {
+    KeyEventManager.clear();
+
+    this.tapHandler = sinon.spy();
+    this.copyHandler = sinon.spy();
+
+    this.keyMap = {
+      'TAP': { sequence: 'command', action: 'keyup', taps: 1 },
+      'COPY': 'command+c'
+    };
+
+    this.handlers = { 'TAP': this.tapHandler, 'COPY': this.copyHandler };
+  });
+
+  function tapKey(targetElement, key) {
+    targetElement.keyDown(key);
+    targetElement.keyUp(key);
+  }
+
+  context('when the action is defined by HotKeys', () => {
+    beforeEach(function () {
+      this.wrapper = mount(
+        <HotKeys keyMap={this.keyMap} handlers={this.handlers}>
+          <div className="childElement" />
+        </HotKeys>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+    });
+
+    it('then calls the handler when the key is released without pressing other keys', function() {
+      tapKey(this.targetElement, KeyCode.COMMAND);
+
+      expect(this.tapHandler).to.have.been.calledOnce;
+    });
+
+    it('then does NOT call the handler when another key is pressed while it is held down', function() {
+      this.targetElement.keyDown(KeyCode.COMMAND);
+      tapKey(this.targetElement, 'c');
+      this.targetElement.keyUp(KeyCode.COMMAND);
+
+      expect(this.copyHandler).to.have.been.calledOnce;
+      expect(this.tapHandler).to.not.have.been.called;
+    });
+
+    it('then does NOT call the handler when the keyup of the other key is hidden by the command key', function() {
+      this.targetElement.keyDown(KeyCode.COMMAND);
+      this.targetElement.keyDown('c');
+      this.targetElement.keyUp(KeyCode.COMMAND);
+
+      expect(this.copyHandler).to.have.been.calledOnce;
+      expect(this.tapHandler).to.not.have.been.called;
+    });
+
+    it('then calls the handler when the key is tapped after it was used as a modifier', function() {
+      this.targetElement.keyDown(KeyCode.COMMAND);
+      tapKey(this.targetElement, 'c');
+      this.targetElement.keyUp(KeyCode.COMMAND);
+
+      tapKey(this.targetElement, KeyCode.COMMAND);
+
+      expect(this.tapHandler).to.have.been.calledOnce;
+    });
+  });
+
+  context('when the keyup action does not have the taps attribute', () => {
+    beforeEach(function () {
+      this.wrapper = mount(
+        <HotKeys keyMap={{ ...this.keyMap, 'TAP': { sequence: 'command', action: 'keyup' } }} handlers={this.handlers}>
+          <div className="childElement" />
+        </HotKeys>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+
+      this.targetElement.keyDown(KeyCode.COMMAND);
+      tapKey(this.targetElement, 'c');
+      this.targetElement.keyUp(KeyCode.COMMAND);
+    });
+
+    it('then calls the handler when the key is released after being used as a modifier', function() {
+      expect(this.copyHandler).to.have.been.calledOnce;
+      expect(this.tapHandler).to.have.been.calledOnce;
+    });
+  });
+
+  context('when the action is defined by GlobalHotKeys', () => {
+    beforeEach(function () {
+      this.reactDiv = document.createElement('div');
+      document.body.appendChild(this.reactDiv);
+
+      this.wrapper = mount(
+        <GlobalHotKeys keyMap={this.keyMap} handlers={this.handlers}>
+          <div className="childElement" />
+        </GlobalHotKeys>,
+        { attachTo: this.reactDiv }
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement', { nativeElement: this.reactDiv });
+      this.targetElement.focus();
+    });
+
+    afterEach(function () {
+      this.wrapper.unmount();
+
+      document.body.removeChild(this.reactDiv);
+    });
+
+    it('then calls the handler when the key is released without pressing other keys', function() {
+      tapKey(this.targetElement, KeyCode.COMMAND);
+
+      expect(this.tapHandler).to.have.been.calledOnce;
+    });
+
+    it('then does NOT call the handler when another key is pressed while it is held down', function() {
+      this.targetElement.keyDown(KeyCode.COMMAND);
+      tapKey(this.targetElement, 'c');
+      this.targetElement.keyUp(KeyCode.COMMAND);
+
+      expect(this.copyHandler).to.have.been.calledOnce;
+      expect(this.tapHandler).to.not.have.been.called;
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+
+import FocusableElement from '../support/FocusableElement';
+
+import {HotKeys, configure, KeyboardLayouts} from '../../src/';
+import Configuration from '../../src/lib/Configuration';
+
+describe('Using keyboard layouts:', function () {
+  afterEach(function () {
+    Configuration.reset('keyboardLayout');
+  });
+
+  function mountHotKeys(keyMap, handler) {
+    const wrapper = mount(
+      <HotKeys keyMap={keyMap} handlers={{ 'ACTION': handler }}>
+        <div className="childElement" />
+      </HotKeys>
+    );
+
+    const targetElement = new FocusableElement(wrapper, '.childElement');
+    targetElement.focus();
+
+    return targetElement;
+  }
+
+  function pressWithModifier(targetElement, modifier, key) {
+    targetElement.keyDown(modifier);
+
+    targetElement.keyDown(key);
+    targetElement.keyPress(key);
+    targetElement.keyUp(key);
+
+    targetElement.keyUp(modifier);
+  }
+
+  beforeEach(function () {
+    this.handler = sinon.spy();
+  });
+
+  context('when the default keyboard layout is used', () => {
+    it('then does NOT match the symbols of other layouts', function() {
+      const targetElement = mountHotKeys({ 'ACTION': 'shift+7' }, this.handler);
+
+      pressWithModifier(targetElement, 'Shift', '/');
+
+      expect(this.handler).to.not.have.been.called;
+    });
+  });
+
+  context('when the German keyboard layout is configured', () => {
+    beforeEach(function () {
+      configure({ keyboardLayout: 'de' });
+    });
+
+    it('then calls the handler when a key is pressed with shift', function() {
+      const targetElement = mountHotKeys({ 'ACTION': 'shift+7' }, this.handler);
+
+      pressWithModifier(targetElement, 'Shift', '/');
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+
+    it('then calls the handler for the shifted symbol of a key', function() {
+      const targetElement = mountHotKeys({ 'ACTION': 'shift+/' }, this.handler);
+
+      pressWithModifier(targetElement, 'Shift', '/');
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+
+    it('then calls the handler when a key is pressed with alt', function() {
+      const targetElement = mountHotKeys({ 'ACTION': 'alt+q' }, this.handler);
+
+      pressWithModifier(targetElement, 'Alt', '@');
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+
+    it('then no longer matches the symbols of the US layout', function() {
+      const targetElement = mountHotKeys({ 'ACTION': 'shift+/' }, this.handler);
+
+      pressWithModifier(targetElement, 'Shift', '?');
+
+      expect(this.handler).to.not.have.been.called;
+    });
+  });
+
+  context('when more than one keyboard layout is configured', () => {
+    beforeEach(function () {
+      configure({
+        keyboardLayout: [
+          KeyboardLayouts.us,
+          { shifted: { 'ä': [ 'Ä' ], '0': [ '=' ] } }
+        ]
+      });
+    });
+
+    it('then matches the symbols of the first layout', function() {
+      const targetElement = mountHotKeys({ 'ACTION': 'shift+0' }, this.handler);
+
+      pressWithModifier(targetElement, 'Shift', ')');
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+
+    it('then matches the symbols of a layout described using an object', function() {
+      const targetElement = mountHotKeys({ 'ACTION': 'shift+0' }, this.handler);
+
+      pressWithModifier(targetElement, 'Shift', '=');
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+
+import FocusableElement from '../support/FocusableElement';
+
+import {HotKeys, configure} from '../../src/';
+import Configuration from '../../src/lib/Configuration';
+
+describe('Using the platform modifier key:', function () {
+  afterEach(function () {
+    Configuration.reset('platform');
+  });
+
+  function mountHotKeys(keyMap, handler) {
+    const wrapper = mount(
+      <HotKeys keyMap={keyMap} handlers={{ 'ACTION': handler }}>
+        <div className="childElement" />
+      </HotKeys>
+    );
+
+    const targetElement = new FocusableElement(wrapper, '.childElement');
+    targetElement.focus();
+
+    return targetElement;
+  }
+
+  function pressWithModifier(targetElement, modifier, key) {
+    targetElement.keyDown(modifier);
+
+    targetElement.keyDown(key);
+    targetElement.keyPress(key);
+    targetElement.keyUp(key);
+
+    targetElement.keyUp(modifier);
+  }
+
+  beforeEach(function () {
+    this.handler = sinon.spy();
+  });
+
+  context('when the platform is mac', () => {
+    beforeEach(function () {
+      configure({ platform: 'mac' });
+    });
+
+    ['mod+s', 'CmdOrCtrl+s', 'CommandOrControl+s'].forEach((sequence) => {
+      it(`then calls the handler for ${sequence} when the command key is held down`, function() {
+        const targetElement = mountHotKeys({ 'ACTION': sequence }, this.handler);
+
+        pressWithModifier(targetElement, 'Meta', 's');
+
+        expect(this.handler).to.have.been.calledOnce;
+      });
+    });
+
+    it('then does NOT call the handler when the control key is held down', function() {
+      const targetElement = mountHotKeys({ 'ACTION': 'mod+s' }, this.handler);
+
+      pressWithModifier(targetElement, 'Control', 's');
+
+      expect(this.handler).to.not.have.been.called;
+    });
+  });
+
+  context('when the platform is not mac', () => {
+    beforeEach(function () {
+      configure({ platform: 'default' });
+    });
+
+    it('then calls the handler when the control key is held down', function() {
+      const targetElement = mountHotKeys({ 'ACTION': 'mod+s' }, this.handler);
+
+      pressWithModifier(targetElement, 'Control', 's');
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+
+    it('then does NOT call the handler when the command key is held down', function() {
+      const targetElement = mountHotKeys({ 'ACTION': 'mod+s' }, this.handler);
+
+      pressWithModifier(targetElement, 'Meta', 's');
+
+      expect(this.handler).to.not.have.been.called;
+    });
+  });
+
+  context('when the platform is a function', () => {
+    beforeEach(function () {
+      configure({ platform: () => 'mac' });
+    });
+
+    it('then uses the platform it returns', function() {
+      const targetElement = mountHotKeys({ 'ACTION': 'mod+s' }, this.handler);
+
+      pressWithModifier(targetElement, 'Meta', 's');
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+  });
+
+  context('when the platform is not configured', () => {
+    it('then detects it from the browser', function() {
+      const targetElement = mountHotKeys({ 'ACTION': 'mod+s' }, this.handler);
+
+      pressWithModifier(targetElement, 'Control', 's');
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+  });
+});
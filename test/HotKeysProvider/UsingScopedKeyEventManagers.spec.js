@@ -0,0 +1,205 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+import simulant from 'simulant';
+
+import FocusableElement from '../support/FocusableElement';
+import KeyCode from '../support/Key';
+import {HotKeys, GlobalHotKeys, HotKeysProvider, createKeyEventManager, getApplicationKeyMap} from '../../src/';
+import {findKeyMapConflicts, setKeyMapOverrides, getKeyMapOverrides} from '../../src/';
+
+describe('Using scoped key event managers:', function () {
+  beforeEach(function () {
+    this.keyMap = {
+      'ACTION': 'a',
+    };
+
+    this.firstHandler = sinon.spy();
+    this.secondHandler = sinon.spy();
+
+    this.firstManager = createKeyEventManager();
+    this.secondManager = createKeyEventManager({ defaultKeyEvent: 'keyup' });
+  });
+
+  context('when HotKeys components are rendered in separate providers', () => {
+    beforeEach(function () {
+      this.wrapper = mount(
+        <div>
+          <HotKeysProvider manager={this.firstManager}>
+            <HotKeys keyMap={this.keyMap} handlers={{ 'ACTION': this.firstHandler }}>
+              <div className="firstChildElement" />
+            </HotKeys>
+          </HotKeysProvider>
+
+          <HotKeysProvider manager={this.secondManager}>
+            <HotKeys keyMap={this.keyMap} handlers={{ 'ACTION': this.secondHandler }}>
+              <div className="secondChildElement" />
+            </HotKeys>
+          </HotKeysProvider>
+        </div>
+      );
+
+      this.firstInput = new FocusableElement(this.wrapper, '.firstChildElement');
+      this.secondInput = new FocusableElement(this.wrapper, '.secondChildElement');
+    });
+
+    it('then each manager only returns the key map of its own components', function() {
+      expect(this.firstManager.getApplicationKeyMap()).to.eql({ 'ACTION': { sequences: [ { sequence: 'a' } ] } });
+      expect(this.secondManager.getApplicationKeyMap()).to.eql({ 'ACTION': { sequences: [ { sequence: 'a' } ] } });
+      expect(getApplicationKeyMap()).to.eql({});
+    });
+
+    it('then returns the key map of the manager passed to getApplicationKeyMap', function() {
+      expect(getApplicationKeyMap({ manager: this.firstManager })).to.eql({ 'ACTION': { sequences: [ { sequence: 'a' } ] } });
+    });
+
+    it('then returns the conflicts of the manager passed to findKeyMapConflicts', function() {
+      const wrapper = mount(
+        <HotKeysProvider manager={this.firstManager}>
+          <HotKeys keyMap={{ 'OTHER_ACTION': 'a', 'ACTION': 'a' }} />
+        </HotKeysProvider>
+      );
+
+      expect(findKeyMapConflicts({ manager: this.firstManager })).to.have.lengthOf(1);
+      expect(findKeyMapConflicts({ manager: this.secondManager })).to.eql([]);
+
+      wrapper.unmount();
+    });
+
+    it('then sets and returns the overrides of the manager passed to setKeyMapOverrides and getKeyMapOverrides', function() {
+      setKeyMapOverrides({ 'ACTION': 'b' }, { manager: this.firstManager });
+
+      expect(getKeyMapOverrides({ manager: this.firstManager })).to.eql({ 'ACTION': 'b' });
+      expect(getKeyMapOverrides({ manager: this.secondManager })).to.eql({});
+      expect(getKeyMapOverrides()).to.eql({});
+
+      this.firstInput.focus();
+      this.firstInput.keyDown(KeyCode.B);
+
+      expect(this.firstHandler).to.have.been.calledOnce;
+    });
+
+    it('then only calls the handlers of the component in focus', function() {
+      this.firstInput.focus();
+      this.firstInput.keyDown(KeyCode.A);
+
+      expect(this.firstHandler).to.have.been.calledOnce;
+      expect(this.secondHandler).to.not.have.been.called;
+    });
+
+    it('then each manager uses its own configuration', function() {
+      this.secondInput.focus();
+      this.secondInput.keyDown(KeyCode.A);
+
+      expect(this.secondHandler).to.not.have.been.called;
+
+      this.secondInput.keyUp(KeyCode.A);
+
+      expect(this.secondHandler).to.have.been.calledOnce;
+      expect(this.firstHandler).to.not.have.been.called;
+    });
+  });
+
+  context('when a provider without a manager is rendered inside one with a manager', () => {
+    beforeEach(function () {
+      this.wrapper = mount(
+        <HotKeysProvider manager={this.firstManager}>
+          <HotKeysProvider>
+            <HotKeys keyMap={this.keyMap} handlers={{ 'ACTION': this.firstHandler }}>
+              <div className="childElement" />
+            </HotKeys>
+          </HotKeysProvider>
+        </HotKeysProvider>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+    });
+
+    it('then registers the components inside it with the outer provider\'s manager', function() {
+      expect(this.firstManager.getApplicationKeyMap()).to.eql({ 'ACTION': { sequences: [ { sequence: 'a' } ] } });
+      expect(getApplicationKeyMap()).to.eql({});
+    });
+
+    it('then calls the handlers of the components inside it', function() {
+      this.targetElement.focus();
+      this.targetElement.keyDown(KeyCode.A);
+
+      expect(this.firstHandler).to.have.been.calledOnce;
+    });
+  });
+
+  context('when a provider with a manager is rendered inside one with another manager', () => {
+    beforeEach(function () {
+      this.wrapper = mount(
+        <HotKeysProvider manager={this.firstManager}>
+          <HotKeysProvider manager={this.secondManager}>
+            <HotKeys keyMap={this.keyMap} handlers={{ 'ACTION': this.secondHandler }} />
+          </HotKeysProvider>
+        </HotKeysProvider>
+      );
+    });
+
+    it('then registers the components inside it with its own manager', function() {
+      expect(this.secondManager.getApplicationKeyMap()).to.eql({ 'ACTION': { sequences: [ { sequence: 'a' } ] } });
+      expect(this.firstManager.getApplicationKeyMap()).to.eql({});
+    });
+  });
+
+  context('when a GlobalHotKeys component is rendered in a provider', () => {
+    beforeEach(function () {
+      this.reactDiv = document.createElement('div');
+      document.body.appendChild(this.reactDiv);
+
+      this.wrapper = mount(
+        <HotKeysProvider manager={this.firstManager}>
+          <GlobalHotKeys keyMap={this.keyMap} handlers={{ 'ACTION': this.firstHandler }}>
+            <div className="childElement" />
+          </GlobalHotKeys>
+        </HotKeysProvider>,
+        { attachTo: this.reactDiv }
+      );
+    });
+
+    afterEach(function() {
+      this.wrapper.unmount();
+      document.body.removeChild(this.reactDiv);
+    });
+
+    it('then registers the key map with the provided manager only', function() {
+      expect(this.firstManager.getApplicationKeyMap()).to.eql({ 'ACTION': { sequences: [ { sequence: 'a' } ] } });
+      expect(getApplicationKeyMap()).to.eql({});
+    });
+
+    it('then calls the handler when a matching key is pressed', function() {
+      simulant.fire(this.reactDiv, 'keydown', { key: KeyCode.A });
+
+      expect(this.firstHandler).to.have.been.calledOnce;
+    });
+  });
+
+  context('when a manager is created with options that can only be set globally', () => {
+    beforeEach(function () {
+      this.consoleWarn = sinon.stub(console, 'warn');
+
+      this.manager = createKeyEventManager({ keyboardLayout: 'de', platform: 'mac', defaultKeyEvent: 'keyup' });
+    });
+
+    afterEach(function () {
+      this.consoleWarn.restore();
+    });
+
+    it('then ignores them with a warning', function() {
+      expect(this.consoleWarn).to.have.been.calledTwice;
+      expect(this.consoleWarn.firstCall.args[0]).to.include("'keyboardLayout'");
+      expect(this.consoleWarn.secondCall.args[0]).to.include("'platform'");
+
+      expect(this.manager.configuration.option('keyboardLayout')).to.equal('us');
+      expect(this.manager.configuration.option('platform')).to.equal(null);
+    });
+
+    it('then applies the other options', function() {
+      expect(this.manager.configuration.option('defaultKeyEvent')).to.equal('keyup');
+    });
+  });
+});
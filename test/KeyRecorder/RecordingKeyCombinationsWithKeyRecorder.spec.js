@@ -0,0 +1,94 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+import simulant from 'simulant';
+
+import {KeyRecorder} from '../../src/';
+
+describe('Recording key combinations with KeyRecorder:', function () {
+  beforeEach(function () {
+    this.reactDiv = document.createElement('div');
+    document.body.appendChild(this.reactDiv);
+
+    this.onRecord = sinon.spy();
+
+    this.mountKeyRecorder = (keyRecorder) => {
+      this.wrapper = mount(keyRecorder, { attachTo: this.reactDiv });
+    };
+
+    this.pressKey = (key) => {
+      simulant.fire(this.reactDiv, 'keydown', { key });
+      simulant.fire(this.reactDiv, 'keyup', { key });
+    };
+  });
+
+  afterEach(function () {
+    this.wrapper.unmount();
+    document.body.removeChild(this.reactDiv);
+  });
+
+  context('when a KeyRecorder is rendered without children', () => {
+    beforeEach(function () {
+      this.mountKeyRecorder(
+        <KeyRecorder onRecord={this.onRecord} placeholder="Press a key" className="recorder" />
+      );
+    });
+
+    it('then renders the placeholder until a combination is recorded', function() {
+      expect(this.wrapper.find('div.recorder').text()).to.equal('Press a key');
+    });
+
+    it('then calls onRecord and renders the combination once one is recorded', function() {
+      this.pressKey('a');
+      this.wrapper.update();
+
+      expect(this.onRecord).to.have.been.calledWith({ sequence: 'a', combinations: [ 'a' ] });
+      expect(this.wrapper.find('div.recorder').text()).to.equal('a');
+    });
+  });
+
+  context('when a KeyRecorder records a sequence and is rendered with a function', () => {
+    beforeEach(function () {
+      this.onCancel = sinon.spy();
+
+      this.mountKeyRecorder(
+        <KeyRecorder onRecord={this.onRecord} onCancel={this.onCancel} sequence>
+          { ({ sequence, recording, confirm, cancel }) => (
+            <div>
+              <span className="sequence">{ sequence }</span>
+              <span className="status">{ recording ? 'recording' : 'stopped' }</span>
+              <button className="confirm" onClick={confirm} />
+              <button className="cancel" onClick={cancel} />
+            </div>
+          ) }
+        </KeyRecorder>
+      );
+
+      this.pressKey('g');
+      this.pressKey('i');
+      this.wrapper.update();
+    });
+
+    it('then renders the combinations recorded so far', function() {
+      expect(this.wrapper.find('.sequence').text()).to.equal('g i');
+      expect(this.wrapper.find('.status').text()).to.equal('recording');
+      expect(this.onRecord).to.not.have.been.called;
+    });
+
+    it('then calls onRecord with the sequence when it is confirmed', function() {
+      this.wrapper.find('.confirm').simulate('click');
+
+      expect(this.onRecord).to.have.been.calledWith({ sequence: 'g i', combinations: [ 'g', 'i' ] });
+      expect(this.wrapper.find('.status').text()).to.equal('stopped');
+    });
+
+    it('then calls onCancel, and NOT onRecord, when it is cancelled', function() {
+      this.wrapper.find('.cancel').simulate('click');
+
+      expect(this.onCancel).to.have.been.calledOnce;
+      expect(this.onRecord).to.not.have.been.called;
+      expect(this.wrapper.find('.sequence').text()).to.equal('');
+    });
+  });
+});
@@ -0,0 +1,195 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import simulant from 'simulant';
+
+import FocusableElement from '../support/FocusableElement';
+
+import {HotKeys, GlobalHotKeys, KeyboardShortcutsHelp, configure} from '../../src/';
+
+describe('Showing the keyboard shortcuts help:', function () {
+  beforeEach(function () {
+    this.reactDiv = document.createElement('div');
+    document.body.appendChild(this.reactDiv);
+
+    this.mount = (element) => {
+      this.wrapper = mount(element, { attachTo: this.reactDiv });
+    };
+
+    this.pressShortcut = () => {
+      simulant.fire(this.reactDiv, 'keydown', { key: 'Shift', shiftKey: true });
+
+      const keyDown = simulant('keydown', { key: '?', shiftKey: true });
+      simulant.fire(this.reactDiv, keyDown);
+
+      /**
+       * Type the key into the element that has focus, as a browser would, unless
+       * its default behaviour was prevented
+       */
+      if (!keyDown.defaultPrevented && document.activeElement.tagName === 'INPUT') {
+        document.activeElement.value += '?';
+      }
+
+      simulant.fire(this.reactDiv, 'keyup', { key: '?', shiftKey: true });
+      simulant.fire(this.reactDiv, 'keyup', { key: 'Shift' });
+
+      this.wrapper.update();
+    };
+
+    this.getRow = (name) => {
+      return this.wrapper.find('tr').filterWhere((row) => row.find('th').text() === name);
+    };
+  });
+
+  afterEach(function () {
+    this.wrapper.unmount();
+    document.body.removeChild(this.reactDiv);
+  });
+
+  context('when the keyboard shortcuts help is rendered with other components', () => {
+    beforeEach(function () {
+      const keyMap = {
+        'SAVE': { name: 'Save', group: 'Editing', description: 'Saves the document', sequence: 'ctrl+s' },
+        'MOVE_UP': { name: 'Move up', group: 'Navigation', sequence: 'up' },
+        'UNBOUND': { name: 'Not bound to any keys', group: 'Navigation' },
+        'UNBOUND_LIST': { name: 'Bound to an empty list', sequences: [] },
+      };
+
+      this.mount(
+        <div>
+          <GlobalHotKeys keyMap={{ 'HELP': { name: 'Help', sequence: 'f1' } }} handlers={{ 'HELP': () => {} }} />
+
+          <HotKeys keyMap={keyMap} handlers={{ 'SAVE': () => {} }}>
+            <div className="childElement" />
+          </HotKeys>
+
+          <KeyboardShortcutsHelp platform="default" />
+        </div>
+      );
+    });
+
+    it('then does NOT render the dialog until the action is triggered', function() {
+      expect(this.wrapper.find('[role="dialog"]')).to.have.lengthOf(0);
+
+      this.pressShortcut();
+
+      expect(this.wrapper.find('[role="dialog"]')).to.have.lengthOf(1);
+    });
+
+    context('and the dialog is open', () => {
+      beforeEach(function () {
+        this.pressShortcut();
+
+        this.dialog = this.wrapper.find('div[role="dialog"]');
+      });
+
+      it('then labels the dialog with its title', function() {
+        const titleId = this.dialog.prop('aria-labelledby');
+
+        expect(this.dialog.prop('aria-modal')).to.equal('true');
+        expect(this.wrapper.find(`h2#${titleId}`).text()).to.equal('Keyboard shortcuts');
+      });
+
+      it('then moves focus to the search field', function() {
+        expect(document.activeElement).to.equal(this.wrapper.find('input').getDOMNode());
+      });
+
+      it('then does NOT type the key that opened it into the search field', function() {
+        expect(this.wrapper.find('input').getDOMNode().value).to.equal('');
+      });
+
+      it('then lists the actions under their groups, with ungrouped actions last', function() {
+        expect(this.wrapper.find('h3').map((heading) => heading.text())).to.eql([
+          'Editing', 'Navigation', 'Other'
+        ]);
+      });
+
+      it('then leaves out actions that are not bound to any key sequences', function() {
+        expect(this.getRow('Not bound to any keys')).to.have.lengthOf(0);
+        expect(this.getRow('Bound to an empty list')).to.have.lengthOf(0);
+      });
+
+      it('then renders the keys of each action', function() {
+        expect(this.getRow('SaveSaves the document').find('td').first().text()).to.equal('Ctrl+S');
+        expect(this.getRow('Move up').find('td').first().text()).to.equal('↑');
+      });
+
+      it('then filters the actions by the search text', function() {
+        this.wrapper.find('input').simulate('change', { target: { value: 'move' } });
+
+        expect(this.wrapper.find('th').map((cell) => cell.text())).to.eql([ 'Move up' ]);
+      });
+
+      it('then renders a message when no actions match the search text', function() {
+        this.wrapper.find('input').simulate('change', { target: { value: 'nothing' } });
+
+        expect(this.wrapper.find('p[role="status"]').text()).to.equal('No keyboard shortcuts found');
+      });
+
+      it('then closes when Escape is pressed', function() {
+        this.dialog.simulate('keydown', { key: 'Escape' });
+
+        expect(this.wrapper.find('[role="dialog"]')).to.have.lengthOf(0);
+      });
+
+      it('then marks the global actions', function() {
+        expect(this.getRow('Help').prop('data-scope')).to.equal('global');
+        expect(this.getRow('Move up').prop('data-scope')).to.equal('inactive');
+      });
+    });
+
+    context('and the dialog is opened while a HotKeys component is in focus', () => {
+      beforeEach(function () {
+        const targetElement = new FocusableElement(this.wrapper, '.childElement');
+        targetElement.focus();
+
+        this.pressShortcut();
+      });
+
+      it('then marks the actions available in the focus tree', function() {
+        expect(this.getRow('Move up').prop('data-scope')).to.equal('focused');
+        expect(this.getRow('Move up').find('td').last().text()).to.equal('Available here');
+      });
+    });
+  });
+
+  context('when the exact option is configured', () => {
+    beforeEach(function () {
+      configure({ exact: true });
+
+      this.mount(<KeyboardShortcutsHelp platform="default" />);
+    });
+
+    afterEach(function() {
+      configure({ exact: false });
+    });
+
+    it('then opens the dialog when ? is typed using shift', function() {
+      this.pressShortcut();
+
+      expect(this.wrapper.find('[role="dialog"]')).to.have.lengthOf(1);
+    });
+  });
+
+  context('when the keyboard shortcuts help is rendered for the Mac', () => {
+    beforeEach(function () {
+      this.mount(
+        <div>
+          <GlobalHotKeys keyMap={{ 'SAVE': { name: 'Save', sequence: 'cmd+shift+s' } }} handlers={{ 'SAVE': () => {} }} />
+          <KeyboardShortcutsHelp platform="mac" action="OPEN_HELP" sequence="h" />
+        </div>
+      );
+
+      simulant.fire(this.reactDiv, 'keydown', { key: 'h' });
+      this.wrapper.update();
+    });
+
+    it('then opens the dialog using the configured action', function() {
+      expect(this.wrapper.find('[role="dialog"]')).to.have.lengthOf(1);
+    });
+
+    it('then renders the keys using symbols', function() {
+      expect(this.getRow('Save').find('td').first().text()).to.equal('⌘⇧S');
+    });
+  });
+});
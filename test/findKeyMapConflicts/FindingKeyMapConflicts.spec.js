@@ -0,0 +1,149 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+
+import {HotKeys, GlobalHotKeys, HotKeysProvider, createKeyEventManager} from '../../src/';
+import {findKeyMapConflicts} from '../../src/';
+
+describe('Finding key map conflicts:', () => {
+  context('when there are no conflicts', () => {
+    beforeEach(function () {
+      this.wrapper = mount(
+        <HotKeys keyMap={{ 'ACTION1': 'a', 'ACTION2': 'b' }}>
+          <HotKeys keyMap={{ 'ACTION1': 'a', 'ACTION3': { sequence: 'a', action: 'keyup' } }} />
+          <HotKeys keyMap={{ 'ACTION4': 'c' }} />
+          <HotKeys keyMap={{ 'ACTION5': 'c' }} />
+        </HotKeys>
+      );
+    });
+
+    it('then returns an empty list', function() {
+      expect(findKeyMapConflicts()).to.eql([]);
+    });
+  });
+
+  context('when two actions in the same key map are bound to the same sequence', () => {
+    beforeEach(function () {
+      this.wrapper = mount(
+        <HotKeys keyMap={{ 'ACTION1': 'ctrl+a', 'ACTION2': [ 'b', 'Control+a' ] }} />
+      );
+    });
+
+    it('then reports them as duplicates', function() {
+      expect(findKeyMapConflicts()).to.eql([
+        {
+          type: 'duplicate',
+          sequence: 'Control+a',
+          keyEvent: 'keydown',
+          actions: [
+            { actionName: 'ACTION1', componentId: 0, sequence: 'ctrl+a' },
+            { actionName: 'ACTION2', componentId: 0, sequence: 'Control+a' },
+          ],
+          global: false
+        }
+      ]);
+    });
+  });
+
+  context('when a descendant binds a different action to the same sequence as its ancestor', () => {
+    beforeEach(function () {
+      this.wrapper = mount(
+        <HotKeys keyMap={{ 'PARENT': 'g i' }}>
+          <HotKeys>
+            <HotKeys keyMap={{ 'GRAND_CHILD': 'g  i' }} />
+          </HotKeys>
+        </HotKeys>
+      );
+    });
+
+    it('then reports the descendant\'s action as shadowing the ancestor\'s', function() {
+      expect(findKeyMapConflicts()).to.eql([
+        {
+          type: 'shadowing',
+          sequence: 'g i',
+          keyEvent: 'keydown',
+          actions: [
+            { actionName: 'GRAND_CHILD', componentId: 2, sequence: 'g  i' },
+            { actionName: 'PARENT', componentId: 0, sequence: 'g i' },
+          ],
+          global: false
+        }
+      ]);
+    });
+  });
+
+  context('when GlobalHotKeys components are nested', () => {
+    beforeEach(function () {
+      this.wrapper = mount(
+        <GlobalHotKeys keyMap={{ 'PARENT': 'a' }}>
+          <GlobalHotKeys keyMap={{ 'CHILD': 'a' }} />
+        </GlobalHotKeys>
+      );
+    });
+
+    it('then reports the conflict as global', function() {
+      const conflicts = findKeyMapConflicts();
+
+      expect(conflicts).to.have.lengthOf(1);
+      expect(conflicts[0].type).to.equal('shadowing');
+      expect(conflicts[0].global).to.equal(true);
+    });
+  });
+
+  context('when a component mounts with a conflicting key map', () => {
+    beforeEach(function () {
+      this.consoleWarn = sinon.stub(console, 'warn');
+
+      this.manager = createKeyEventManager();
+
+      this.wrapper = mount(
+        <HotKeysProvider manager={this.manager}>
+          <HotKeys keyMap={{ 'PARENT': 'a' }}>
+            <HotKeys keyMap={{ 'CHILD': 'a' }} />
+          </HotKeys>
+        </HotKeysProvider>
+      );
+    });
+
+    afterEach(function () {
+      this.consoleWarn.restore();
+    });
+
+    it('then does NOT log a warning by default', function() {
+      expect(this.consoleWarn).not.to.have.been.called;
+    });
+  });
+
+  context('when a component mounts with a conflicting key map and warnOfKeyMapConflicts is set', () => {
+    beforeEach(function () {
+      this.consoleWarn = sinon.stub(console, 'warn');
+
+      this.manager = createKeyEventManager({ warnOfKeyMapConflicts: true });
+
+      this.wrapper = mount(
+        <HotKeysProvider manager={this.manager}>
+          <HotKeys keyMap={{ 'PARENT': 'a' }}>
+            <HotKeys keyMap={{ 'CHILD': 'a' }} />
+          </HotKeys>
+        </HotKeysProvider>
+      );
+    });
+
+    afterEach(function () {
+      this.consoleWarn.restore();
+    });
+
+    it('then logs a warning describing the conflict', function() {
+      expect(this.consoleWarn).to.have.been.calledOnce;
+
+      expect(this.consoleWarn.firstCall.args.join(' ')).to.contain(
+        'Action \'CHILD\' (C1) shadows \'PARENT\' (C0), as they are both bound to \'a\' keydown.'
+      );
+    });
+
+    it('then includes the conflict in the manager\'s list', function() {
+      expect(this.manager.findKeyMapConflicts()).to.have.lengthOf(1);
+    });
+  });
+});
@@ -28,7 +28,7 @@ describe('Getting the application key map:', () => {
 
     it('generates the correct application key map', function() {
       expect(getApplicationKeyMap()).to.eql({
-        'ACTION1': ['enter']
+        'ACTION1': { sequences: [ { sequence: 'enter' } ] }
       })
     });
   });
@@ -57,7 +57,69 @@ describe('Getting the application key map:', () => {
 
     it('generates the correct application key map', function() {
       expect(getApplicationKeyMap()).to.eql({
-        'ACTION1': ['enter']
+        'ACTION1': { sequences: [ { sequence: 'enter', action: 'keydown' } ] }
+      })
+    });
+  });
+
+  context('when a keymap includes metadata', () => {
+    beforeEach(function () {
+      this.keyMap = {
+        'ACTION1': {
+          name: 'Submit',
+          description: 'Submits the form',
+          group: 'Forms',
+          icon: 'check',
+          sequence: 'enter',
+        },
+      };
+
+      this.wrapper = mount(
+        <HotKeys keyMap={this.keyMap}>
+          <div className="childElement" />
+        </HotKeys>
+      );
+    });
+
+    it('generates an application key map that includes the metadata', function() {
+      expect(getApplicationKeyMap()).to.eql({
+        'ACTION1': {
+          name: 'Submit',
+          description: 'Submits the form',
+          group: 'Forms',
+          icon: 'check',
+          sequences: [ { sequence: 'enter' } ]
+        }
+      })
+    });
+  });
+
+  context('when a keymap specifies a list of sequences', () => {
+    beforeEach(function () {
+      this.keyMap = {
+        'ACTION1': {
+          name: 'Submit',
+          action: 'keyup',
+          sequences: [ 'enter', { sequence: 'ctrl+s', action: 'keydown' } ],
+        },
+      };
+
+      this.wrapper = mount(
+        <HotKeys keyMap={this.keyMap}>
+          <div className="childElement" />
+        </HotKeys>
+      );
+    });
+
+    it('generates an application key map that includes all of the sequences', function() {
+      expect(getApplicationKeyMap()).to.eql({
+        'ACTION1': {
+          name: 'Submit',
+          sequences: [
+            { sequence: 'enter', action: 'keyup' },
+            { sequence: 'ctrl+s', action: 'keydown' }
+          ]
+        }
       })
     });
   });
@@ -77,7 +139,7 @@ describe('Getting the application key map:', () => {
 
     it('generates the correct application key map', function() {
       expect(getApplicationKeyMap()).to.eql({
-        'ACTION1': ['enter']
+        'ACTION1': { sequences: [ { sequence: 'enter' } ] }
       })
     });
   });
@@ -114,8 +176,8 @@ describe('Getting the application key map:', () => {
 
     it('generates the correct application key map', function() {
       expect(getApplicationKeyMap()).to.eql({
-        'ACTION1': ['enter'],
-        'ACTION2': ['enter']
+        'ACTION1': { sequences: [ { sequence: 'enter' } ] },
+        'ACTION2': { sequences: [ { sequence: 'enter' } ] }
       })
     });
   });
@@ -132,9 +194,27 @@ describe('Getting the application key map:', () => {
 
     it('generates the correct application key map', function() {
       expect(getApplicationKeyMap()).to.eql({
-        'ACTION1': ['enter'],
-        'ACTION2': ['enter'],
-        'ACTION3': ['shift']
+        'ACTION1': { sequences: [ { sequence: 'enter' } ] },
+        'ACTION2': { sequences: [ { sequence: 'enter' } ] },
+        'ACTION3': { sequences: [ { sequence: 'shift' } ] }
+      })
+    });
+  });
+
+  context('when there is more than one root component', () => {
+    beforeEach(function () {
+      this.wrapper = mount(
+        <div>
+          <GlobalHotKeys keyMap={{ 'ACTION1': 'enter' }} />
+          <GlobalHotKeys keyMap={{ 'ACTION2': 'shift' }} />
+        </div>
+      );
+    });
+
+    it('includes the actions of every root component', function() {
+      expect(getApplicationKeyMap()).to.eql({
+        'ACTION1': { sequences: [ { sequence: 'enter' } ] },
+        'ACTION2': { sequences: [ { sequence: 'shift' } ] }
       })
     });
   });
@@ -153,10 +233,10 @@ describe('Getting the application key map:', () => {
 
     it('generates the correct application key map', function() {
       expect(getApplicationKeyMap()).to.eql({
-        'ACTION0': ['cmd'],
-        'ACTION1': ['enter'],
-        'ACTION2': ['enter'],
-        'ACTION3': ['shift']
+        'ACTION0': { sequences: [ { sequence: 'cmd' } ] },
+        'ACTION1': { sequences: [ { sequence: 'enter' } ] },
+        'ACTION2': { sequences: [ { sequence: 'enter' } ] },
+        'ACTION3': { sequences: [ { sequence: 'shift' } ] }
       })
     });
   });
@@ -0,0 +1,280 @@
+import {expect} from 'chai';
+import sinon from 'sinon';
+
+import {persistKeyMapOverrides, MemoryAdapter, LocalStorageAdapter, createKeyEventManager} from '../../src/';
+
+describe('Persisting key map overrides:', () => {
+  beforeEach(function () {
+    this.consoleWarn = sinon.stub(console, 'warn');
+    this.manager = createKeyEventManager();
+
+    this.persist = (adapter, options = {}) => {
+      this.stopPersisting = persistKeyMapOverrides(adapter, { manager: this.manager, ...options });
+    };
+  });
+
+  afterEach(function () {
+    if (this.stopPersisting) {
+      this.stopPersisting();
+    }
+
+    this.consoleWarn.restore();
+  });
+
+  context('when overrides have been saved for the current version', () => {
+    beforeEach(function () {
+      this.adapter = new MemoryAdapter({ version: 1, keyMapOverrides: { 'SAVE': 'b' } });
+      this.persist(this.adapter);
+    });
+
+    it('then applies them', function() {
+      expect(this.manager.getKeyMapOverrides()).to.eql({ 'SAVE': 'b' });
+    });
+
+    it('then does NOT save them again', function() {
+      expect(this.adapter.load()).to.eql({ version: 1, keyMapOverrides: { 'SAVE': 'b' } });
+    });
+
+    context('and the overrides are changed', () => {
+      beforeEach(function () {
+        this.manager.setKeyMapOverrides({ 'SAVE': 'c' });
+      });
+
+      it('then saves them', function() {
+        expect(this.adapter.load()).to.eql({ version: 1, keyMapOverrides: { 'SAVE': 'c' } });
+      });
+    });
+
+    context('and the saved overrides are changed elsewhere', () => {
+      beforeEach(function () {
+        this.adapter.save({ version: 1, keyMapOverrides: { 'SAVE': 'd' } });
+      });
+
+      it('then applies them', function() {
+        expect(this.manager.getKeyMapOverrides()).to.eql({ 'SAVE': 'd' });
+      });
+    });
+
+    context('and persisting is stopped', () => {
+      beforeEach(function () {
+        this.stopPersisting();
+        this.manager.setKeyMapOverrides({ 'SAVE': 'c' });
+      });
+
+      it('then no longer saves changes', function() {
+        expect(this.adapter.load()).to.eql({ version: 1, keyMapOverrides: { 'SAVE': 'b' } });
+      });
+    });
+  });
+
+  context('when saved overrides refer to unknown actions or contain invalid sequences', () => {
+    beforeEach(function () {
+      const adapter = new MemoryAdapter({
+        version: 1,
+        keyMapOverrides: {
+          'SAVE': 'b',
+          'REMOVED': 'c',
+          'INVALID_SEQUENCE': 'ctrl++',
+          'INVALID_EVENT': { sequence: 'd', action: 'keyover' },
+        }
+      });
+
+      this.persist(adapter, { actions: [ 'SAVE', 'INVALID_SEQUENCE', 'INVALID_EVENT' ] });
+    });
+
+    it('then applies only the valid overrides', function() {
+      expect(this.manager.getKeyMapOverrides()).to.eql({ 'SAVE': 'b' });
+    });
+
+    it('then warns of each dropped override', function() {
+      expect(this.consoleWarn).to.have.been.calledThrice;
+      expect(this.consoleWarn.firstCall.args.join(' ')).to.include('\'REMOVED\'');
+    });
+  });
+
+  context('when overrides have been saved for a different version', () => {
+    beforeEach(function () {
+      this.adapter = new MemoryAdapter({ version: 1, keyMapOverrides: { 'REMOVE': 'b' } });
+    });
+
+    context('and no migrate function is provided', () => {
+      beforeEach(function () {
+        this.persist(this.adapter, { version: 2 });
+      });
+
+      it('then ignores them with a warning', function() {
+        expect(this.manager.getKeyMapOverrides()).to.eql({});
+        expect(this.consoleWarn).to.have.been.calledOnce;
+      });
+    });
+
+    context('and a migrate function is provided', () => {
+      beforeEach(function () {
+        this.migrate = sinon.spy(({ REMOVE }) => ({ 'DELETE': REMOVE }));
+
+        this.persist(this.adapter, { version: 2, migrate: this.migrate });
+      });
+
+      it('then applies the migrated overrides', function() {
+        expect(this.migrate).to.have.been.calledWith({ 'REMOVE': 'b' }, 1);
+        expect(this.manager.getKeyMapOverrides()).to.eql({ 'DELETE': 'b' });
+      });
+
+      it('then saves overrides with the current version', function() {
+        this.manager.setKeyMapOverrides({ 'DELETE': 'c' });
+
+        expect(this.adapter.load()).to.eql({ version: 2, keyMapOverrides: { 'DELETE': 'c' } });
+      });
+    });
+  });
+
+  context('when an adapter fails to save the overrides', () => {
+    beforeEach(function () {
+      this.adapter = new MemoryAdapter();
+      this.adapter.save = sinon.stub().throws(new Error('Quota exceeded'));
+
+      this.persist(this.adapter);
+
+      this.manager.setKeyMapOverrides({ 'SAVE': 'b' });
+    });
+
+    it('then still changes the overrides', function() {
+      expect(this.manager.getKeyMapOverrides()).to.eql({ 'SAVE': 'b' });
+    });
+
+    it('then logs a warning', function() {
+      expect(this.consoleWarn).to.have.been.calledOnce;
+      expect(this.consoleWarn.firstCall.args.join(' ')).to.include('Quota exceeded');
+    });
+
+    it('then still applies overrides changed elsewhere afterwards', function() {
+      this.adapter.listeners.forEach((listener) => listener({ version: 1, keyMapOverrides: { 'SAVE': 'c' } }));
+
+      expect(this.manager.getKeyMapOverrides()).to.eql({ 'SAVE': 'c' });
+    });
+  });
+
+  context('when an adapter returns a promise', () => {
+    beforeEach(function () {
+      const adapter = {
+        load: () => Promise.resolve({ version: 1, keyMapOverrides: { 'SAVE': 'b' } }),
+        save: () => {}
+      };
+
+      this.persist(adapter);
+    });
+
+    it('then applies the overrides once it resolves', function() {
+      return Promise.resolve().then(() => {
+        expect(this.manager.getKeyMapOverrides()).to.eql({ 'SAVE': 'b' });
+      });
+    });
+  });
+
+  context('when an adapter returns a promise that rejects when saving', () => {
+    beforeEach(function () {
+      const adapter = {
+        load: () => null,
+        save: () => Promise.reject(new Error('Network error'))
+      };
+
+      this.persist(adapter);
+
+      this.manager.setKeyMapOverrides({ 'SAVE': 'b' });
+    });
+
+    it('then logs a warning', function() {
+      return Promise.resolve().then(() => {
+        expect(this.consoleWarn).to.have.been.calledOnce;
+        expect(this.consoleWarn.firstCall.args.join(' ')).to.include('Network error');
+      });
+    });
+  });
+
+  context('when the browser blocks access to localStorage', () => {
+    beforeEach(function () {
+      this.localStorage = sinon.stub(window, 'localStorage').get(() => {
+        throw new Error('SecurityError');
+      });
+
+      this.adapter = new LocalStorageAdapter('hotkeys');
+    });
+
+    afterEach(function () {
+      this.localStorage.restore();
+    });
+
+    it('then loads no record', function() {
+      expect(this.adapter.load()).to.equal(null);
+    });
+
+    it('then logs a warning instead of saving the overrides', function() {
+      this.persist(this.adapter);
+
+      this.manager.setKeyMapOverrides({ 'SAVE': 'b' });
+
+      expect(this.manager.getKeyMapOverrides()).to.eql({ 'SAVE': 'b' });
+      expect(this.consoleWarn).to.have.been.calledOnce;
+      expect(this.consoleWarn.firstCall.args.join(' ')).to.include('localStorage is not available');
+    });
+  });
+
+  context('when using the localStorage adapter', () => {
+    beforeEach(function () {
+      window.localStorage.clear();
+    });
+
+    afterEach(function () {
+      window.localStorage.clear();
+    });
+
+    it('then saves overrides as JSON under the key', function() {
+      this.persist(new LocalStorageAdapter('hotkeys'));
+
+      this.manager.setKeyMapOverrides({ 'SAVE': 'b' });
+
+      expect(JSON.parse(window.localStorage.getItem('hotkeys'))).to.eql({
+        version: 1, keyMapOverrides: { 'SAVE': 'b' }
+      });
+    });
+
+    it('then applies saved overrides', function() {
+      window.localStorage.setItem('hotkeys', JSON.stringify({ version: 1, keyMapOverrides: { 'SAVE': 'c' } }));
+
+      this.persist(new LocalStorageAdapter('hotkeys'));
+
+      expect(this.manager.getKeyMapOverrides()).to.eql({ 'SAVE': 'c' });
+    });
+
+    it('then ignores saved values that are not valid JSON', function() {
+      window.localStorage.setItem('hotkeys', '{ not json');
+
+      this.persist(new LocalStorageAdapter('hotkeys'));
+
+      expect(this.manager.getKeyMapOverrides()).to.eql({});
+    });
+
+    it('then treats values that are not valid JSON as no record', function() {
+      const adapter = new LocalStorageAdapter('hotkeys');
+
+      window.localStorage.setItem('hotkeys', '{ not json');
+
+      expect(adapter.load()).to.equal(null);
+    });
+
+    it('then treats values changed elsewhere that are not valid JSON as no record', function() {
+      const adapter = new LocalStorageAdapter('hotkeys');
+      const listener = sinon.spy();
+
+      const unsubscribe = adapter.subscribe(listener);
+
+      window.dispatchEvent(Object.assign(new window.Event('storage'), {
+        key: 'hotkeys', newValue: '{ not json', storageArea: window.localStorage
+      }));
+
+      unsubscribe();
+
+      expect(listener).to.have.been.calledOnceWith(null);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+import simulant from 'simulant';
+
+import FocusableElement from '../support/FocusableElement';
+
+import {HotKeys, GlobalHotKeys, recordKeyCombination} from '../../src/';
+
+describe('Recording key combinations:', function () {
+  beforeEach(function () {
+    this.reactDiv = document.createElement('div');
+    document.body.appendChild(this.reactDiv);
+
+    this.callback = sinon.spy();
+    this.handler = sinon.spy();
+
+    this.keyDown = (key, options = {}) => simulant.fire(this.reactDiv, 'keydown', { key, ...options });
+    this.keyUp = (key, options = {}) => simulant.fire(this.reactDiv, 'keyup', { key, ...options });
+
+    this.record = (options) => {
+      this.recording = recordKeyCombination(this.callback, options);
+    };
+
+    this.mount = (element) => {
+      this.wrapper = mount(element, { attachTo: this.reactDiv });
+    };
+  });
+
+  afterEach(function () {
+    if (this.recording) {
+      this.recording.cancel();
+    }
+
+    if (this.wrapper) {
+      this.wrapper.unmount();
+    }
+
+    document.body.removeChild(this.reactDiv);
+  });
+
+  context('when a single combination is recorded', () => {
+    beforeEach(function () {
+      this.onChange = sinon.spy();
+      this.record({ onChange: this.onChange });
+
+      this.keyDown('Shift', { shiftKey: true });
+      this.keyDown('Control', { shiftKey: true, ctrlKey: true });
+      this.keyDown('k', { shiftKey: true, ctrlKey: true });
+      this.keyUp('k', { shiftKey: true, ctrlKey: true });
+      this.keyUp('Control', { shiftKey: true });
+      this.keyUp('Shift');
+    });
+
+    it('then calls the callback with the combination, modifiers first, once its first key is released', function() {
+      expect(this.callback).to.have.been.calledOnce;
+      expect(this.callback).to.have.been.calledWith({
+        sequence: 'Control+Shift+k', combinations: [ 'Control+Shift+k' ]
+      });
+    });
+
+    it('then calls onChange with the combination', function() {
+      expect(this.onChange).to.have.been.calledOnce;
+    });
+
+    it('then stops recording', function() {
+      this.keyDown('a');
+      this.keyUp('a');
+
+      expect(this.callback).to.have.been.calledOnce;
+    });
+  });
+
+  context('when a sequence is recorded', () => {
+    beforeEach(function () {
+      this.record({ sequence: true });
+
+      this.keyDown('Control', { ctrlKey: true });
+      this.keyDown('k', { ctrlKey: true });
+      this.keyUp('k', { ctrlKey: true });
+      this.keyDown('c', { ctrlKey: true });
+      this.keyUp('c', { ctrlKey: true });
+      this.keyUp('Control');
+    });
+
+    it('then does NOT call the callback until the recording is confirmed', function() {
+      expect(this.callback).to.not.have.been.called;
+
+      this.recording.confirm();
+
+      expect(this.callback).to.have.been.calledWith({
+        sequence: 'Control+k Control+c', combinations: [ 'Control+k', 'Control+c' ]
+      });
+    });
+
+    it('then does NOT call the callback if the recording is cancelled', function() {
+      this.recording.cancel();
+
+      expect(this.callback).to.not.have.been.called;
+    });
+  });
+
+  context('when there are components with matching key maps', () => {
+    beforeEach(function () {
+      this.globalHandler = sinon.spy();
+
+      this.mount(
+        <div>
+          <GlobalHotKeys keyMap={{ 'GLOBAL': 'a' }} handlers={{ 'GLOBAL': this.globalHandler }} />
+          <HotKeys keyMap={{ 'ACTION': 'a' }} handlers={{ 'ACTION': this.handler }}>
+            <div className="childElement" />
+          </HotKeys>
+        </div>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement', { nativeElement: this.reactDiv });
+      this.targetElement.focus();
+
+      this.record();
+
+      this.targetElement.keyDown('a');
+      this.targetElement.keyPress('a');
+      this.targetElement.keyUp('a');
+    });
+
+    it('then records the key events without calling any handlers', function() {
+      expect(this.callback).to.have.been.calledWith({ sequence: 'a', combinations: [ 'a' ] });
+
+      expect(this.handler).to.not.have.been.called;
+      expect(this.globalHandler).to.not.have.been.called;
+    });
+
+    it('then calls the handlers again once the recording has finished', function() {
+      this.targetElement.keyDown('b');
+      this.targetElement.keyUp('b');
+      this.targetElement.keyDown('a');
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+  });
+});
@@ -0,0 +1,222 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+import simulant from 'simulant';
+
+import FocusableElement from '../support/FocusableElement';
+import KeyCode from '../support/Key';
+
+import {HotKeys, GlobalHotKeys, getApplicationKeyMap} from '../../src/';
+import {setKeyMapOverrides, getKeyMapOverrides} from '../../src/';
+
+describe('Overriding key maps:', () => {
+  beforeEach(function () {
+    this.handler = sinon.spy();
+  });
+
+  context('when a HotKeys component is in focus', () => {
+    beforeEach(function () {
+      this.wrapper = mount(
+        <HotKeys keyMap={{ 'SAVE': { name: 'Save', sequence: 'a' } }} handlers={{ 'SAVE': this.handler }}>
+          <div className="childElement" />
+        </HotKeys>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+    });
+
+    context('and an override is set for one of its actions', () => {
+      beforeEach(function () {
+        setKeyMapOverrides({ 'SAVE': 'b' });
+      });
+
+      it('then calls the handler for the overriding sequence', function() {
+        this.targetElement.keyDown(KeyCode.B);
+
+        expect(this.handler).to.have.been.calledOnce;
+      });
+
+      it('then no longer calls the handler for the sequence in the key map', function() {
+        this.targetElement.keyDown(KeyCode.A);
+
+        expect(this.handler).to.not.have.been.called;
+      });
+
+      it('then returns the override', function() {
+        expect(getKeyMapOverrides()).to.eql({ 'SAVE': 'b' });
+      });
+
+      it('then includes the override in the application key map', function() {
+        expect(getApplicationKeyMap()).to.eql({
+          'SAVE': {
+            name: 'Save',
+            sequences: [ { sequence: 'b' } ],
+            source: 'override',
+            defaultSequences: [ { sequence: 'a' } ]
+          }
+        });
+      });
+
+      context('and the overrides are then cleared', () => {
+        beforeEach(function () {
+          setKeyMapOverrides({});
+        });
+
+        it('then calls the handler for the sequence in the key map again', function() {
+          this.targetElement.keyDown(KeyCode.A);
+
+          expect(this.handler).to.have.been.calledOnce;
+        });
+      });
+    });
+
+    context('and an action is overridden with an empty list of sequences', () => {
+      beforeEach(function () {
+        setKeyMapOverrides({ 'SAVE': [] });
+      });
+
+      it('then no longer calls the handler', function() {
+        this.targetElement.keyDown(KeyCode.A);
+
+        expect(this.handler).to.not.have.been.called;
+      });
+    });
+  });
+
+  context('when a HotKeys component is focused after an override is set', () => {
+    beforeEach(function () {
+      setKeyMapOverrides({ 'SAVE': { sequence: 'b', action: 'keyup' } });
+
+      this.wrapper = mount(
+        <HotKeys keyMap={{ 'SAVE': 'a' }} handlers={{ 'SAVE': this.handler }}>
+          <div className="childElement" />
+        </HotKeys>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+    });
+
+    it('then uses the override', function() {
+      this.targetElement.keyDown(KeyCode.B);
+
+      expect(this.handler).to.not.have.been.called;
+
+      this.targetElement.keyUp(KeyCode.B);
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+  });
+
+  context('when an action that is matched on keyup is overridden', () => {
+    beforeEach(function () {
+      this.wrapper = mount(
+        <HotKeys keyMap={{ 'SAVE': { sequence: 'a', action: 'keyup' } }} handlers={{ 'SAVE': this.handler }}>
+          <div className="childElement" />
+        </HotKeys>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+    });
+
+    context('and the override does not specify a key event', () => {
+      beforeEach(function () {
+        setKeyMapOverrides({ 'SAVE': 'b' });
+      });
+
+      it('then matches the overriding sequence on keyup', function() {
+        this.targetElement.keyDown(KeyCode.B);
+
+        expect(this.handler).to.not.have.been.called;
+
+        this.targetElement.keyUp(KeyCode.B);
+
+        expect(this.handler).to.have.been.calledOnce;
+      });
+    });
+
+    context('and the override specifies a key event', () => {
+      beforeEach(function () {
+        setKeyMapOverrides({ 'SAVE': { sequence: 'b', action: 'keydown' } });
+      });
+
+      it('then matches the overriding sequence on that key event', function() {
+        this.targetElement.keyDown(KeyCode.B);
+
+        expect(this.handler).to.have.been.calledOnce;
+
+        this.targetElement.keyUp(KeyCode.B);
+
+        expect(this.handler).to.have.been.calledOnce;
+      });
+    });
+  });
+
+  context('when an action with a hold option is overridden', () => {
+    beforeEach(function () {
+      this.clock = sinon.useFakeTimers();
+
+      this.wrapper = mount(
+        <HotKeys keyMap={{ 'SAVE': { sequence: 'a', hold: 500 } }} handlers={{ 'SAVE': this.handler }}>
+          <div className="childElement" />
+        </HotKeys>
+      );
+
+      this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+      this.targetElement.focus();
+
+      setKeyMapOverrides({ 'SAVE': 'b' });
+    });
+
+    afterEach(function () {
+      this.clock.restore();
+    });
+
+    it('then only calls the handler once the overriding keys have been held down', function() {
+      this.targetElement.keyDown(KeyCode.B);
+
+      expect(this.handler).to.not.have.been.called;
+
+      this.clock.tick(500);
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+  });
+
+  context('when a GlobalHotKeys component is mounted', () => {
+    beforeEach(function () {
+      this.reactDiv = document.createElement('div');
+      document.body.appendChild(this.reactDiv);
+
+      this.wrapper = mount(
+        <GlobalHotKeys keyMap={{ 'SAVE': 'a' }} handlers={{ 'SAVE': this.handler }} />,
+        { attachTo: this.reactDiv }
+      );
+
+      setKeyMapOverrides({ 'SAVE': { sequence: 'b', action: 'keyup' } });
+    });
+
+    afterEach(function() {
+      this.wrapper.unmount();
+      document.body.removeChild(this.reactDiv);
+    });
+
+    it('then calls the handler for the overriding sequence and key event', function() {
+      simulant.fire(this.reactDiv, 'keydown', { key: KeyCode.A });
+      simulant.fire(this.reactDiv, 'keyup', { key: KeyCode.A });
+
+      expect(this.handler).to.not.have.been.called;
+
+      simulant.fire(this.reactDiv, 'keydown', { key: KeyCode.B });
+
+      expect(this.handler).to.not.have.been.called;
+
+      simulant.fire(this.reactDiv, 'keyup', { key: KeyCode.B });
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+  });
+});
@@ -29,7 +29,7 @@ chai.use(sinonChai);
 
 Enzyme.configure({adapter: new Adaptor()});
 
-const {window} = new JSDOM('<html><body></body></html>');
+const {window} = new JSDOM('<html><body></body></html>', { url: 'http://localhost/' });
 
 function copyProps(src, target) {
   Object.defineProperties(target, {
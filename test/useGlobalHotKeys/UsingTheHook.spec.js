@@ -0,0 +1,115 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+import simulant from 'simulant';
+
+import KeyCode from '../support/Key';
+import {useGlobalHotKeys} from '../../src/';
+
+function HookComponent({ keyMap, handlers, target }) {
+  useGlobalHotKeys(keyMap, handlers, { target });
+
+  return <div className="childElement" />;
+}
+
+describe('Using the useGlobalHotKeys hook:', function () {
+  beforeEach(function () {
+    this.keyMap = {
+      'ACTION': 'a',
+    };
+
+    this.handler = sinon.spy();
+
+    this.reactDiv = document.createElement('div');
+    document.body.appendChild(this.reactDiv);
+
+    this.wrapper = mount(
+      <HookComponent keyMap={this.keyMap} handlers={{ 'ACTION': this.handler }} />,
+      { attachTo: this.reactDiv }
+    );
+  });
+
+  afterEach(function() {
+    document.body.removeChild(this.reactDiv);
+  });
+
+  it('then calls the handler when a matching key is pressed', function() {
+    simulant.fire(this.reactDiv, 'keydown', { key: KeyCode.A });
+
+    expect(this.handler).to.have.been.calledOnce;
+
+    this.wrapper.unmount();
+  });
+
+  context('when the handlers are changed', () => {
+    beforeEach(function () {
+      this.newHandler = sinon.spy();
+      this.wrapper.setProps({ handlers: { 'ACTION': this.newHandler } });
+    });
+
+    it('then calls the latest handler, without needing allowChanges', function() {
+      simulant.fire(this.reactDiv, 'keydown', { key: KeyCode.A });
+
+      expect(this.handler).to.not.have.been.called;
+      expect(this.newHandler).to.have.been.calledOnce;
+
+      this.wrapper.unmount();
+    });
+  });
+
+  context('when the keyMap is changed', () => {
+    beforeEach(function () {
+      this.wrapper.setProps({ keyMap: { 'ACTION': 'b' } });
+    });
+
+    it('then uses the new key map', function() {
+      simulant.fire(this.reactDiv, 'keydown', { key: KeyCode.A });
+
+      expect(this.handler).to.not.have.been.called;
+
+      simulant.fire(this.reactDiv, 'keydown', { key: KeyCode.B });
+
+      expect(this.handler).to.have.been.calledOnce;
+
+      this.wrapper.unmount();
+    });
+  });
+
+  context('when the target is changed', () => {
+    beforeEach(function () {
+      this.targetDiv = document.createElement('div');
+      document.body.appendChild(this.targetDiv);
+
+      this.wrapper.setProps({ target: this.targetDiv });
+    });
+
+    afterEach(function() {
+      this.wrapper.unmount();
+
+      document.body.removeChild(this.targetDiv);
+    });
+
+    it('then listens for key events on the new target', function() {
+      simulant.fire(this.reactDiv, 'keydown', { key: KeyCode.A });
+
+      expect(this.handler).to.not.have.been.called;
+
+      simulant.fire(this.targetDiv, 'keydown', { key: KeyCode.A });
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+  });
+
+  context('when the component has been unmounted', () => {
+    beforeEach(function () {
+      this.wrapper.unmount();
+    });
+
+    it('then no longer calls the handler', function() {
+      simulant.fire(this.reactDiv, 'keydown', { key: KeyCode.A });
+
+      expect(this.handler).to.not.have.been.called;
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import {expect} from 'chai';
+import sinon from 'sinon';
+
+import FocusableElement from '../support/FocusableElement';
+import KeyCode from '../support/Key';
+import {useHotKeys} from '../../src/';
+import KeyEventManager from '../../src/lib/KeyEventManager';
+
+function HookComponent({ keyMap, handlers, children }) {
+  const hotKeys = useHotKeys(keyMap, handlers);
+
+  return (
+    <div className="hotKeysElement" { ...hotKeys }>
+      { children }
+    </div>
+  );
+}
+
+describe('Using the useHotKeys hook:', function () {
+  beforeEach(function () {
+    this.keyMap = {
+      'ACTION': 'a',
+      'ACTION2': 'b',
+    };
+
+    this.handler = sinon.spy();
+
+    this.wrapper = mount(
+      <HookComponent keyMap={this.keyMap} handlers={{ 'ACTION': this.handler }}>
+        <div className="childElement" />
+      </HookComponent>
+    );
+
+    this.targetElement = new FocusableElement(this.wrapper, '.childElement');
+  });
+
+  it('then passes the props required for focus and key events to the element', function() {
+    const props = this.wrapper.find('.hotKeysElement').props();
+
+    expect(props.tabIndex).to.equal('-1');
+
+    ['onFocus', 'onBlur', 'onKeyDown', 'onKeyPress', 'onKeyUp'].forEach((propName) => {
+      expect(props[propName]).to.be.a('function');
+    });
+  });
+
+  it('then passes a ref that refers to the element', function() {
+    const { ref } = this.wrapper.find('.hotKeysElement').getElement();
+
+    expect(ref.current).to.equal(this.wrapper.find('.hotKeysElement').getDOMNode());
+  });
+
+  context('when a child element is focused', () => {
+    beforeEach(function () {
+      this.targetElement.focus();
+    });
+
+    it('then calls the handler when a matching key is pressed', function() {
+      this.targetElement.keyDown(KeyCode.A);
+
+      expect(this.handler).to.have.been.calledOnce;
+    });
+
+    context('and the handlers are changed', () => {
+      beforeEach(function () {
+        this.newHandler = sinon.spy();
+        this.wrapper.setProps({ handlers: { 'ACTION': this.newHandler } });
+      });
+
+      it('then calls the latest handler, without needing allowChanges', function() {
+        this.targetElement.keyDown(KeyCode.A);
+
+        expect(this.handler).to.not.have.been.called;
+        expect(this.newHandler).to.have.been.calledOnce;
+      });
+    });
+
+    context('and a handler is added for another action', () => {
+      beforeEach(function () {
+        this.handler2 = sinon.spy();
+        this.wrapper.setProps({ handlers: { 'ACTION': this.handler, 'ACTION2': this.handler2 } });
+      });
+
+      it('then calls the new handler when its key is pressed', function() {
+        this.targetElement.keyDown(KeyCode.B);
+
+        expect(this.handler2).to.have.been.calledOnce;
+      });
+    });
+
+    context('and a key map with the same contents is passed', () => {
+      beforeEach(function () {
+        this.reregisterKeyMap = sinon.spy(KeyEventManager.getInstance(), 'reregisterKeyMap');
+
+        this.wrapper.setProps({ keyMap: { ...this.keyMap } });
+      });
+
+      afterEach(function () {
+        this.reregisterKeyMap.restore();
+      });
+
+      it('then does NOT register the key map again', function() {
+        expect(this.reregisterKeyMap).to.not.have.been.called;
+
+        this.targetElement.keyDown(KeyCode.A);
+
+        expect(this.handler).to.have.been.calledOnce;
+      });
+    });
+
+    context('and the keyMap is changed', () => {
+      beforeEach(function () {
+        this.wrapper.setProps({ keyMap: { 'ACTION': 'c' } });
+      });
+
+      it('then uses the new key map', function() {
+        this.targetElement.keyDown(KeyCode.A);
+
+        expect(this.handler).to.not.have.been.called;
+
+        this.targetElement.keyDown(KeyCode.C);
+
+        expect(this.handler).to.have.been.calledOnce;
+      });
+    });
+  });
+
+  context('when no child element is focused', () => {
+    it('then does not call the handler', function() {
+      this.wrapper.find('.childElement').simulate('keyDown', { key: KeyCode.A });
+
+      expect(this.handler).to.not.have.been.called;
+    });
+  });
+});